@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const rulesAdmin = require('../modules/rules-admin');
+
+/**
+ * Require the admin key (X-Admin-Key header) on every admin request
+ */
+router.use((req, res, next) => {
+  if (!rulesAdmin.isEnabled()) {
+    return res.status(403).json({
+      error: true,
+      message: 'The admin API is disabled. Configure an admin API key to enable it.'
+    });
+  }
+
+  if (!rulesAdmin.isAuthorized(req.get('x-admin-key'))) {
+    return res.status(403).json({
+      error: true,
+      message: 'A valid admin key is required'
+    });
+  }
+
+  next();
+});
+
+/**
+ * Get the pack version an edit was made against (optional - body.version or the If-Match header)
+ * @param {Object} req - Express request
+ * @returns {number|undefined} - Expected version
+ */
+function getExpectedVersion(req) {
+  const version = (req.body && req.body.version) || req.get('if-match');
+  return version === undefined ? undefined : Number(version);
+}
+
+/**
+ * Send the response for a failed admin request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by rules-admin
+ * @param {string} action - What was being done, for the log
+ */
+function sendError(res, error, action) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: true,
+      message: error.message,
+      errors: error.errors && error.errors.length > 0 ? error.errors : undefined
+    });
+  }
+
+  console.error(`Rules admin ${action} error:`, error);
+  res.status(500).json({
+    error: true,
+    message: 'An error occurred while updating the industry rules. Please try again.'
+  });
+}
+
+/**
+ * GET /api/admin/industries
+ * Lists the industry rules packs with their versions and specialties
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(rulesAdmin.listIndustries());
+  } catch (error) {
+    sendError(res, error, 'list');
+  }
+});
+
+/**
+ * GET /api/admin/industries/:id
+ * Gets an industry rules pack - regulators, credentials, compliance terms, weights, simulation names and specialties
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await rulesAdmin.getIndustry(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'get');
+  }
+});
+
+/**
+ * GET /api/admin/industries/:id/history
+ * Lists the previous versions of an industry rules pack
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    res.json(await rulesAdmin.getIndustryHistory(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'history');
+  }
+});
+
+/**
+ * POST /api/admin/industries
+ * Creates an industry rules pack (industry is required; id defaults to one made from it)
+ */
+router.post('/', express.json(), async (req, res) => {
+  try {
+    res.status(201).json(await rulesAdmin.createIndustry(req.body));
+  } catch (error) {
+    sendError(res, error, 'create');
+  }
+});
+
+/**
+ * PUT /api/admin/industries/:id
+ * Updates an industry rules pack - top-level fields sent replace the stored ones
+ * Send the version being edited (body.version or If-Match) to reject edits made against an older version
+ */
+router.put('/:id', express.json(), async (req, res) => {
+  try {
+    res.json(await rulesAdmin.updateIndustry(req.params.id, req.body, getExpectedVersion(req)));
+  } catch (error) {
+    sendError(res, error, 'update');
+  }
+});
+
+/**
+ * DELETE /api/admin/industries/:id
+ * Deletes an industry rules pack (its last version is kept in the history)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await rulesAdmin.deleteIndustry(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'delete');
+  }
+});
+
+/**
+ * GET /api/admin/industries/:id/specialties
+ * Lists an industry's specialties
+ */
+router.get('/:id/specialties', async (req, res) => {
+  try {
+    res.json(await rulesAdmin.listSpecialties(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'specialty list');
+  }
+});
+
+/**
+ * POST /api/admin/industries/:id/specialties
+ * Adds a specialty to an industry (name is required)
+ */
+router.post('/:id/specialties', express.json(), async (req, res) => {
+  try {
+    const { version, ...specialty } = req.body || {};
+    res.status(201).json(await rulesAdmin.addSpecialty(req.params.id, specialty, getExpectedVersion(req)));
+  } catch (error) {
+    sendError(res, error, 'specialty create');
+  }
+});
+
+/**
+ * PUT /api/admin/industries/:id/specialties/:name
+ * Updates a specialty - fields sent replace the stored ones
+ */
+router.put('/:id/specialties/:name', express.json(), async (req, res) => {
+  try {
+    const { version, ...changes } = req.body || {};
+    res.json(await rulesAdmin.updateSpecialty(req.params.id, req.params.name, changes, getExpectedVersion(req)));
+  } catch (error) {
+    sendError(res, error, 'specialty update');
+  }
+});
+
+/**
+ * DELETE /api/admin/industries/:id/specialties/:name
+ * Removes a specialty from an industry
+ */
+router.delete('/:id/specialties/:name', async (req, res) => {
+  try {
+    res.json(await rulesAdmin.deleteSpecialty(req.params.id, req.params.name, getExpectedVersion(req)));
+  } catch (error) {
+    sendError(res, error, 'specialty delete');
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const competitorAnalyzer = require('../modules/competitor-analyzer');
-const contentFetcher = require('../modules/content-fetcher');
+const competitorService = require('../modules/competitor-service');
 
 /**
  * POST /api/competitors
@@ -9,114 +8,39 @@ const contentFetcher = require('../modules/content-fetcher');
  * @param {string} url - Website URL to find competitors for
  * @param {string} industry - Industry category
  * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (AU, NZ, UK, US - default AU) - sets the search location and regulators
+ * @param {string} simulation - Optional 'off', 'labelled' (default) or 'on' - how simulated competitors are used
+ * @param {Array} competitors - Optional competitors to analyze ([{ name, url }], up to 10) - saved as a competitor set
+ * @param {string} competitorMode - Optional 'merge' (default) or 'replace' - whether supplied competitors replace discovered ones
+ * @param {string} competitorSet - Optional competitor set name (default 'default') - the saved set is used when no competitors are supplied
+ * @param {boolean} forceRefresh - Optional - refetch competitor pages and API results instead of using cached copies
  */
 router.post('/', async (req, res) => {
   try {
-    const { url, industry, specialty } = req.body;
-    
-    if (!url || !industry) {
-      return res.status(400).json({
+    const responseData = await competitorService.runCompetitorAnalysis(req.body);
+
+    res.json(responseData);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         error: true,
-        message: 'URL and industry are required'
+        message: error.message
       });
     }
-    
-    console.log(`Finding competitors for: ${url} (${industry}${specialty ? `, ${specialty}` : ''})`);
-    
-    // Extract domain from URL
-    const domain = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0];
-    
-    // Use this as a placeholder for the user's analysis (in production, you'd fetch this from your database)
-    const userData = {
-      expertiseScore: 65,
-      authorityScore: 70,
-      communicationScore: 65,
-      url: url,
-      domain: domain,
-      industry: industry,
-      specialty: specialty || ''
-    };
-    
-    // Find and analyze competitors
-    const competitors = await competitorAnalyzer.findAndAnalyzeCompetitors(
-      domain, 
-      industry, 
-      specialty || '', 
-      userData
-    );
-    
-    // Generate insights based on competitor analysis
-    const insights = competitorAnalyzer.generateCompetitiveInsights(
-      userData,
-      competitors,
-      industry
-    );
-    
-    // Fetch industry average data
-    let industryAverage = {
-      expertiseScore: 60,
-      authorityScore: 60,
-      communicationScore: 60,
-      isIndustry: true,
-      name: `${industry} Industry Average`
-    };
-    
-    try {
-      const response = await fetch(
-        `http://localhost:${process.env.PORT || 5000}/api/industry-average?industry=${encodeURIComponent(industry)}&specialty=${encodeURIComponent(specialty || '')}`
-      );
-      
-      if (response.ok) {
-        industryAverage = await response.json();
-      }
-    } catch (avgError) {
-      console.error('Error fetching industry average:', avgError);
-      // Continue with default values
-    }
-    
-    // Calculate quadrant positions to prevent overlaps
-    const positionedCompetitors = competitorAnalyzer.calculateCompetitorPositions(competitors);
-    
-    // Prepare and send response
-    res.json({
-      competitors: positionedCompetitors,
-      insights: insights,
-      industryAverage: industryAverage
-    });
-  } catch (error) {
+
     console.error('Competitor analysis error:', error);
-    
+
+    // Simulated competitors are only used as a fallback when simulation is allowed
+    if (req.body.simulation === 'off') {
+      return res.status(500).json({
+        error: true,
+        message: 'An error occurred during competitor analysis. Please try again.'
+      });
+    }
+
     // Generate simulated competitors as fallback
-    let fallbackCompetitors = [];
-    
     try {
-      const userData = {
-        expertiseScore: 65,
-        authorityScore: 70,
-        communicationScore: 65
-      };
-      
-      fallbackCompetitors = competitorAnalyzer.generateSimulatedCompetitors(
-        req.body.industry, 
-        req.body.specialty || '', 
-        userData, 
-        3
-      );
-      
-      const positionedCompetitors = competitorAnalyzer.calculateCompetitorPositions(fallbackCompetitors);
-      
-      res.json({
-        competitors: positionedCompetitors,
-        insights: [],
-        isSimulated: true,
-        industryAverage: {
-          expertiseScore: 60,
-          authorityScore: 60,
-          communicationScore: 60,
-          isIndustry: true,
-          name: `${req.body.industry} Industry Average`
-        }
-      });
+      res.json(await competitorService.getFallbackCompetitors(req.body));
     } catch (fallbackError) {
       console.error('Fallback competitor generation error:', fallbackError);
       res.status(500).json({
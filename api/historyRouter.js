@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const analysisHistory = require('../modules/analysis-history');
+const { resolveMarket } = require('../modules/analysis-service');
+
+/**
+ * GET /api/history
+ * Returns the score history for a domain and the recommendations implemented since earlier runs
+ * @param {string} domain - Website domain or URL
+ * @param {string} industry - Optional industry filter
+ * @param {string} specialty - Optional specialty filter
+ * @param {string} market - Optional market code (AU, NZ, UK, US - default AU)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { domain, industry, specialty, market } = req.query;
+
+    if (!domain) {
+      return res.status(400).json({
+        error: true,
+        message: 'Domain is required'
+      });
+    }
+
+    const history = await analysisHistory.getDomainHistory(domain, { industry, specialty, market: resolveMarket(market) });
+
+    res.json(history);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('History error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'An error occurred while loading the analysis history. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const industryAverages = require('../modules/industry-averages');
+const { resolveMarket } = require('../modules/analysis-service');
+
+/**
+ * GET /api/industry-average
+ * Returns average expertise, authority and communication scores for an industry,
+ * aggregated from stored analyses
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (AU, NZ, UK, US - default AU)
+ * @param {string} url - Optional website being compared - its own analyses are left out of the average
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { industry, specialty, market, url } = req.query;
+
+    if (!industry) {
+      return res.status(400).json({
+        error: true,
+        message: 'Industry is required'
+      });
+    }
+
+    const average = await industryAverages.getIndustryAverage(industry, specialty || '', resolveMarket(market), url || '');
+
+    res.json(average);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Industry average error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'An error occurred while calculating the industry average. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
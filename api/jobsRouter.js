@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const jobManager = require('../modules/job-manager');
+const competitorService = require('../modules/competitor-service');
+
+/**
+ * POST /api/jobs
+ * Starts a background analysis job (website analysis, industry average and competitors)
+ * Takes the same parameters as POST /api/competitors
+ * @param {string} url - Website URL to analyze
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (AU, NZ, UK, US - default AU)
+ */
+router.post('/', (req, res) => {
+  try {
+    // Reject bad parameters now rather than after the website analysis
+    competitorService.validateParams(req.body);
+
+    const job = jobManager.createJob(req.body);
+
+    res.status(202).json(job);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Job creation error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'An error occurred while starting the analysis. Please try again.'
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Returns a job's status, step progress and the result sections finished so far
+ * @param {string} id - Job id
+ */
+router.get('/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: true,
+      message: 'Job not found'
+    });
+  }
+
+  res.json(job);
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Streams a job's progress as Server-Sent Events
+ * Sends a "snapshot" event with the current job first, then "progress", "section",
+ * "section-error" and finally "done" events, after which the stream is closed
+ * @param {string} id - Job id
+ */
+router.get('/:id/events', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: true,
+      message: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies buffering the stream
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', job);
+
+  if (job.status === 'completed' || job.status === 'failed') {
+    send('done', { status: job.status });
+    return res.end();
+  }
+
+  // Comment lines keep idle connections open
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = jobManager.subscribe(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === 'done') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const contentFetcher = require('../modules/content-fetcher');
+const aiAnalyzer = require('../modules/ai-analyzer');
+const competitorAnalyzer = require('../modules/competitor-analyzer');
+const analysisStore = require('../modules/analysis-store');
+const { resolveMarket } = require('../modules/analysis-service');
+
+/**
+ * POST /api/recommendations
+ * Generates recommendations that reference gaps between the website and its competitors
+ * @param {string} url - Website URL
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {Array} competitorData - Competitors as returned by /api/competitors
+ * @param {Object} analysis - Optional /api/analyze result (defaults to the latest stored analysis)
+ * @param {string} market - Optional market code (AU, NZ, UK, US - default AU)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, industry, specialty, competitorData, analysis } = req.body;
+    const market = resolveMarket(req.body.market);
+
+    if (!url || !industry) {
+      return res.status(400).json({
+        error: true,
+        message: 'URL and industry are required'
+      });
+    }
+
+    if (!Array.isArray(competitorData)) {
+      return res.status(400).json({
+        error: true,
+        message: 'competitorData must be an array of competitors'
+      });
+    }
+
+    console.log(`Generating competitor recommendations for: ${url} (${industry}${specialty ? `, ${specialty}` : ''}, ${market})`);
+
+    // 1. Get the user's analysis (from the request, or the most recent stored run)
+    let userAnalysis = analysis;
+    if (!userAnalysis) {
+      userAnalysis = await analysisStore.findLatestAnalysis(url, industry, specialty || '', market);
+    }
+
+    if (!userAnalysis) {
+      return res.status(400).json({
+        error: true,
+        message: 'No analysis found for this website. Please run an analysis first.'
+      });
+    }
+
+    // 2. Fetch website content so we don't recommend anything already on the site
+    let site;
+    try {
+      site = await contentFetcher.crawlWebsite(url, { market });
+    } catch (fetchError) {
+      console.error('Error fetching website content:', fetchError);
+      return res.status(400).json({
+        error: true,
+        message: 'Unable to fetch website content. Please check the URL and try again.'
+      });
+    }
+
+    const content = site.content;
+    const existingElements = aiAnalyzer.preAnalyzeContent(content, site.structuredData);
+
+    // 3. Gather the user's own Google and SEO data so gaps can be quoted
+    const domain = analysisStore.normalizeDomain(url);
+    const titleMatch = content.match(/TITLE:\s*(.+?)(?:\s+DESCRIPTION:|\s+LOCATION:|\s+CONTENT:|$)/);
+
+    const userSite = {
+      name: titleMatch ? titleMatch[1].split(/\s+[|\-–]\s+/)[0].trim() : domain,
+      url,
+      domain,
+      expertiseScore: userAnalysis.expertiseSignals || userAnalysis.expertiseScore,
+      authorityScore: userAnalysis.digitalAuthority || userAnalysis.authorityScore,
+      communicationScore: userAnalysis.consistencyMarkers || userAnalysis.communicationScore
+    };
+    const userData = await competitorAnalyzer.enhanceCompetitorData(userSite, industry, specialty || '', { ...userSite }, market);
+
+    // 4. Build competitor-gap recommendations, then filter them against the site content
+    const gapRecommendations = competitorAnalyzer.generateCompetitorRecommendations(
+      userData,
+      competitorData,
+      industry,
+      market
+    );
+
+    const result = {
+      industrySpecificRecommendations: aiAnalyzer.postProcessRecommendations(gapRecommendations, existingElements)
+    };
+    aiAnalyzer.verifyRecommendations(result, content, existingElements);
+
+    res.json({
+      url,
+      industry,
+      specialty: specialty || '',
+      market,
+      recommendations: result.industrySpecificRecommendations,
+      userData: {
+        googleData: userData.googleData || null,
+        seoData: userData.seoData || null
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Recommendations error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'An error occurred while generating recommendations. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const registrationVerifier = require('../modules/registration-verifier');
+const rulesAdmin = require('../modules/rules-admin');
+
+// Largest register snapshot accepted in one upload
+const MAX_SNAPSHOT_SIZE = '20mb';
+
+/**
+ * Require the admin key (X-Admin-Key header) - a snapshot replaces the register every
+ * verification is checked against
+ */
+function requireAdminKey(req, res, next) {
+  if (!rulesAdmin.isEnabled()) {
+    return res.status(403).json({
+      error: true,
+      message: 'Register imports are disabled. Configure an admin API key to enable them.'
+    });
+  }
+
+  if (!rulesAdmin.isAuthorized(req.get('x-admin-key'))) {
+    return res.status(403).json({
+      error: true,
+      message: 'A valid admin key is required'
+    });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/registers
+ * Lists the registers registration numbers are checked against, with their imported snapshots
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await registrationVerifier.listSnapshots());
+  } catch (error) {
+    console.error('Register list error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'An error occurred while loading the registers. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /api/registers/:register
+ * Imports a CSV snapshot of a public register, replacing the previous snapshot
+ * Send the CSV as the request body (Content-Type: text/csv) with a header row, and the admin key
+ * in the X-Admin-Key header
+ * @param {string} register - 'ahpra', 'afsl', 'builder' or 'abn'
+ * @param {string} source - Optional query parameter - where the snapshot was downloaded from
+ */
+router.post('/:register', requireAdminKey, express.text({ type: ['text/csv', 'text/plain'], limit: MAX_SNAPSHOT_SIZE }), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        error: true,
+        message: 'Send the register snapshot as a CSV request body (Content-Type: text/csv)'
+      });
+    }
+
+    const result = await registrationVerifier.importSnapshot(req.params.register, req.body, {
+      source: req.query.source || ''
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: true,
+        message: error.message
+      });
+    }
+
+    console.error('Register import error:', error);
+    res.status(500).json({
+      error: true,
+      message: 'An error occurred while importing the register. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,127 @@
+import React from 'react';
+
+// Scores compared between the two analyses
+const SCORES = [
+  { key: 'credibilityScore', label: 'Overall Credibility' },
+  { key: 'expertiseSignals', label: 'Expertise Validation' },
+  { key: 'digitalAuthority', label: 'Audience Trust' },
+  { key: 'consistencyMarkers', label: 'Communication Integrity' }
+];
+
+/**
+ * Helper function to get the quadrant an analysis sits in on the Market Position chart
+ * (uses the same midlines as the chart)
+ */
+export const getQuadrant = (expertiseScore, authorityScore) => {
+  if (expertiseScore >= 50 && authorityScore >= 50) return 'VERIFIED EXPERT';
+  if (expertiseScore >= 50) return 'HIDDEN EXPERT';
+  if (authorityScore >= 50) return 'VISIBILITY WITHOUT SUBSTANCE';
+  return 'LOW PROFILE';
+};
+
+// Helper function to list items in one array that aren't in another (case-insensitive)
+const difference = (items, others) => {
+  const otherSet = new Set((others || []).map(item => item.toLowerCase().trim()));
+  return (items || []).filter(item => !otherSet.has(item.toLowerCase().trim()));
+};
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+const AnalysisComparison = ({ history, fromId, toId, onChange }) => {
+  const from = history.find(point => point.id === fromId);
+  const to = history.find(point => point.id === toId);
+
+  if (!from || !to) {
+    return null;
+  }
+
+  const newStrengths = difference(to.strengths, from.strengths);
+  const resolvedWeaknesses = difference(from.weaknesses, to.weaknesses);
+  const fromQuadrant = getQuadrant(from.expertiseSignals, from.digitalAuthority);
+  const toQuadrant = getQuadrant(to.expertiseSignals, to.digitalAuthority);
+
+  const renderSelect = (value, onSelect) => (
+    <select
+      className="border border-gray-300 rounded px-2 py-1 text-sm"
+      value={value}
+      onChange={(e) => onSelect(e.target.value)}
+    >
+      {history.map(point => (
+        <option key={point.id} value={point.id}>
+          {formatDate(point.createdAt)} ({point.credibilityScore})
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <div className="flex flex-wrap items-center justify-between mb-4">
+        <h3 className="font-semibold text-lg">Before / After</h3>
+        <div className="flex items-center space-x-2 text-sm text-gray-600">
+          {renderSelect(fromId, (id) => onChange(id, toId))}
+          <span>compared with</span>
+          {renderSelect(toId, (id) => onChange(fromId, id))}
+        </div>
+      </div>
+
+      {/* Score deltas */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {SCORES.map(score => {
+          const delta = Math.round((to[score.key] || 0) - (from[score.key] || 0));
+
+          return (
+            <div key={score.key} className="bg-gray-50 p-4 rounded">
+              <div className="text-sm font-medium text-gray-500 mb-1">{score.label}</div>
+              <div className="text-2xl font-bold">
+                {from[score.key]} &rarr; {to[score.key]}
+              </div>
+              <div className={`mt-1 text-sm font-medium ${
+                delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-gray-500'
+              }`}>
+                {delta > 0 ? `+${delta}` : delta}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Quadrant movement */}
+      <p className="text-sm text-gray-600 mb-6">
+        {fromQuadrant === toQuadrant
+          ? <>Market position unchanged: <strong>{toQuadrant}</strong></>
+          : <>Market position moved from <strong>{fromQuadrant}</strong> to <strong>{toQuadrant}</strong></>}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h4 className="font-medium mb-2">New Strengths</h4>
+          {newStrengths.length > 0 ? (
+            <ul className="space-y-1 text-sm">
+              {newStrengths.map((strength, i) => (
+                <li key={i} className="text-green-700">+ {strength}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No new strengths identified.</p>
+          )}
+        </div>
+
+        <div>
+          <h4 className="font-medium mb-2">Resolved Weaknesses</h4>
+          {resolvedWeaknesses.length > 0 ? (
+            <ul className="space-y-1 text-sm">
+              {resolvedWeaknesses.map((weakness, i) => (
+                <li key={i} className="text-blue-700 line-through">{weakness}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No weaknesses resolved.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisComparison;
\ No newline at end of file
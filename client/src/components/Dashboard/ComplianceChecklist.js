@@ -0,0 +1,74 @@
+import React from 'react';
+
+// Icon and colour for each rule status
+const STATUS_STYLES = {
+  pass: { icon: '✓', className: 'text-green-600' },
+  fail: { icon: '✗', className: 'text-red-600' },
+  'not-applicable': { icon: '–', className: 'text-gray-400' }
+};
+
+// Badge colours for each severity
+const SEVERITY_BADGES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-100 text-gray-700'
+};
+
+const ComplianceChecklist = ({ compliance }) => {
+  if (!compliance || !compliance.rules || compliance.rules.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <div className="flex flex-wrap items-baseline justify-between mb-4">
+        <h3 className="font-semibold text-lg">Regulatory Compliance: {compliance.pack.name}</h3>
+        <span className="text-sm text-gray-500">
+          {compliance.summary.passed} passed, {compliance.summary.failed} failed
+          {compliance.summary.notApplicable > 0 && `, ${compliance.summary.notApplicable} not applicable`}
+        </span>
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {compliance.rules.map(rule => {
+          const style = STATUS_STYLES[rule.status] || STATUS_STYLES['not-applicable'];
+
+          return (
+            <li key={rule.id} className="py-3 flex items-start text-sm">
+              <span className={`w-5 font-bold ${style.className}`}>{style.icon}</span>
+              <div className="flex-1">
+                <div className="flex flex-wrap items-center">
+                  <span className="font-medium text-gray-800 mr-2">{rule.title}</span>
+                  {rule.status === 'fail' && (
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${SEVERITY_BADGES[rule.severity] || SEVERITY_BADGES.low}`}>
+                      {rule.severity}
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">{rule.guideline}</p>
+                {rule.status === 'pass' && rule.detail && (
+                  <p className="text-xs text-green-700 break-all">Found: {rule.detail}</p>
+                )}
+                {rule.status === 'fail' && rule.detail && (
+                  <p className="text-xs text-red-700">{rule.detail}</p>
+                )}
+                {rule.status === 'fail' && rule.findings.length > 0 && (
+                  <ul className="mt-1 space-y-1">
+                    {rule.findings.map((finding, index) => (
+                      <li key={index} className="text-xs text-red-700 break-words">
+                        {rule.type === 'required' ? finding.snippet : `"${finding.snippet}"`}
+                        {finding.page && <span className="text-gray-500"> ({finding.page})</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ComplianceChecklist;
\ No newline at end of file
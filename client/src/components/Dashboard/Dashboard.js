@@ -1,20 +1,87 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { analyzeWebsite, getCompetitors, getIndustryAverage } from '../../services/apiService';
+import { createAnalysisJob, getJob, streamJob, getHistory } from '../../services/apiService';
 import MarketPositionQuadrant from './MarketPositionQuadrant';
 import CredibilityScore from './CredibilityScore';
 import RecommendationCard from './RecommendationCard';
+import ScoreTrendChart from './ScoreTrendChart';
+import AnalysisComparison from './AnalysisComparison';
+import JobProgress from './JobProgress';
+import TrustAuditChecklist from './TrustAuditChecklist';
+import RegistrationChecks from './RegistrationChecks';
+import ComplianceChecklist from './ComplianceChecklist';
+
+// Names shown for cached data sources
+const CACHE_SOURCE_LABELS = {
+  'pages': 'website pages',
+  'google-places': 'Google Places',
+  'dataforseo': 'DataForSEO',
+  'llm': 'AI analysis'
+};
+
+// Helper function to describe how old a cached result is
+const formatAge = (seconds) => {
+  if (seconds < 3600) return `${Math.max(1, Math.round(seconds / 60))} min`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} hr`;
+  return `${Math.round(seconds / 86400)} days`;
+};
+
+// How often to poll the job if the progress stream drops
+const JOB_POLL_INTERVAL = 2000;
+
+// Helper function to apply a progress event to the job's step list
+const updateStep = (steps, progress) => steps.map(step => {
+  if (step.id !== progress.step) return step;
+  
+  return {
+    ...step,
+    // 'progress' updates (one per competitor) keep the step running
+    status: ['started', 'progress'].includes(progress.status) ? 'running' : progress.status,
+    message: progress.message || step.message,
+    ...(progress.total !== undefined ? { finished: progress.finished || 0, total: progress.total } : {})
+  };
+});
+
+// Helper function to turn the selected comparison into quadrant movement coordinates
+const getMovement = (history, comparison) => {
+  if (!comparison) return null;
+  
+  const from = history.find(point => point.id === comparison.fromId);
+  const to = history.find(point => point.id === comparison.toId);
+  if (!from || !to) return null;
+  
+  return {
+    from: { expertiseScore: from.expertiseSignals, authorityScore: from.digitalAuthority },
+    to: { expertiseScore: to.expertiseSignals, authorityScore: to.digitalAuthority },
+    fromLabel: new Date(from.createdAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })
+  };
+};
+
+// Badge text and colours for each analysis provenance method
+const PROVENANCE_BADGES = {
+  'ai': { label: 'AI-Enhanced', className: 'bg-blue-100 text-blue-800' },
+  'rule-based': { label: 'Rule-Based', className: 'bg-yellow-100 text-yellow-800' },
+  'fallback': { label: 'Placeholder Data', className: 'bg-red-100 text-red-800' }
+};
 
 const Dashboard = () => {
   const [searchParams] = useSearchParams();
   const [analysis, setAnalysis] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [steps, setSteps] = useState([]);
+  const [competitorsLoading, setCompetitorsLoading] = useState(true);
+  const [competitorError, setCompetitorError] = useState(null);
   
   useEffect(() => {
     const url = searchParams.get('url');
     const industry = searchParams.get('industry');
     const specialty = searchParams.get('specialty') || '';
+    const market = searchParams.get('market') || '';
+    const simulation = searchParams.get('simulation') || 'labelled';
+    const forceRefresh = searchParams.get('refresh') === 'true';
     
     // Only proceed if we have the required parameters
     if (!url || !industry) {
@@ -23,39 +90,142 @@ const Dashboard = () => {
       return;
     }
     
+    let cancelled = false;
+    let closeStream = null;
+    let pollTimer = null;
+    const appliedSections = new Set();
+    
+    // Load previous runs for the trend chart (optional - the dashboard works without it)
+    const loadHistory = async () => {
+      try {
+        const historyData = await getHistory(url, industry, specialty, market);
+        const analyses = historyData.analyses || [];
+        setHistory(analyses);
+        
+        // Compare the previous run with the latest one by default
+        if (analyses.length >= 2) {
+          setComparison({
+            fromId: analyses[analyses.length - 2].id,
+            toId: analyses[analyses.length - 1].id
+          });
+        }
+      } catch (historyError) {
+        console.error('Error loading analysis history:', historyError);
+      }
+    };
+    
+    // Render each section as soon as the job finishes it
+    const applySection = (section, data) => {
+      if (cancelled || appliedSections.has(section)) return;
+      appliedSections.add(section);
+      
+      if (section === 'analysis') {
+        console.log('Analysis data received:', data);
+        setAnalysis(prev => ({ ...prev, ...data }));
+        setLoading(false);
+        loadHistory();
+      } else if (section === 'industryAverage') {
+        setAnalysis(prev => ({ ...prev, industryAverage: data }));
+      } else if (section === 'competitors') {
+        console.log('Competitor data received:', data);
+        setAnalysis(prev => ({
+          ...prev,
+          competitors: data.competitors || [],
+          insights: data.insights || []
+        }));
+        setCompetitorsLoading(false);
+      }
+    };
+    
+    const applySectionError = (section, message) => {
+      if (cancelled || appliedSections.has(section)) return;
+      appliedSections.add(section);
+      
+      if (section === 'analysis') {
+        setError(message || 'Failed to load analysis data. Please try again.');
+        setLoading(false);
+      } else if (section === 'competitors') {
+        setCompetitorError(message);
+        setCompetitorsLoading(false);
+      }
+    };
+    
+    const finish = () => {
+      if (cancelled) return;
+      setLoading(false);
+      setCompetitorsLoading(false);
+    };
+    
+    // Apply a full job (from the stream snapshot or a poll)
+    const applyJob = (job) => {
+      if (cancelled) return;
+      setSteps(job.steps || []);
+      Object.entries(job.results || {}).forEach(([section, data]) => applySection(section, data));
+      Object.entries(job.errors || {}).forEach(([section, message]) => applySectionError(section, message));
+      if (job.status === 'completed' || job.status === 'failed') {
+        finish();
+      }
+    };
+    
+    // Fallback when the progress stream isn't available
+    const pollJob = async (jobId) => {
+      try {
+        const job = await getJob(jobId);
+        applyJob(job);
+        if (!cancelled && job.status !== 'completed' && job.status !== 'failed') {
+          pollTimer = setTimeout(() => pollJob(jobId), JOB_POLL_INTERVAL);
+        }
+      } catch (pollError) {
+        console.error('Error polling analysis job:', pollError);
+        if (!cancelled) {
+          setError('Failed to load analysis data. Please try again.');
+          finish();
+        }
+      }
+    };
+    
     const loadData = async () => {
       try {
         setLoading(true);
         setError(null);
+        setAnalysis(null);
+        setCompetitorsLoading(true);
+        setCompetitorError(null);
         
         console.log('Fetching analysis for:', url, industry, specialty);
         
-        // Make actual API calls to the backend
-        const analysisData = await analyzeWebsite(url, industry, specialty);
-        const competitorData = await getCompetitors(url, industry, specialty);
-        const industryAvgData = await getIndustryAverage(industry, specialty);
-        
-        console.log('Analysis data received:', analysisData);
-        console.log('Competitor data received:', competitorData);
+        // Start the analysis job, then follow its progress
+        const job = await createAnalysisJob({ url, industry, specialty, market, simulation, forceRefresh });
+        if (cancelled) return;
+        applyJob(job);
         
-        // Combine the data
-        const combinedData = {
-          ...analysisData,
-          competitors: competitorData.competitors || [],
-          insights: competitorData.insights || [],
-          industryAverage: industryAvgData
-        };
-        
-        setAnalysis(combinedData);
+        closeStream = streamJob(job.id, {
+          onSnapshot: applyJob,
+          onProgress: (progress) => {
+            if (!cancelled) setSteps(prev => updateStep(prev, progress));
+          },
+          onSection: ({ section, data }) => applySection(section, data),
+          onSectionError: ({ section, message }) => applySectionError(section, message),
+          onDone: finish,
+          onError: () => {
+            console.error('Progress stream closed, polling the analysis job instead');
+            pollJob(job.id);
+          }
+        });
       } catch (error) {
         console.error('Error loading analysis:', error);
-        setError('Failed to load analysis data. Please try again.');
-      } finally {
-        setLoading(false);
+        setError(error.response?.data?.message || 'Failed to load analysis data. Please try again.');
+        finish();
       }
     };
     
     loadData();
+    
+    return () => {
+      cancelled = true;
+      if (closeStream) closeStream();
+      clearTimeout(pollTimer);
+    };
   }, [searchParams]);
 
   if (loading) {
@@ -63,7 +233,10 @@ const Dashboard = () => {
       <div className="max-w-7xl mx-auto px-4 py-8 flex items-center justify-center min-h-screen">
         <div className="text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto"></div>
-          <p className="mt-4 text-gray-600">Analyzing your website and competitors...</p>
+          <p className="mt-4 mb-6 text-gray-600">Analyzing your website and competitors...</p>
+          <div className="text-left">
+            <JobProgress steps={steps} />
+          </div>
         </div>
       </div>
     );
@@ -101,16 +274,61 @@ const Dashboard = () => {
             score={analysis.credibilityScore} 
             label={analysis.scoreLabels?.overall || 'MEDIUM'} 
           />
+          {analysis.weightProfile && (
+            <p className="mt-2 text-xs text-gray-500 text-center">
+              Weighted for {analysis.weightProfile.name}: expertise {Math.round(analysis.weightProfile.expertiseWeight * 100)}%, 
+              audience trust {Math.round(analysis.weightProfile.authorityWeight * 100)}%, 
+              communication {Math.round(analysis.weightProfile.consistencyWeight * 100)}%
+            </p>
+          )}
+          {analysis.compliance && analysis.complianceScore !== null && (
+            <div className="mt-4 bg-white p-4 rounded-lg shadow text-center">
+              <div className="text-sm font-medium text-gray-500 mb-1">Compliance Score</div>
+              <div className={`text-3xl font-bold ${analysis.complianceScore >= 80 ? 'text-green-600' : 'text-red-600'}`}>
+                {analysis.complianceScore}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                {analysis.compliance.pack.name} - scored separately from credibility
+              </p>
+            </div>
+          )}
         </div>
         
         <div className="lg:col-span-3">
           <h2 className="text-xl font-semibold flex items-center mb-6">
             Credibility Score Results
-            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">
-              AI-Enhanced
-            </span>
+            {(() => {
+              const provenance = analysis.provenance || { method: 'fallback' };
+              const badge = PROVENANCE_BADGES[provenance.method] || PROVENANCE_BADGES.fallback;
+              
+              return (
+                <span 
+                  className={`ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${badge.className}`}
+                  title={provenance.model ? `${provenance.provider} / ${provenance.model}` : provenance.provider || ''}
+                >
+                  {badge.label}
+                </span>
+              );
+            })()}
           </h2>
           
+          {analysis.provenance?.reason && (
+            <p className="-mt-4 mb-6 text-sm text-gray-600">{analysis.provenance.reason}</p>
+          )}
+          
+          {(() => {
+            const cached = Object.entries(analysis.cache?.sources || {}).filter(([, usage]) => usage.hits > 0);
+            if (cached.length === 0) return null;
+            
+            return (
+              <p className="-mt-4 mb-6 text-xs text-gray-500">
+                Reused cached data: {cached.map(([source, usage]) => 
+                  `${CACHE_SOURCE_LABELS[source] || source} (${formatAge(usage.ageSeconds)} old)`
+                ).join(', ')}
+              </p>
+            );
+          })()}
+          
           {/* Score cards */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="bg-white p-6 rounded-lg shadow">
@@ -149,9 +367,47 @@ const Dashboard = () => {
               </div>
             </div>
           </div>
+          
+          {/* Score trend over previous runs */}
+          <div className="mt-6">
+            <ScoreTrendChart history={history} />
+          </div>
         </div>
       </div>
       
+      {/* HTTPS, legal pages and contact details */}
+      <TrustAuditChecklist audit={analysis.trustAudit} />
+      
+      {/* AHPRA, AFSL, builder licence and ABN numbers checked against the registers */}
+      <RegistrationChecks registrations={analysis.registrations} />
+      
+      {/* Pass or fail for each of the industry's advertising and disclosure rules */}
+      <ComplianceChecklist compliance={analysis.compliance} />
+      
+      {/* Before/after comparison of two runs */}
+      {comparison && (
+        <AnalysisComparison 
+          history={history}
+          fromId={comparison.fromId}
+          toId={comparison.toId}
+          onChange={(fromId, toId) => setComparison({ fromId, toId })}
+        />
+      )}
+      
+      {/* Competitor progress - the rest of the dashboard is already shown */}
+      {competitorsLoading && (
+        <JobProgress
+          steps={steps.filter(step => step.id.startsWith('competitor-'))}
+          title="Analyzing competitors..."
+        />
+      )}
+      
+      {competitorError && (
+        <div className="bg-yellow-50 p-4 rounded-md mb-8">
+          <p className="text-yellow-800">{competitorError}</p>
+        </div>
+      )}
+      
       {/* Market Position Quadrant */}
       <MarketPositionQuadrant 
         userData={{
@@ -160,11 +416,8 @@ const Dashboard = () => {
           communicationScore: analysis.consistencyMarkers || analysis.communicationScore || 60
         }}
         competitors={analysis.competitors || []}
-        industryAverage={analysis.industryAverage || {
-          expertiseScore: 60,
-          authorityScore: 60,
-          communicationScore: 58
-        }}
+        industryAverage={analysis.industryAverage || null}
+        movement={getMovement(history, comparison)}
       />
       
       {/* Recommendations */}
@@ -0,0 +1,42 @@
+import React from 'react';
+
+// Icon and colour for each step status
+const STATUS_STYLES = {
+  pending: { icon: '○', className: 'text-gray-400' },
+  running: { icon: '◌', className: 'text-blue-600 animate-pulse' },
+  completed: { icon: '✓', className: 'text-green-600' },
+  failed: { icon: '!', className: 'text-red-600' },
+  skipped: { icon: '–', className: 'text-gray-400' }
+};
+
+const JobProgress = ({ steps, title }) => {
+  if (!steps || steps.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      {title && <h3 className="font-semibold text-lg mb-4">{title}</h3>}
+      <ul className="space-y-2">
+        {steps.map(step => {
+          const style = STATUS_STYLES[step.status] || STATUS_STYLES.pending;
+
+          return (
+            <li key={step.id} className="flex items-start text-sm">
+              <span className={`w-5 font-bold ${style.className}`}>{style.icon}</span>
+              <span className={step.status === 'pending' ? 'text-gray-400' : 'text-gray-800'}>
+                {step.label}
+                {step.total > 0 && step.status === 'running' && ` (${step.finished || 0}/${step.total})`}
+              </span>
+              {step.message && step.status !== 'pending' && (
+                <span className="ml-2 text-gray-500">- {step.message}</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default JobProgress;
\ No newline at end of file
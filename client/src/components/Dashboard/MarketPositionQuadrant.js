@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 
-const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
+const MarketPositionQuadrant = ({ userData, competitors, industryAverage, movement }) => {
   const [hoveredItem, setHoveredItem] = useState(null);
   
   // Set up dimensions and layout
@@ -82,6 +82,59 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
     </>
   );
 
+  // Render an arrow showing how the user's position moved between two analyses
+  const renderMovement = () => {
+    if (!movement || !movement.from || !movement.to) return null;
+    
+    const start = mapToCoordinates(movement.from.authorityScore, movement.from.expertiseScore);
+    const end = mapToCoordinates(movement.to.authorityScore, movement.to.expertiseScore);
+    
+    // Nothing to draw if the position didn't change
+    if (Math.abs(start.x - end.x) < 1 && Math.abs(start.y - end.y) < 1) return null;
+    
+    return (
+      <g>
+        <defs>
+          <marker id="movement-arrow" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+            <path d="M0,0 L0,6 L9,3 z" fill="#065F46" />
+          </marker>
+        </defs>
+        
+        {/* Previous position */}
+        <circle 
+          cx={start.x} 
+          cy={start.y} 
+          r={8} 
+          fill="#10B981" 
+          stroke="#065F46"
+          strokeWidth={2}
+          strokeDasharray="3,2"
+          opacity={0.35}
+        />
+        <text 
+          x={start.x} 
+          y={start.y + 20} 
+          textAnchor="middle" 
+          fill="#6B7280" 
+          className="text-xs"
+        >
+          {movement.fromLabel || 'Previous'}
+        </text>
+        
+        {/* Arrow from the previous position to the new one */}
+        <line 
+          x1={start.x} 
+          y1={start.y} 
+          x2={end.x} 
+          y2={end.y} 
+          stroke="#065F46" 
+          strokeWidth="2"
+          markerEnd="url(#movement-arrow)"
+        />
+      </g>
+    );
+  };
+
   // Render entity (user, competitor, or industry average)
   const renderEntity = (entity, index) => {
     const { authorityScore, expertiseScore } = entity;
@@ -103,6 +156,9 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
       strokeColor = "#4B5563";
       radius = 10;
       strokeWidth = 2;
+    } else if (entity.isSimulated) {
+      fillColor = "#F3F4F6"; // Hollow grey for illustrative (simulated) competitors
+      strokeColor = "#6B7280";
     } else if (entity.isBoss) {
       fillColor = "#F87171"; // Red for top competitor
       strokeColor = "#B91C1C";
@@ -110,6 +166,7 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
     }
     
     const isHovered = hoveredItem === entity.name;
+    const tooltipHeight = entity.isSimulated || entity.failureReason ? 100 : 80;
     
     return (
       <g key={index} onMouseEnter={() => setHoveredItem(entity.name)} onMouseLeave={() => setHoveredItem(null)}>
@@ -121,6 +178,7 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
           fill={fillColor} 
           stroke={strokeColor}
           strokeWidth={strokeWidth}
+          strokeDasharray={entity.isSimulated ? "4,3" : undefined}
           opacity={0.8}
         />
         
@@ -135,6 +193,19 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
           {entity.name}
         </text>
         
+        {/* Illustrative tag for simulated competitors */}
+        {entity.isSimulated && (
+          <text 
+            x={x} 
+            y={y + radius + 24} 
+            textAnchor="middle" 
+            fill="#6B7280" 
+            className="text-xs italic"
+          >
+            illustrative
+          </text>
+        )}
+        
         {/* Tooltip on hover */}
         {isHovered && (
           <g>
@@ -142,7 +213,7 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
               x={x + 15} 
               y={y - 40} 
               width={180} 
-              height={80} 
+              height={tooltipHeight} 
               rx={4} 
               fill="white" 
               stroke="#E5E7EB"
@@ -158,20 +229,38 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
             <text x={x + 25} y={y + 20} fill="#4B5563" className="text-xs">
               Audience Trust: {authorityScore}
             </text>
+            {entity.isSimulated && (
+              <text x={x + 25} y={y + 40} fill="#6B7280" className="text-xs italic">
+                Illustrative - not a real business
+              </text>
+            )}
+            {!entity.isSimulated && entity.failureReason && (
+              <text x={x + 25} y={y + 40} fill="#B45309" className="text-xs italic">
+                Partly analyzed - {entity.failureReason.length > 24 ? `${entity.failureReason.slice(0, 24)}...` : entity.failureReason}
+              </text>
+            )}
           </g>
         )}
       </g>
     );
   };
 
+  // Competitors whose websites couldn't be analyzed have no scores to plot
+  const scoredCompetitors = competitors.filter(comp => typeof comp.expertiseScore === 'number' && typeof comp.authorityScore === 'number');
+  const unscoredCompetitors = competitors.filter(comp => !scoredCompetitors.includes(comp));
+
+  // The industry average is only plotted once enough other sites have been analysed
+  const hasIndustryAverage = Boolean(industryAverage) && !industryAverage.insufficientData &&
+    typeof industryAverage.expertiseScore === 'number' && typeof industryAverage.authorityScore === 'number';
+
   // Prepare entities array (user, competitors, industry average)
   const entities = [
     // User data
     { ...userData, isUser: true, name: "Your Position" },
     // Industry average
-    { ...industryAverage, isIndustry: true, name: "Industry Average" },
+    ...(hasIndustryAverage ? [{ ...industryAverage, isIndustry: true, name: "Industry Average" }] : []),
     // Competitors
-    ...competitors.map(comp => ({ ...comp, name: comp.name }))
+    ...scoredCompetitors.map(comp => ({ ...comp, name: comp.name }))
   ];
 
   return (
@@ -212,6 +301,8 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
           
           {renderQuadrantLines()}
           
+          {renderMovement()}
+          
           {/* Entities (user, competitors, industry average) */}
           {entities.map(renderEntity)}
         </svg>
@@ -220,6 +311,27 @@ const MarketPositionQuadrant = ({ userData, competitors, industryAverage }) => {
         Calculated utilizing DataForSEO estimated website traffic/month, branded content in search, 
         total social media followers and Google review score.
       </p>
+      {competitors.some(comp => comp.isSimulated) && (
+        <p className="text-sm text-gray-500 mt-2">
+          Competitors with a dashed outline are illustrative examples, not real businesses.
+        </p>
+      )}
+      {scoredCompetitors.some(comp => !comp.isSimulated && comp.failureReason) && (
+        <p className="text-sm text-gray-500 mt-2">
+          Some competitors couldn't be fully analyzed in time, so parts of their data are missing.
+        </p>
+      )}
+      {unscoredCompetitors.length > 0 && (
+        <p className="text-sm text-gray-500 mt-2">
+          Not plotted - couldn't be analyzed: {unscoredCompetitors.map(comp => `${comp.name} (${comp.failureReason || 'no scores'})`).join(', ')}
+        </p>
+      )}
+      {industryAverage && industryAverage.insufficientData && (
+        <p className="text-sm text-gray-500 mt-2">
+          Industry average not shown - not enough other sites in this industry have been analyzed yet
+          ({industryAverage.sampleSize} of the {industryAverage.minimumSampleSize} needed).
+        </p>
+      )}
     </div>
   );
 };
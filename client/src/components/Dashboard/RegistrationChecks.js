@@ -0,0 +1,40 @@
+import React from 'react';
+
+// Badge text and colours for each verification status
+const STATUS_BADGES = {
+  verified: { label: 'Verified', className: 'bg-green-100 text-green-800' },
+  unverifiable: { label: 'Unverifiable', className: 'bg-gray-100 text-gray-700' },
+  mismatched: { label: 'Mismatched', className: 'bg-red-100 text-red-800' }
+};
+
+const RegistrationChecks = ({ registrations }) => {
+  if (!registrations || !registrations.results || registrations.results.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <h3 className="font-semibold text-lg mb-4">Registration Checks</h3>
+      <ul className="divide-y divide-gray-100">
+        {registrations.results.map(result => {
+          const badge = STATUS_BADGES[result.status] || STATUS_BADGES.unverifiable;
+
+          return (
+            <li key={`${result.register}-${result.number}`} className="py-2 flex flex-wrap items-center text-sm">
+              <span className="font-medium text-gray-800 mr-2">{result.label}</span>
+              <span className="font-mono text-gray-600 mr-2">{result.number}</span>
+              <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${badge.className}`}>
+                {badge.label}
+              </span>
+              {result.reason && (
+                <span className="w-full md:w-auto md:ml-2 text-xs text-gray-500">{result.reason}</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default RegistrationChecks;
\ No newline at end of file
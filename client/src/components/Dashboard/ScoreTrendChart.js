@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+
+// The three pillar scores plotted on the chart
+const SERIES = [
+  { key: 'expertiseSignals', label: 'Expertise Validation', color: '#3B82F6' },
+  { key: 'digitalAuthority', label: 'Audience Trust', color: '#10B981' },
+  { key: 'consistencyMarkers', label: 'Communication Integrity', color: '#F59E0B' }
+];
+
+const ScoreTrendChart = ({ history }) => {
+  const [hoveredIndex, setHoveredIndex] = useState(null);
+
+  // Set up dimensions and layout
+  const width = 560;
+  const height = 220;
+  const padding = { top: 20, right: 20, bottom: 40, left: 40 };
+  const innerWidth = width - padding.left - padding.right;
+  const innerHeight = height - padding.top - padding.bottom;
+
+  if (!history || history.length < 2) {
+    return (
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h3 className="font-semibold text-lg mb-2">Score Trend</h3>
+        <p className="text-sm text-gray-500">
+          Run the Authority Index again next month to start tracking your progress.
+        </p>
+      </div>
+    );
+  }
+
+  // Helper function to map a point in the history to chart coordinates
+  const mapToCoordinates = (index, score) => {
+    const x = padding.left + (index / (history.length - 1)) * innerWidth;
+    const y = padding.top + innerHeight - ((score || 0) / 100) * innerHeight;
+    return { x, y };
+  };
+
+  const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-lg">Score Trend</h3>
+        <div className="flex space-x-4">
+          {SERIES.map(series => (
+            <div key={series.key} className="flex items-center text-xs text-gray-600">
+              <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: series.color }}></span>
+              {series.label}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <svg width={width} height={height}>
+        {/* Horizontal grid lines */}
+        {[0, 25, 50, 75, 100].map(score => (
+          <React.Fragment key={`grid-${score}`}>
+            <line
+              x1={padding.left}
+              y1={mapToCoordinates(0, score).y}
+              x2={width - padding.right}
+              y2={mapToCoordinates(0, score).y}
+              stroke="#E5E7EB"
+              strokeWidth="1"
+            />
+            <text x={padding.left - 8} y={mapToCoordinates(0, score).y + 4} textAnchor="end" fill="#6B7280" className="text-xs">
+              {score}
+            </text>
+          </React.Fragment>
+        ))}
+
+        {/* Date labels */}
+        {history.map((point, index) => (
+          <text
+            key={`date-${point.id}`}
+            x={mapToCoordinates(index, 0).x}
+            y={height - padding.bottom + 20}
+            textAnchor="middle"
+            fill="#6B7280"
+            className="text-xs"
+          >
+            {formatDate(point.createdAt)}
+          </text>
+        ))}
+
+        {/* One line per pillar score */}
+        {SERIES.map(series => (
+          <g key={series.key}>
+            <polyline
+              fill="none"
+              stroke={series.color}
+              strokeWidth="2"
+              points={history.map((point, index) => {
+                const { x, y } = mapToCoordinates(index, point[series.key]);
+                return `${x},${y}`;
+              }).join(' ')}
+            />
+            {history.map((point, index) => {
+              const { x, y } = mapToCoordinates(index, point[series.key]);
+              return (
+                <circle
+                  key={`${series.key}-${point.id}`}
+                  cx={x}
+                  cy={y}
+                  r={hoveredIndex === index ? 5 : 3}
+                  fill={series.color}
+                  onMouseEnter={() => setHoveredIndex(index)}
+                  onMouseLeave={() => setHoveredIndex(null)}
+                />
+              );
+            })}
+          </g>
+        ))}
+
+        {/* Tooltip on hover */}
+        {hoveredIndex !== null && (() => {
+          const point = history[hoveredIndex];
+          const { x } = mapToCoordinates(hoveredIndex, 0);
+          const tooltipX = Math.min(x + 10, width - 170);
+
+          return (
+            <g>
+              <rect x={tooltipX} y={padding.top} width={160} height={80} rx={4} fill="white" stroke="#E5E7EB" strokeWidth={1} opacity={0.95} />
+              <text x={tooltipX + 10} y={padding.top + 18} fill="#1F2937" className="text-xs font-medium">
+                {formatDate(point.createdAt)} - Overall {point.credibilityScore}
+              </text>
+              {SERIES.map((series, i) => (
+                <text key={series.key} x={tooltipX + 10} y={padding.top + 36 + (i * 16)} fill={series.color} className="text-xs">
+                  {series.label}: {point[series.key]}
+                </text>
+              ))}
+            </g>
+          );
+        })()}
+      </svg>
+    </div>
+  );
+};
+
+export default ScoreTrendChart;
\ No newline at end of file
@@ -0,0 +1,67 @@
+import React from 'react';
+
+// Heading for each group of checks, in display order
+const GROUP_LABELS = {
+  security: 'Security',
+  legal: 'Legal pages',
+  contact: 'Contact details'
+};
+
+// Icon and colour for each check status
+const STATUS_STYLES = {
+  pass: { icon: '✓', className: 'text-green-600' },
+  fail: { icon: '✗', className: 'text-red-600' },
+  unknown: { icon: '?', className: 'text-gray-400' }
+};
+
+const TrustAuditChecklist = ({ audit }) => {
+  if (!audit || !audit.checks || audit.checks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-8">
+      <div className="flex flex-wrap items-baseline justify-between mb-4">
+        <h3 className="font-semibold text-lg">Trust Signals Audit</h3>
+        <span className="text-sm text-gray-500">
+          {audit.summary.passed} of {audit.checks.length} checks passed
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {Object.entries(GROUP_LABELS).map(([group, groupLabel]) => {
+          const checks = audit.checks.filter(check => check.group === group);
+          if (checks.length === 0) return null;
+
+          return (
+            <div key={group}>
+              <h4 className="text-sm font-medium text-gray-500 mb-2">{groupLabel}</h4>
+              <ul className="space-y-2">
+                {checks.map(check => {
+                  const style = STATUS_STYLES[check.status] || STATUS_STYLES.unknown;
+
+                  return (
+                    <li key={check.id} className="flex items-start text-sm">
+                      <span className={`w-5 font-bold ${style.className}`}>{style.icon}</span>
+                      <span>
+                        <span className="text-gray-800">{check.label}</span>
+                        {check.detail && (
+                          <span className="block text-xs text-gray-500 break-all">{check.detail}</span>
+                        )}
+                        {check.advice && (
+                          <span className="block text-xs text-red-700">{check.advice}</span>
+                        )}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TrustAuditChecklist;
\ No newline at end of file
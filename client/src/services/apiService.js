@@ -53,12 +53,14 @@ apiClient.interceptors.response.use(
 );
 
 // API functions
-export const analyzeWebsite = async (url, industry, specialty = '') => {
+// market: 'AU' (default), 'NZ', 'UK' or 'US' - sets the regulators, address formats and search location
+export const analyzeWebsite = async (url, industry, specialty = '', market = '') => {
   try {
     const response = await apiClient.post('/analyze', {
       url,
       industry,
-      specialty
+      specialty,
+      market
     });
     return response.data;
   } catch (error) {
@@ -67,12 +69,15 @@ export const analyzeWebsite = async (url, industry, specialty = '') => {
   }
 };
 
-export const getCompetitors = async (url, industry, specialty = '') => {
+// competitorOptions: { competitors: [{ name, url }], competitorMode: 'merge' | 'replace', competitorSet, market }
+export const getCompetitors = async (url, industry, specialty = '', simulation = 'labelled', competitorOptions = {}) => {
   try {
     const response = await apiClient.post('/competitors', {
       url,
       industry,
-      specialty
+      specialty,
+      simulation,
+      ...competitorOptions
     });
     return response.data;
   } catch (error) {
@@ -81,11 +86,62 @@ export const getCompetitors = async (url, industry, specialty = '') => {
   }
 };
 
+// Start a background analysis job - takes the same parameters as getCompetitors
+export const createAnalysisJob = async (params) => {
+  try {
+    const response = await apiClient.post('/jobs', params);
+    return response.data;
+  } catch (error) {
+    console.error('Analysis job error:', error);
+    throw error;
+  }
+};
+
+export const getJob = async (jobId) => {
+  try {
+    const response = await apiClient.get(`/jobs/${jobId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Analysis job status error:', error);
+    throw error;
+  }
+};
+
+// Stream a job's progress with Server-Sent Events
+// handlers: { onSnapshot, onProgress, onSection, onSectionError, onDone, onError }
+// Returns a function that closes the stream
+export const streamJob = (jobId, handlers) => {
+  const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`);
+  
+  const listen = (type, handler) => {
+    source.addEventListener(type, (event) => {
+      if (handler) handler(JSON.parse(event.data));
+    });
+  };
+  
+  listen('snapshot', handlers.onSnapshot);
+  listen('progress', handlers.onProgress);
+  listen('section', handlers.onSection);
+  listen('section-error', handlers.onSectionError);
+  listen('done', (data) => {
+    source.close();
+    if (handlers.onDone) handlers.onDone(data);
+  });
+  
+  source.onerror = (error) => {
+    // Close rather than let the browser reconnect - the caller can poll getJob instead
+    source.close();
+    if (handlers.onError) handlers.onError(error);
+  };
+  
+  return () => source.close();
+};
+
 // New API functions
-export const getIndustryAverage = async (industry, specialty = '') => {
+export const getIndustryAverage = async (industry, specialty = '', market = '', url = '') => {
   try {
     const response = await apiClient.get('/industry-average', {
-      params: { industry, specialty }
+      params: { industry, specialty, market, url }
     });
     return response.data;
   } catch (error) {
@@ -94,13 +150,15 @@ export const getIndustryAverage = async (industry, specialty = '') => {
   }
 };
 
-export const getRecommendations = async (url, industry, competitors, specialty = '') => {
+export const getRecommendations = async (url, industry, competitors, specialty = '', analysis = null, market = '') => {
   try {
     const response = await apiClient.post('/recommendations', {
       url,
       industry,
       specialty,
-      competitorData: competitors
+      competitorData: competitors,
+      analysis,
+      market
     });
     return response.data;
   } catch (error) {
@@ -109,12 +167,31 @@ export const getRecommendations = async (url, industry, competitors, specialty =
   }
 };
 
+export const getHistory = async (domain, industry = '', specialty = '', market = '') => {
+  try {
+    const response = await apiClient.get('/history', {
+      params: { domain, industry, specialty, market }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Analysis history error:', error);
+    throw error;
+  }
+};
+
 // Fallback function for when API calls fail
 export const generateFallbackData = (url, industry, specialty = '') => {
   console.warn('Using fallback data for', url, industry, specialty);
   
   // Generate basic fallback data to avoid UI errors
+  // (labelled as placeholder data so it is never mistaken for a real analysis)
   return {
+    provenance: {
+      method: 'fallback',
+      provider: null,
+      model: null,
+      reason: 'The analysis service could not be reached. These are placeholder scores, not an analysis of your website.'
+    },
     credibilityScore: 60,
     expertiseSignals: 55,
     digitalAuthority: 65,
@@ -132,14 +209,15 @@ export const generateFallbackData = (url, industry, specialty = '') => {
         authorityScore: 75,
         communicationScore: 65,
         position: 'VERIFIED EXPERT',
-        isBoss: true
+        isSimulated: true
       },
       {
         name: 'Competitor 2',
         expertiseScore: 50,
         authorityScore: 85,
         communicationScore: 60,
-        position: 'VISIBILITY WITHOUT SUBSTANCE'
+        position: 'VISIBILITY WITHOUT SUBSTANCE',
+        isSimulated: true
       },
       {
         name: 'Industry Average',
@@ -177,7 +255,11 @@ export const generateFallbackData = (url, industry, specialty = '') => {
 export default {
   analyzeWebsite,
   getCompetitors,
+  createAnalysisJob,
+  getJob,
+  streamJob,
   getIndustryAverage,
   getRecommendations,
+  getHistory,
   generateFallbackData
 };
\ No newline at end of file
@@ -3,58 +3,79 @@
  * Handles integration with OpenAI for content analysis
  */
 
-const axios = require('axios');
-
-let OPENAI_API_KEY;
+const scoring = require('./scoring');
+const llmProvider = require('./llm-provider');
+const analysisSchema = require('./analysis-schema');
+const structuredData = require('./structured-data');
+const trustAudit = require('./trust-audit');
+const registrationVerifier = require('./registration-verifier');
+const rulesLoader = require('./rules-loader');
 
 /**
- * Initialize the module with API key
+ * Initialize the module with API key and LLM provider settings
  * @param {Object} config - Configuration object with API keys
  */
 function init(config) {
-  OPENAI_API_KEY = config.openaiApiKey;
+  llmProvider.init(config);
 }
 
 /**
- * Analyze website content using OpenAI
+ * Analyze website content using the configured LLM provider
  * @param {string} content - Website content to analyze
  * @param {string} industry - Industry category
  * @param {string} specialty - Optional industry specialty
- * @returns {Promise<Object|null>} - AI analysis results
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Called with { step, status, message } as each step starts or finishes
+ * @param {Object} options.structuredData - Optional schema.org/Open Graph summary from the crawl (see structured-data)
+ * @param {Object} options.trustAudit - Optional technical trust audit (see trust-audit) - the model is told the results rather than guessing them
+ * @param {Object} options.registrations - Optional registration checks (see registration-verifier)
+ * @param {string} options.market - Optional market code (default AU) - sets the regulators the model is told about
+ * @returns {Promise<Object>} - AI analysis results
+ * @throws {Error} - When no AI analysis could be produced (the message explains why)
  */
-async function analyzeContent(content, industry, specialty = '') {
+async function analyzeContent(content, industry, specialty = '', options = {}) {
+  const onProgress = options.onProgress || (() => {});
   const maxRetries = 3;
   let retries = 0;
+  let reportedPreAnalysis = false;
 
   while (retries < maxRetries) {
     try {
-      if (!OPENAI_API_KEY) {
-        console.log('OpenAI API key not configured');
-        return null;
+      if (!llmProvider.isConfigured()) {
+        throw new Error('LLM provider not configured');
       }
 
       // Trim content to avoid excessive token usage
       const contentSample = content.substring(0, 8000).trim();
 
       if (contentSample.length < 100) {
-        console.log('Content too short for meaningful AI analysis');
-        return null;
+        throw new Error('Content too short for meaningful AI analysis');
       }
 
       // Pre-analyze content for existing elements to avoid redundant recommendations
-      const existingElements = preAnalyzeContent(contentSample);
+      const existingElements = preAnalyzeContent(contentSample, options.structuredData);
+      const structuredSummary = structuredData.describeStructuredData(options.structuredData);
+      const auditSummary = trustAudit.describeTrustAudit(options.trustAudit);
+      const registrationSummary = registrationVerifier.describeRegistrationResults(options.registrations);
       console.log('Pre-analysis detected existing elements:', existingElements);
 
+      if (!reportedPreAnalysis) {
+        const found = Object.keys(existingElements).filter(key => existingElements[key]).length;
+        onProgress({ step: 'pre-analysis', status: 'completed', message: `Found ${found} common website elements` });
+        onProgress({ step: 'ai-analysis', status: 'started', message: 'Requesting AI analysis' });
+        reportedPreAnalysis = true;
+      }
+
       // Check for industry-specific compliance rules
-      const complianceGuidelines = getComplianceGuidelines(industry, specialty);
+      const complianceGuidelines = getComplianceGuidelines(industry, specialty, options.market);
 
-      const systemPrompt = `You are an expert marketing and UX analyst in the <span class="math-inline">\{industry\} industry</span>{specialty ? ` specializing in ${specialty}` : ''}. You combine the marketing principles of Professor Mark Ritson and the UX principles of Paul Boag to evaluate website content for expertise, authority, and consistency.
+      const systemPrompt = `You are an expert marketing and UX analyst in the ${industry} industry${specialty ? ` specializing in ${specialty}` : ''}. You combine the marketing principles of Professor Mark Ritson and the UX principles of Paul Boag to evaluate website content for expertise, authority, and consistency.
 
 Your task is to provide a thorough, objective assessment of website content, identifying signals of expertise, authority, and trustworthiness, using industry standards.  
 
 IMPORTANT: Your output MUST be in valid JSON format, adhering to the schema provided in the user prompt. DO NOT provide any introductory or explanatory text outside of the JSON object.
 
-${getIndustrySpecificInstructions(industry, specialty)}
+${getIndustrySpecificInstructions(industry, specialty, options.market)}
 
 ${complianceGuidelines ? `IMPORTANT COMPLIANCE INFORMATION: ${complianceGuidelines}` : ''}
 
@@ -66,7 +87,7 @@ ${existingElements.hasCredentials ? '- CREDENTIALS: The website displays qualifi
 ${existingElements.hasPortfolio ? '- PORTFOLIO: The website has a portfolio or case studies. Focus on improving it, not adding one.' : ''}
 `;
 
-      const userPrompt = `Analyze this website content for an <span class="math-inline">\{industry\} business</span>{specialty ? ` specializing in ${specialty}` : ''}.
+      const userPrompt = `Analyze this website content for an ${industry} business${specialty ? ` specializing in ${specialty}` : ''}.
 
 IMPORTANT - READ CAREFULLY: Your analysis MUST account for existing elements. Do NOT recommend adding anything that already exists. Focus on enhancing existing elements.
 
@@ -100,10 +121,10 @@ Evaluate the following, providing a score (0-100) for each area in the JSON outp
     * Original research or unique methodologies.
     * Thought leadership content and publications.
 3.  Trust elements:
-    * Clarity of privacy policy and terms of service.
+    * Clarity of privacy policy and terms of service${auditSummary ? ' (whether they exist is in the trust audit below)' : ''}.
     * Presence and effectiveness of testimonials and case studies.
     * Responsiveness to inquiries (if data is available).
-    * Security measures (e.g., HTTPS, data protection).
+    * Security measures (e.g., HTTPS, data protection)${auditSummary ? ' - use the trust audit below, not the page text' : ''}.
 4.  Content quality:
     * Depth, accuracy, and usefulness of information.
     * Organization and clarity of content.
@@ -117,12 +138,33 @@ Evaluate the following, providing a score (0-100) for each area in the JSON outp
 
 Provide a detailed analysis with specific recommendations for improvement. Remember to AVOID suggesting adding elements that already exist.
 
-Content sample:
+${registrationSummary ? `Registration numbers checked against the public registers (scored separately - treat as confirmed facts):
+${registrationSummary}
+
+` : ''}${auditSummary ? `Technical trust audit (checked directly and scored separately - treat as confirmed facts):
+${auditSummary}
+
+` : ''}${structuredSummary ? `Structured data (schema.org markup on the site - treat these as confirmed facts):
+${structuredSummary}
+
+` : ''}Content sample:
 ${contentSample}
 
 Format your response as a JSON object with these exact properties and no others:
 
 {
+    "checklist": {
+        "hasTeamPage": [true/false - item 1],
+        "hasTestimonials": [true/false - item 2],
+        "hasCredentials": [true/false - item 3],
+        "hasPortfolio": [true/false - item 4],
+        "hasMap": [true/false - item 5],
+        "hasBeforeAfterPhotos": [true/false - item 6],
+        "hasContactForm": [true/false - item 7],
+        "hasPricing": [true/false - item 8],
+        "hasSocialProof": [true/false - item 9],
+        "hasFAQ": [true/false - item 10]
+    },
     "expertiseScore": [0-100 numerical score],
     "authorityScore": [0-100 numerical score],
     "trustScore": [0-100 numerical score],
@@ -185,104 +227,220 @@ Format your response as a JSON object with these exact properties and no others:
 
 Only return valid JSON that can be parsed. Do not include any explanations or text outside the JSON.`;
 
-      console.log(`Sending <span class="math-inline">\{industry\}</span>{specialty ? ` (${specialty})` : ''} content to OpenAI for analysis`);
+      console.log(`Sending ${industry}${specialty ? ` (${specialty})` : ''} content to ${llmProvider.getProviderName()} provider for analysis`);
 
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
+      const result = await requestValidatedAnalysis([
         {
-          model: 'gpt-4o',  // Using GPT-4o for optimal analysis
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: userPrompt
-            }
-          ],
-          temperature: 0.3, // Lower temperature for more consistent results
-          max_tokens: 1000,
-          response_format: { type: "json_object" } // Ensure response is formatted as JSON
+          role: 'system',
+          content: systemPrompt
         },
         {
-          headers: {
-            'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
+          role: 'user',
+          content: userPrompt
         }
-      );
-
-      console.log("OpenAI Response:", response); // ADDED THIS LINE
+      ], existingElements);
 
-      if (response.data && response.data.choices && response.data.choices.length > 0) {
-        const aiResponse = response.data.choices[0].message.content;
+      if (!result) {
+        throw new Error('AI response failed schema validation after repair and re-prompt');
+      }
 
-        try {
-          // Parse the JSON response
-          const analysisData = JSON.parse(aiResponse);
+      const { completion, validation } = result;
+
+      try {
+        const analysisData = result.analysisData;
+        analysisData.validation = validation;
+        analysisData.provenance = {
+          method: 'ai',
+          provider: completion.provider,
+          model: completion.model,
+          reason: null
+        };
+
+        // Log token usage for cost monitoring
+        if (completion.usage) {
+          console.log(`${completion.model} token usage: ${completion.usage.total_tokens} tokens`);
+        }
 
-          // Log token usage for cost monitoring
-          if (response.data.usage) {
-            console.log(`OpenAI token usage: ${response.data.usage.total_tokens} tokens`);
-          }
+        // Calculate credibility score with the industry weight profile
+        const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(analysisData, industry, specialty);
+        analysisData.credibilityScore = credibilityScore;
+        analysisData.weightProfile = weightProfile;
 
-          // Calculate credibility score
-          analysisData.credibilityScore = calculateCredibilityScore(analysisData);
+        // Post-process recommendations to filter out any that still refer to adding elements that already exist
+        analysisData.industrySpecificRecommendations = postProcessRecommendations(
+          analysisData.industrySpecificRecommendations,  
+          existingElements
+        );
+       
+        // Verify recommendations against content
+        verifyRecommendations(analysisData, contentSample, existingElements);
 
-          // Post-process recommendations to filter out any that still refer to adding elements that already exist
-          analysisData.industrySpecificRecommendations = postProcessRecommendations(
-            analysisData.industrySpecificRecommendations,  
-            existingElements
-          );
-         
-          // Verify recommendations against content
-          verifyRecommendations(analysisData, contentSample, existingElements);
-
-          // Generate recommendations
-          analysisData.recommendations = generateRecommendations(analysisData, industry, specialty);
-
-          console.log('AI analysis successful with scores:', {
-            expertise: analysisData.expertiseScore,
-            authority: analysisData.authorityScore,
-            credibility: analysisData.credibilityScore
-          });
-
-          return analysisData; // The fix was here, removed the console.log on the next line.
-        } catch (parseError) {
-          console.error('Error parsing OpenAI response:', parseError.message);
-          console.log('Raw response:', aiResponse);
-          return null;
-        }
-      }
+        // Generate recommendations
+        analysisData.recommendations = generateRecommendations(analysisData, industry, specialty);
 
-      console.log('No valid response from OpenAI');
-      return null;
+        console.log('AI analysis successful with scores:', {
+          expertise: analysisData.expertiseScore,
+          authority: analysisData.authorityScore,
+          credibility: analysisData.credibilityScore
+        });
 
+        return analysisData;
+      } catch (processingError) {
+        throw new Error(`Error processing AI response: ${processingError.message}`);
+      }
     } catch (error) {
       if (error.response && error.response.status === 429) {
         // Rate limit hit - wait and retry
         retries++;
-        console.log(`OpenAI rate limit hit, retrying in ${retries * 3} seconds...`);
+        console.log(`LLM rate limit hit, retrying in ${retries * 3} seconds...`);
         await new Promise(r => setTimeout(r, retries * 3000)); // Wait longer between retries
       } else {
-        console.error('Error analyzing content with OpenAI:', error.message);
-        return null;
+        console.error('Error analyzing content with AI:', error.message);
+        throw error;
       }
     }
   }
 
   // If we get here, all retries failed
-  console.log('All OpenAI retries failed, falling back to local analysis');
-  return null;
+  throw new Error(`AI rate limit still exceeded after ${maxRetries} retries`);
+}
+
+/**
+ * Check a raw model response against the analysis schema, repairing mechanical problems
+ * @param {string} text - Raw model output
+ * @param {Object} existingElements - Pre-analysis results used to fill the checklist
+ * @returns {Object} - { valid, data, errors (before repair), remainingErrors, repairs }
+ */
+function checkAnalysisResponse(text, existingElements) {
+  const parsed = analysisSchema.parseJsonResponse(text);
+  if (!parsed) {
+    const errors = [{ path: '', message: 'Response is not valid JSON' }];
+    return { valid: false, data: null, errors, remainingErrors: errors, repairs: [] };
+  }
+
+  const initial = analysisSchema.validateAnalysis(parsed);
+  if (initial.valid) {
+    return { valid: true, data: parsed, errors: [], remainingErrors: [], repairs: [] };
+  }
+
+  const { data, repairs } = analysisSchema.repairAnalysis(parsed, existingElements);
+  const repaired = analysisSchema.validateAnalysis(data);
+
+  return {
+    valid: repaired.valid,
+    data,
+    errors: initial.errors,
+    remainingErrors: repaired.errors,
+    repairs
+  };
+}
+
+/**
+ * Request an analysis and validate it, re-prompting once with the validation errors
+ * if the response can't be repaired
+ * @param {Array} messages - Chat messages for the analysis
+ * @param {Object} existingElements - Pre-analysis results used to fill the checklist
+ * @returns {Promise<Object|null>} - { analysisData, completion, validation }, or null if no valid response
+ */
+async function requestValidatedAnalysis(messages, existingElements) {
+  // Only responses that pass validation are cached, so a re-prompt never gets a cached bad answer
+  const options = { validate: content => checkAnalysisResponse(content, existingElements).valid };
+
+  let completion = await llmProvider.complete('analysis', messages, options);
+  let check = checkAnalysisResponse(completion.content, existingElements);
+  const initialErrors = check.errors;
+  let reprompted = false;
+
+  if (!check.valid) {
+    console.log('AI response failed validation, re-prompting:', check.remainingErrors);
+    reprompted = true;
+
+    completion = await llmProvider.complete('analysis', [
+      ...messages,
+      {
+        role: 'assistant',
+        content: completion.content || ''
+      },
+      {
+        role: 'user',
+        content: `Your response did not match the required JSON format:\n${analysisSchema.formatErrors(check.remainingErrors)}\n\nReturn the complete, corrected JSON object only.`
+      }
+    ], options);
+    check = checkAnalysisResponse(completion.content, existingElements);
+  }
+
+  if (!check.valid) {
+    console.error('AI response still invalid after repair:', check.remainingErrors);
+    return null;
+  }
+
+  let status = 'valid';
+  if (reprompted) {
+    status = 'reprompted';
+  } else if (check.repairs.length > 0) {
+    status = 'repaired';
+  }
+
+  return {
+    analysisData: check.data,
+    completion,
+    validation: {
+      status,
+      reprompted,
+      errors: initialErrors,
+      repairs: check.repairs
+    }
+  };
+}
+
+/**
+ * Build industry-specific instructions for the analysis prompt
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (default AU)
+ * @returns {string} - Prompt instructions (empty if the industry's rules pack has no regulatory data)
+ */
+function getIndustrySpecificInstructions(industry, specialty = '', market = '') {
+  const regulations = rulesLoader.getIndustry(industry, market);
+  if (!regulations) return '';
+
+  const lines = [`INDUSTRY CONTEXT (${industry}${specialty ? ` - ${specialty}` : ''}, ${rulesLoader.getMarket(market).name}):`];
+
+  if (regulations.credentials.length > 0) {
+    lines.push(`- Treat these credentials as strong expertise signals: ${regulations.credentials.join(', ')}.`);
+  }
+  if (regulations.regulatoryBodies.length > 0) {
+    lines.push(`- Registration with or membership of these bodies indicates authority: ${regulations.regulatoryBodies.join(', ')}.`);
+  }
+  if (regulations.complianceTerms.length > 0) {
+    lines.push(`- Clear compliance language (${regulations.complianceTerms.join(', ')}) improves communication integrity.`);
+  }
+
+  return lines.length > 1 ? lines.join('\n') : '';
+}
+
+/**
+ * Get compliance guidelines for the analysis prompt
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (default AU)
+ * @returns {string} - Guidelines (empty if there are no restrictions)
+ */
+function getComplianceGuidelines(industry, specialty = '', market = '') {
+  if (!rulesLoader.isReviewRestricted(industry, specialty, market)) return '';
+
+  const regulator = rulesLoader.getIndustry(industry, market).regulatoryBodies[0];
+  return `Testimonials and reviews are restricted for ${specialty || industry} businesses in the ${rulesLoader.getMarket(market).adjective} market${regulator ? ` (${regulator} advertising rules)` : ''}. Do not recommend collecting or displaying testimonials; recommend compliant trust signals such as credentials, memberships and educational content instead.`;
 }
 
 /**
  * Pre-analyze content to detect existing elements
+ * Structured data confirms elements the text checks can miss (e.g. reviews loaded from a widget)
  * @param {string} content - Website content to analyze
+ * @param {Object} siteStructuredData - Optional structured data summary from the crawl
  * @returns {Object} - Object with boolean flags for existing elements and features
  */
-function preAnalyzeContent(content) {
+function preAnalyzeContent(content, siteStructuredData = null) {
   const contentLower = content.toLowerCase();
  
   // Check for team page
@@ -422,17 +580,19 @@ function preAnalyzeContent(content) {
     contentLower.includes('common questions') ||
     /q(?:uestion)?:?\s+.*\s+a(?:nswer)?:/i.test(contentLower);
   
+  const structuredSignals = structuredData.getStructuredSignals(siteStructuredData);
+  
   return {
-    hasTeamPage,
-    hasTestimonials,
-    hasCredentials,
+    hasTeamPage: hasTeamPage || Boolean(structuredSignals.hasTeamPage),
+    hasTestimonials: hasTestimonials || Boolean(structuredSignals.hasTestimonials),
+    hasCredentials: hasCredentials || Boolean(structuredSignals.hasCredentials),
     hasPortfolio,
     hasMap,
     hasBeforeAfterPhotos,
     hasPricing,
     hasContactForm,
-    hasSocialProof,
-    hasFAQ
+    hasSocialProof: hasSocialProof || Boolean(structuredSignals.hasSocialProof),
+    hasFAQ: hasFAQ || Boolean(structuredSignals.hasFAQ)
   };
 }
 
@@ -653,66 +813,6 @@ function postProcessRecommendations(recommendations, existingElements) {
   return finalRecs;
 }
 
-/**
- * Calculate overall credibility score from component scores with adaptive weighting
- * @param {Object} analysis - Analysis data with component scores
- * @param {string} industry - Optional industry for industry-specific weighting
- * @returns {number} - Overall credibility score
- */
-function calculateCredibilityScore(analysis, industry = '') {
-  // Industry-specific weightings
-  const industryWeights = {
-    "Healthcare": { expertise: 0.45, authority: 0.25, communication: 0.30 }, // Higher emphasis on expertise
-    "Finance": { expertise: 0.40, authority: 0.35, communication: 0.25 },    // Higher authority emphasis
-    "Legal": { expertise: 0.45, authority: 0.30, communication: 0.25 },      // Expertise is key
-    "Construction": { expertise: 0.35, authority: 0.30, communication: 0.35 }, // More balanced
-    "Real Estate": { expertise: 0.30, authority: 0.35, communication: 0.35 }, // Communication matters more
-    "Technology": { expertise: 0.35, authority: 0.40, communication: 0.25 },  // Authority is key
-    "default": { expertise: 0.40, authority: 0.30, communication: 0.30 }      // Balanced default
-  };
-  
-  // Get appropriate weights based on industry
-  const weights = industryWeights[industry] || industryWeights.default;
-  
-  // Apply adaptive weighting based on score distribution
-  // If one score is significantly higher, give it slightly more weight
-  let adjustedWeights = { ...weights };
-  
-  const expertiseScore = analysis.expertiseScore || 0;
-  const authorityScore = analysis.authorityScore || 0;
-  const communicationScore = analysis.communicationScore || 0;
-  
-  // Check for significant differences between scores
-  if (expertiseScore > authorityScore + 20 && expertiseScore > communicationScore + 20) {
-    // Expertise is significantly higher - adjust weights to emphasize strength
-    adjustedWeights.expertise += 0.05;
-    adjustedWeights.authority -= 0.025;
-    adjustedWeights.communication -= 0.025;
-  } else if (authorityScore > expertiseScore + 20 && authorityScore > communicationScore + 20) {
-    // Authority is significantly higher
-    adjustedWeights.authority += 0.05;
-    adjustedWeights.expertise -= 0.025;
-    adjustedWeights.communication -= 0.025;
-  } else if (communicationScore > expertiseScore + 20 && communicationScore > authorityScore + 20) {
-    // Communication is significantly higher
-    adjustedWeights.communication += 0.05;
-    adjustedWeights.expertise -= 0.025;
-    adjustedWeights.authority -= 0.025;
-  }
-  
-  // Calculate weighted score with adjusted weights
-  const score = (
-    (adjustedWeights.expertise * expertiseScore) +
-    (adjustedWeights.authority * authorityScore) +
-    (adjustedWeights.communication * communicationScore)
-  );
-  
-  // Set floor and ceiling
-  const finalScore = Math.max(30, Math.min(95, Math.round(score)));
-  
-  return finalScore;
-}
-
 /**
  * Calculate similarity between two strings (simplified Jaccard similarity)
  * @param {string} str1 - First string
@@ -911,7 +1011,6 @@ module.exports = {
   init,
   analyzeContent,
   generateRecommendations,
-  calculateCredibilityScore,
   preAnalyzeContent,  // Exported for testing
   postProcessRecommendations,  // Exported for testing
   verifyRecommendations  // Exported for testing
@@ -1,45 +1,410 @@
 /**
  * Analysis Engine Module
- * Handles content analysis and expertise evaluation
+ * Deterministic, rule-based scoring of website content for authority signals.
+ * Every point awarded is recorded as evidence (pillar, rule, term and page)
+ * so the scores can be explained.
  */
 
+const rulesLoader = require('./rules-loader');
+const scoring = require('./scoring');
+
+// Every pillar starts from the same base score before evidence is added
+const BASE_SCORE = 30;
+
+// Common expertise terms that apply to every industry
+const COMMON_EXPERTISE_TERMS = [
+  'certified', 'licensed', 'experienced', 'specialist', 'expert',
+  'professional', 'qualified', 'trained', 'degree', 'award'
+];
+
+// Term lists drawn from the industry rules pack, scored towards expertise
+// (points per matched term, capped per rule)
+const EXPERTISE_TERM_RULES = [
+  { rule: 'credential', points: 6, maxPoints: 24, getTerms: (pack) => pack.credentials },
+  { rule: 'regulatory-body', points: 4, maxPoints: 12, getTerms: (pack) => pack.regulatoryBodies },
+  { rule: 'industry-term', points: 2, maxPoints: 14, getTerms: (pack) => pack.terms },
+  { rule: 'specialty-term', points: 2, maxPoints: 12, getTerms: (pack, specialty) => specialty.terms },
+  { rule: 'common-expertise', points: 2, maxPoints: 10, getTerms: () => COMMON_EXPERTISE_TERMS }
+];
+
+// Signal groups - a group scores once, for the first of its terms found.
+// "strength" describes a found signal, "advice" a missing one.
+const AUTHORITY_SIGNAL_RULES = [
+  {
+    rule: 'media-mention', points: 12, terms: ['featured in', 'as seen in', 'publication'],
+    strength: 'References media coverage or publications',
+    advice: 'Reference media coverage or publications you have been featured in'
+  },
+  {
+    rule: 'award', points: 10, terms: ['award', 'recognition'],
+    strength: 'Shows awards or industry recognition',
+    advice: 'Showcase awards or industry recognition'
+  },
+  {
+    rule: 'experience', points: 10, terms: ['years of experience', 'established in'],
+    strength: 'States years of experience',
+    advice: 'State your years of experience or when the business was established'
+  },
+  {
+    rule: 'social-proof', points: 12, terms: ['testimonial', 'review', 'client said'],
+    strength: 'Shows client testimonials or reviews',
+    advice: 'Show client testimonials or reviews where your industry rules permit them'
+  },
+  {
+    rule: 'press', points: 8, terms: ['press', 'media', 'news'],
+    strength: 'Publishes news or press content',
+    advice: 'Publish news or press updates about your work'
+  },
+  {
+    rule: 'association', points: 10, terms: ['association', 'member of', 'affiliated with'],
+    strength: 'Lists professional associations',
+    advice: 'List your professional association memberships'
+  }
+];
+
+// Testimonials and reviews aren't scored or advised where the industry rules restrict them
+const REVIEW_RULES = ['social-proof'];
+
+const CONSISTENCY_SIGNAL_RULES = [
+  {
+    rule: 'mission', points: 8, terms: ['mission', 'values'],
+    strength: 'Describes its mission or values',
+    advice: 'Describe your mission and values'
+  },
+  {
+    rule: 'process', points: 6, terms: ['process', 'approach'],
+    strength: 'Explains its process or approach',
+    advice: 'Explain your process or approach step by step'
+  },
+  {
+    rule: 'guarantee', points: 10, terms: ['guarantee', 'warranty'],
+    strength: 'Offers a guarantee or warranty',
+    advice: 'Explain any guarantees or warranties you offer'
+  },
+  {
+    rule: 'faq', points: 6, terms: ['faq', 'frequently asked'],
+    strength: 'Answers frequently asked questions',
+    advice: 'Answer frequently asked questions'
+  },
+  {
+    rule: 'pricing', points: 8, terms: ['pricing', 'cost', 'fee'],
+    strength: 'Is transparent about pricing or fees',
+    advice: 'Be transparent about pricing or fees'
+  },
+  {
+    rule: 'service-clarity', points: 8, terms: ['how it works', 'what to expect', 'our services'],
+    strength: 'Explains what clients can expect',
+    advice: 'Explain what clients can expect from your services'
+  }
+];
+
+// Structured data (schema.org markup) is hard evidence. A rule already scored from the page
+// text (e.g. "faq") isn't scored again; the others add points of their own.
+const STRUCTURED_DATA_RULES = [
+  {
+    pillar: 'expertise', rule: 'structured-credential', points: 8,
+    strength: 'Declares credentials in schema.org markup',
+    find: data => data.credentials.length > 0
+      ? { term: [...new Set(data.credentials.map(item => item.name))].slice(0, 3).join(', '), page: data.credentials[0].page }
+      : null
+  },
+  {
+    pillar: 'authority', rule: 'social-proof', points: 12,
+    find: data => {
+      if (data.aggregateRating && data.aggregateRating.reviewCount > 0) {
+        const { ratingValue, reviewCount, page } = data.aggregateRating;
+        return { term: `AggregateRating ${ratingValue} (${reviewCount} reviews)`, page };
+      }
+      return data.reviews.length > 0 ? { term: `${data.reviews.length} Review(s)`, page: data.reviews[0].page } : null;
+    }
+  },
+  {
+    pillar: 'authority', rule: 'linked-profiles', points: 6,
+    strength: 'Links its official profiles (schema.org sameAs)',
+    find: data => data.sameAs.length > 0 ? { term: `sameAs: ${data.sameAs.length} profile(s)`, page: '' } : null
+  },
+  {
+    pillar: 'consistency', rule: 'faq', points: 6,
+    find: data => data.faqs.length > 0 ? { term: `FAQPage (${data.faqs.length} questions)`, page: data.faqs[0].page } : null
+  },
+  {
+    pillar: 'consistency', rule: 'structured-contact', points: 6,
+    strength: 'Publishes its business details in schema.org markup',
+    find: data => {
+      const business = data.organizations.find(org => org.address && (org.telephone || org.email));
+      return business ? { term: `${business.type}: ${business.address}`, page: business.page } : null;
+    }
+  }
+];
+
+// Compliance terms from the industry rules pack, scored towards communication integrity
+const COMPLIANCE_TERM_RULE = { rule: 'compliance-term', points: 3, maxPoints: 15 };
+
+// Term rules summarised as strengths/weaknesses (label, and the rules pack list they draw from)
+const SUMMARISED_TERM_RULES = [
+  { rule: 'credential', pillar: 'expertise', label: 'credentials', listKey: 'credentials' },
+  { rule: 'regulatory-body', pillar: 'expertise', label: 'regulatory or professional bodies', listKey: 'regulatoryBodies' },
+  { rule: 'compliance-term', pillar: 'consistency', label: 'compliance information', listKey: 'complianceTerms' }
+];
+
+// Recommendation category for each pillar
+const PILLAR_CATEGORIES = {
+  expertise: 'EXPERTISE VALIDATION',
+  authority: 'AUDIENCE TRUST',
+  consistency: 'COMMUNICATION INTEGRITY'
+};
+
+/**
+ * Split website content into pages
+ * Accepts a crawled site ({ pages }) or combined content, which marks each page with "PAGE: <url>"
+ * @param {string|Object} content - Website content or crawled site
+ * @returns {Array} - Pages as { url, text }
+ */
+function splitPages(content) {
+  if (content && Array.isArray(content.pages)) {
+    return content.pages.map(page => ({
+      url: page.url || '',
+      text: page.content || page.text || ''
+    }));
+  }
+
+  const text = String(content || '');
+  if (!/^PAGE: /m.test(text)) {
+    return [{ url: '', text }];
+  }
+
+  const sections = text.split(/^PAGE: /m).filter(section => section.trim());
+  return sections.map(section => {
+    const newline = section.indexOf('\n');
+    return {
+      url: (newline === -1 ? section : section.slice(0, newline)).trim(),
+      text: newline === -1 ? '' : section.slice(newline + 1)
+    };
+  });
+}
+
+/**
+ * Build a matcher for a term
+ * Acronyms (e.g. "CA", "ABN") are matched case-sensitively so they don't match ordinary words
+ * @param {string} term - Term to match
+ * @returns {RegExp} - Whole-word regular expression (plurals included)
+ */
+function buildTermPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const isAcronym = term.length <= 5 && term === term.toUpperCase() && /[A-Z]/.test(term);
+  return new RegExp(`(^|[^A-Za-z0-9])${escaped}s?(?=$|[^A-Za-z0-9])`, isAcronym ? '' : 'i');
+}
+
+/**
+ * Find the first page mentioning a term
+ * @param {string} term - Term to look for
+ * @param {Array} pages - Pages as { url, text }
+ * @returns {Object|null} - Matching page, or null
+ */
+function findTerm(term, pages) {
+  const pattern = buildTermPattern(term);
+  return pages.find(page => pattern.test(page.text)) || null;
+}
+
+/**
+ * Score a list of terms, awarding points for each distinct term found up to a cap
+ * @param {string} pillar - Pillar the points count towards
+ * @param {Object} termRule - Rule name, points per term and maximum points
+ * @param {Array} terms - Terms to look for
+ * @param {Array} pages - Pages as { url, text }
+ * @returns {Array} - Evidence for each point awarded
+ */
+function scoreTerms(pillar, termRule, terms, pages) {
+  const evidence = [];
+  const seen = new Set();
+  let awarded = 0;
+
+  for (const term of terms || []) {
+    if (awarded >= termRule.maxPoints) break;
+
+    const key = term.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const page = findTerm(term, pages);
+    if (!page) continue;
+
+    const points = Math.min(termRule.points, termRule.maxPoints - awarded);
+    awarded += points;
+    evidence.push({ pillar, rule: termRule.rule, term, page: page.url, points });
+  }
+
+  return evidence;
+}
+
+/**
+ * Score signal groups, awarding each group's points once for the first term found
+ * @param {string} pillar - Pillar the points count towards
+ * @param {Array} signalRules - Signal groups
+ * @param {Array} pages - Pages as { url, text }
+ * @returns {Array} - Evidence for each point awarded
+ */
+function scoreSignals(pillar, signalRules, pages) {
+  const evidence = [];
+
+  for (const signal of signalRules) {
+    for (const term of signal.terms) {
+      const page = findTerm(term, pages);
+      if (page) {
+        evidence.push({ pillar, rule: signal.rule, term, page: page.url, points: signal.points });
+        break;
+      }
+    }
+  }
+
+  return evidence;
+}
+
+/**
+ * Score a site's structured data, skipping rules the page text has already scored
+ * @param {Object} data - Structured data summary (see structured-data)
+ * @param {Array} evidence - Evidence scored from the page text so far
+ * @param {Array} skippedRules - Rules not scored for this site
+ * @returns {Array} - Evidence for each point awarded, marked with source 'structured-data'
+ */
+function scoreStructuredData(data, evidence, skippedRules = []) {
+  if (!data) return [];
+
+  return STRUCTURED_DATA_RULES
+    .filter(structuredRule => !skippedRules.includes(structuredRule.rule))
+    .filter(structuredRule => !evidence.some(item => item.rule === structuredRule.rule))
+    .map(structuredRule => {
+      const found = structuredRule.find(data);
+      return found && {
+        pillar: structuredRule.pillar,
+        rule: structuredRule.rule,
+        term: found.term,
+        page: found.page,
+        points: structuredRule.points,
+        source: 'structured-data'
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Total the evidence for a pillar into a score
+ * @param {Array} evidence - Evidence for the pillar
+ * @returns {number} - Score (0-100)
+ */
+function sumEvidence(evidence) {
+  const total = evidence.reduce((sum, item) => sum + item.points, BASE_SCORE);
+  return Math.min(100, Math.max(0, total));
+}
+
+/**
+ * Summarise the evidence as strengths, weaknesses and recommendations
+ * @param {Array} evidence - Evidence for all pillars
+ * @param {Object} pack - Industry rules pack
+ * @param {Array} skippedRules - Rules not scored for this site, so neither weaknesses nor advice
+ * @returns {Object} - { strengths, weaknesses, recommendations }
+ */
+function summarizeEvidence(evidence, pack, skippedRules = []) {
+  const strengths = [];
+  const weaknesses = [];
+  const advice = { expertise: [], authority: [], consistency: [] };
+
+  SUMMARISED_TERM_RULES.forEach(termRule => {
+    const terms = pack[termRule.listKey];
+    if (!terms || terms.length === 0) return;
+
+    const found = evidence.filter(item => item.rule === termRule.rule).map(item => item.term);
+    if (found.length > 0) {
+      strengths.push(`Mentions ${termRule.label}: ${found.join(', ')}`);
+    } else {
+      weaknesses.push(`No ${termRule.label} found (e.g. ${terms.slice(0, 3).join(', ')})`);
+      advice[termRule.pillar].push(`Display ${termRule.label} such as ${terms.slice(0, 3).join(', ')}`);
+    }
+  });
+
+  [
+    { pillar: 'authority', rules: AUTHORITY_SIGNAL_RULES },
+    { pillar: 'consistency', rules: CONSISTENCY_SIGNAL_RULES }
+  ].forEach(({ pillar, rules }) => {
+    rules.filter(signal => !skippedRules.includes(signal.rule)).forEach(signal => {
+      if (evidence.some(item => item.rule === signal.rule)) {
+        strengths.push(signal.strength);
+      } else {
+        weaknesses.push(`Missing: ${signal.strength.charAt(0).toLowerCase()}${signal.strength.slice(1)}`);
+        advice[pillar].push(signal.advice);
+      }
+    });
+  });
+
+  // Structured-data-only rules are strengths when found, but not advised when missing
+  STRUCTURED_DATA_RULES.forEach(structuredRule => {
+    if (structuredRule.strength && evidence.some(item => item.rule === structuredRule.rule)) {
+      strengths.push(structuredRule.strength);
+    }
+  });
+
+  const recommendations = Object.entries(advice)
+    .filter(([, items]) => items.length > 0)
+    .map(([pillar, items]) => ({
+      category: PILLAR_CATEGORIES[pillar],
+      recommendation: `Add the ${PILLAR_CATEGORIES[pillar].toLowerCase()} signals our rules could not find on your site.`,
+      actionItems: items.slice(0, 3)
+    }));
+
+  return { strengths, weaknesses, recommendations };
+}
+
 /**
  * Analyzes website content for authority signals
- * @param {string} content - Website content to analyze
+ * @param {string|Object} content - Website content, or a crawled site ({ pages, structuredData })
  * @param {string} industry - Industry category
  * @param {string} specialty - Optional industry specialty
- * @returns {Object} - Analysis results with scores
+ * @param {string} market - Optional market code (default AU) - the regulators and credentials that count
+ * @returns {Object} - Analysis results with scores and the evidence behind them
  */
-function analyzeAuthorityIndex(content, industry, specialty = '') {
-  // Use URL-based variability to ensure different domains get different scores
-  const domain = content.includes('TITLE:') ? content.split('TITLE:')[1].split('\n')[0].trim() : '';
-  let domainVariability = 0;
-  
-  if (domain) {
-    // Create a simple hash based on the domain name
-    const domainHash = domain.split('').reduce((sum, char) => sum + char.charCodeAt(0), 0);
-    // Use the hash to create a score adjustment between -15 and +15
-    domainVariability = (domainHash % 31) - 15;
-    console.log(`Domain-based variability for ${domain}: ${domainVariability}`);
-  }
-  
-  // Apply domain variability to final scores for more differentiation
-  const expertiseAdjustment = Math.min(30, expertiseIndicators * 5) + domainVariability;
-  const authorityAdjustment = calculateAuthorityAdjustment(content) + domainVariability;
-  const consistencyAdjustment = calculateConsistencyAdjustment(content) + domainVariability;
-  
-  // Final scores with adjustments
-  const expertiseSignals = Math.min(100, Math.max(30, baseExpertiseScore + expertiseAdjustment));
-  const digitalAuthority = Math.min(100, Math.max(30, baseAuthorityScore + authorityAdjustment));
-  const consistencyMarkers = Math.min(100, Math.max(30, baseConsistencyScore + consistencyAdjustment));;
-  
-  // Calculate overall credibility score
-  const credibilityScore = Math.round(
-    (expertiseSignals * 0.4) + 
-    (digitalAuthority * 0.3) + 
-    (consistencyMarkers * 0.3)
+function analyzeAuthorityIndex(content, industry, specialty = '', market = '') {
+  const pages = splitPages(content);
+  const pack = rulesLoader.getIndustry(industry, market) || { credentials: [], regulatoryBodies: [], terms: [], complianceTerms: [] };
+  const specialtyEntry = rulesLoader.getSpecialty(industry, specialty, market) || { terms: [] };
+  const skippedRules = rulesLoader.isReviewRestricted(industry, specialty, market) ? REVIEW_RULES : [];
+
+  // Expertise: credentials, regulators and industry/specialty vocabulary
+  const expertiseEvidence = EXPERTISE_TERM_RULES.flatMap(termRule =>
+    scoreTerms('expertise', termRule, termRule.getTerms(pack, specialtyEntry), pages)
+  );
+
+  // Audience trust: media, awards, experience, social proof and associations
+  const authorityEvidence = scoreSignals(
+    'authority', AUTHORITY_SIGNAL_RULES.filter(signal => !skippedRules.includes(signal.rule)), pages
   );
-  
+
+  // Communication integrity: clarity, transparency and compliance language
+  const consistencyEvidence = [
+    ...scoreSignals('consistency', CONSISTENCY_SIGNAL_RULES, pages),
+    ...scoreTerms('consistency', COMPLIANCE_TERM_RULE, pack.complianceTerms, pages)
+  ];
+
+  // Schema.org markup confirms credentials, reviews, profiles, FAQs and contact details
+  const structuredEvidence = scoreStructuredData(content && content.structuredData, [
+    ...expertiseEvidence, ...authorityEvidence, ...consistencyEvidence
+  ], skippedRules);
+  structuredEvidence.forEach(item => {
+    if (item.pillar === 'expertise') expertiseEvidence.push(item);
+    else if (item.pillar === 'authority') authorityEvidence.push(item);
+    else consistencyEvidence.push(item);
+  });
+
+  const expertiseSignals = sumEvidence(expertiseEvidence);
+  const digitalAuthority = sumEvidence(authorityEvidence);
+  const consistencyMarkers = sumEvidence(consistencyEvidence);
+
+  // Calculate overall credibility score with the industry weight profile
+  const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore({
+    expertiseScore: expertiseSignals,
+    authorityScore: digitalAuthority,
+    communicationScore: consistencyMarkers
+  }, industry, specialty);
+
   // Generate score labels
   const scoreLabels = {
     overall: mapScoreToLabel(credibilityScore),
@@ -47,145 +412,26 @@ function analyzeAuthorityIndex(content, industry, specialty = '') {
     audienceTrust: mapScoreToLabel(digitalAuthority),
     communication: mapScoreToLabel(consistencyMarkers)
   };
-  
+
+  const evidence = [...expertiseEvidence, ...authorityEvidence, ...consistencyEvidence];
+  const { strengths, weaknesses, recommendations } = summarizeEvidence(evidence, pack, skippedRules);
+
   return {
     credibilityScore,
     expertiseSignals,
     digitalAuthority,
     consistencyMarkers,
     scoreLabels,
+    weightProfile,
     industry,
-    specialty: specialty || ''
+    specialty: specialty || '',
+    strengths,
+    weaknesses,
+    recommendations,
+    evidence
   };
 }
 
-/**
- * Count expertise indicators specific to industry and specialty
- * @param {string} content - Website content
- * @param {string} industry - Industry category
- * @param {string} specialty - Industry specialty
- * @returns {number} - Count of expertise indicators
- */
-function countExpertiseIndicators(content, industry, specialty) {
-  let indicators = 0;
-  const contentLower = content.toLowerCase();
-  
-  // Common expertise indicators
-  const commonTerms = ['certified', 'licensed', 'experienced', 'specialist', 'expert', 
-                       'professional', 'qualified', 'trained', 'degree', 'award'];
-  
-  // Industry-specific terms
-  const industryTerms = {
-    'Healthcare': ['doctor', 'physician', 'medical', 'treatment', 'diagnosis', 'patient', 'clinical'],
-    'Construction': ['builder', 'contractor', 'project', 'construction', 'renovation', 'building', 'licensed'],
-    'Finance': ['advisor', 'financial', 'investment', 'planning', 'tax', 'accounting', 'wealth'],
-    'Legal': ['attorney', 'lawyer', 'legal', 'law firm', 'practice', 'case', 'client']
-  };
-  
-  // Specialty-specific terms
-  const specialtyTerms = {
-    'Plastic Surgery': ['surgeon', 'board-certified', 'facelift', 'rhinoplasty', 'aesthetic', 'cosmetic'],
-    'Dental': ['dentist', 'orthodontic', 'crown', 'veneer', 'implant', 'hygiene'],
-    'Residential': ['home', 'house', 'remodeling', 'kitchen', 'bathroom', 'addition'],
-    'Commercial': ['office', 'retail', 'commercial', 'tenant', 'business space']
-  };
-  
-  // Count common terms
-  commonTerms.forEach(term => {
-    if (contentLower.includes(term)) indicators++;
-  });
-  
-  // Count industry terms
-  if (industryTerms[industry]) {
-    industryTerms[industry].forEach(term => {
-      if (contentLower.includes(term)) indicators++;
-    });
-  }
-  
-  // Count specialty terms
-  if (specialty && specialtyTerms[specialty]) {
-    specialtyTerms[specialty].forEach(term => {
-      if (contentLower.includes(term)) indicators++;
-    });
-  }
-  
-  return indicators;
-}
-
-/**
- * Calculate authority adjustment based on content
- * @param {string} content - Website content
- * @returns {number} - Authority score adjustment
- */
-function calculateAuthorityAdjustment(content) {
-  let adjustment = 0;
-  const contentLower = content.toLowerCase();
-  
-  // Authority signals
-  if (contentLower.includes('featured in') || 
-      contentLower.includes('as seen in') ||
-      contentLower.includes('publication')) adjustment += 5;
-  
-  if (contentLower.includes('award') || 
-      contentLower.includes('recognition')) adjustment += 3;
-  
-  if (contentLower.includes('years of experience') || 
-      contentLower.includes('established in')) adjustment += 4;
-  
-  // Social proof signals
-  if (contentLower.includes('testimonial') || 
-      contentLower.includes('review') ||
-      contentLower.includes('client said')) adjustment += 3;
-      
-  // Media mentions
-  if (contentLower.includes('press') || 
-      contentLower.includes('media') ||
-      contentLower.includes('news')) adjustment += 3;
-      
-  // Industry associations
-  if (contentLower.includes('association') || 
-      contentLower.includes('member of') ||
-      contentLower.includes('affiliated with')) adjustment += 4;
-  
-  return adjustment;
-}
-
-/**
- * Calculate consistency adjustment based on content
- * @param {string} content - Website content
- * @returns {number} - Consistency score adjustment
- */
-function calculateConsistencyAdjustment(content) {
-  let adjustment = 0;
-  const contentLower = content.toLowerCase();
-  
-  // Consistency signals
-  if (contentLower.includes('mission') || 
-      contentLower.includes('values')) adjustment += 4;
-  
-  if (contentLower.includes('process') || 
-      contentLower.includes('approach')) adjustment += 3;
-  
-  if (contentLower.includes('guarantee') || 
-      contentLower.includes('warranty')) adjustment += 5;
-      
-  // Communication clarity
-  if (contentLower.includes('faq') || 
-      contentLower.includes('frequently asked')) adjustment += 3;
-      
-  // Transparency signals
-  if (contentLower.includes('pricing') || 
-      contentLower.includes('cost') ||
-      contentLower.includes('fee')) adjustment += 4;
-      
-  // Service clarity
-  if (contentLower.includes('how it works') || 
-      contentLower.includes('what to expect') ||
-      contentLower.includes('our services')) adjustment += 4;
-  
-  return adjustment;
-}
-
 /**
  * Maps a numeric score to a label
  * @param {number} score - Numeric score (0-100)
@@ -199,6 +445,7 @@ function mapScoreToLabel(score) {
 }
 
 module.exports = {
+  PILLAR_CATEGORIES,
   analyzeAuthorityIndex,
   mapScoreToLabel
 };
\ No newline at end of file
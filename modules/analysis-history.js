@@ -0,0 +1,163 @@
+/**
+ * Analysis History Module
+ * Builds score trends and implemented-recommendation tracking from stored analyses
+ */
+
+const analysisStore = require('./analysis-store');
+const { PILLAR_CATEGORIES } = require('./analysis-engine');
+
+const COMPLIANCE_CATEGORY = 'REGULATORY COMPLIANCE';
+
+/**
+ * Get the display text of a recommendation (AI recommendations use "recommendation",
+ * older fallback recommendations use "description")
+ * @param {Object} rec - Recommendation
+ * @returns {string} - Recommendation text
+ */
+function getRecommendationText(rec) {
+  return rec.recommendation || rec.description || '';
+}
+
+/**
+ * Check whether two runs can be compared - scores and advice from different analysis methods
+ * or rules versions differ for reasons that have nothing to do with the site
+ * @param {Object} earlier - Earlier stored analysis
+ * @param {Object} later - Later stored analysis
+ * @returns {boolean} - Whether both used the same method and rules version
+ */
+function isComparable(earlier, later) {
+  const method = analysis => (analysis.provenance && analysis.provenance.method) || null;
+
+  return Boolean(method(earlier) && earlier.rulesVersion) &&
+    method(earlier) === method(later) &&
+    earlier.rulesVersion === later.rulesVersion;
+}
+
+/**
+ * Get the checks a stored analysis passed or failed: its compliance checklist, and the
+ * evidence found for each scoring rule
+ * @param {Object} analysis - Stored analysis
+ * @returns {Map} - Signals by key, as { category, rule, label, found }
+ */
+function getSignals(analysis) {
+  const signals = new Map();
+
+  ((analysis.compliance && analysis.compliance.checklist) || []).forEach(rule => {
+    if (rule.status !== 'pass' && rule.status !== 'fail') return;
+    signals.set(`compliance:${rule.id}`, {
+      category: COMPLIANCE_CATEGORY, rule: rule.id, label: rule.title, found: rule.status === 'pass'
+    });
+  });
+
+  (analysis.evidence || []).forEach(item => {
+    const key = `${item.pillar}:${item.rule}`;
+    if (!signals.has(key)) {
+      signals.set(key, { category: PILLAR_CATEGORIES[item.pillar], rule: item.rule, label: item.term, found: true });
+    }
+  });
+
+  return signals;
+}
+
+/**
+ * Find the recommendation a run made about a missing signal
+ * @param {Object} analysis - Stored analysis
+ * @param {Object} signal - Signal that was missing
+ * @returns {Object|null} - Recommendation, or null when the run didn't advise on it
+ */
+function findAdvice(analysis, signal) {
+  const recommendations = (analysis.recommendations || []).filter(rec => rec.category === signal.category);
+
+  // Compliance recommendations name their rule; the others cover a whole pillar
+  if (signal.category === COMPLIANCE_CATEGORY) {
+    return recommendations.find(rec => rec.rule === signal.rule) || null;
+  }
+  return recommendations[0] || null;
+}
+
+/**
+ * Find recommendations acted on between runs: a compliance check that went from fail to pass, or
+ * scoring evidence found that wasn't before, where the earlier run advised on it. Only consecutive
+ * runs with the same analysis method and rules version are compared, and a signal lost again later
+ * is no longer counted.
+ * @param {Array} analyses - Analyses for one domain, oldest first
+ * @returns {Array} - Recommendations considered implemented
+ */
+function findImplementedRecommendations(analyses) {
+  const implemented = new Map();
+
+  analyses.slice(1).forEach((later, index) => {
+    const earlier = analyses[index];
+    if (!isComparable(earlier, later)) return;
+
+    const before = getSignals(earlier);
+    const after = getSignals(later);
+
+    // A compliance check that fails again, or evidence no longer found, was undone
+    implemented.forEach((item, key) => {
+      const signal = after.get(key);
+      const lost = key.startsWith('compliance:') ? Boolean(signal && !signal.found) : !signal;
+      if (lost) implemented.delete(key);
+    });
+
+    after.forEach((signal, key) => {
+      const previous = before.get(key);
+      if (!signal.found || (previous && previous.found)) return;
+      // Evidence rules only record what was found, so an absent rule was missing
+      if (!previous && key.startsWith('compliance:')) return;
+
+      const advice = findAdvice(earlier, previous || signal);
+      if (!advice) return;
+
+      implemented.set(key, {
+        category: signal.category,
+        recommendation: getRecommendationText(advice),
+        signal: { rule: signal.rule, label: signal.label },
+        lastSeenAt: earlier.createdAt,
+        resolvedAt: later.createdAt,
+        resolvedInAnalysisId: later.id
+      });
+    });
+  });
+
+  return [...implemented.values()];
+}
+
+/**
+ * Get the score history for a domain
+ * @param {string} domain - Website URL or domain
+ * @param {Object} filter - Optional industry, specialty and market filters (records without a market are AU)
+ * @returns {Promise<Object>} - Time series and implemented recommendations
+ */
+async function getDomainHistory(domain, filter = {}) {
+  const analyses = await analysisStore.listAnalyses({
+    domain,
+    industry: filter.industry,
+    specialty: filter.specialty,
+    market: filter.market
+  });
+
+  return {
+    domain: analysisStore.normalizeDomain(domain),
+    analyses: analyses.map(analysis => ({
+      id: analysis.id,
+      createdAt: analysis.createdAt,
+      industry: analysis.industry,
+      specialty: analysis.specialty,
+      market: analysisStore.getRecordMarket(analysis),
+      credibilityScore: analysis.credibilityScore,
+      expertiseSignals: analysis.expertiseScore,
+      digitalAuthority: analysis.authorityScore,
+      consistencyMarkers: analysis.communicationScore,
+      strengths: analysis.strengths || [],
+      weaknesses: analysis.weaknesses || [],
+      recommendationCount: (analysis.recommendations || []).length
+    })),
+    implementedRecommendations: findImplementedRecommendations(analyses)
+  };
+}
+
+module.exports = {
+  getDomainHistory,
+  findImplementedRecommendations
+};
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * Analysis Schema Module
+ * Validates AI analysis responses and repairs them where the problem is
+ * mechanical (wrong types, out-of-range scores, missing optional fields)
+ */
+
+// Common elements checklist - same keys as preAnalyzeContent in ai-analyzer
+const CHECKLIST_FIELDS = [
+  'hasTeamPage', 'hasTestimonials', 'hasCredentials', 'hasPortfolio', 'hasMap',
+  'hasBeforeAfterPhotos', 'hasPricing', 'hasContactForm', 'hasSocialProof', 'hasFAQ'
+];
+
+const SCORE_FIELDS = [
+  'expertiseScore', 'authorityScore', 'trustScore', 'contentQualityScore', 'communicationScore'
+];
+
+// Optional string lists - missing ones are repaired to empty arrays
+const LIST_FIELDS = [
+  'strengths', 'weaknesses', 'keyCredentials', 'uniqueInsights',
+  'trustSignals', 'contentGaps', 'complianceIssues'
+];
+
+const RECOMMENDATION_CATEGORIES = [
+  'EXPERTISE VALIDATION', 'AUDIENCE TRUST', 'COMMUNICATION INTEGRITY', 'REGULATORY COMPLIANCE'
+];
+
+/**
+ * Parse a JSON response, tolerating code fences and text around the object
+ * @param {string} text - Raw model output
+ * @returns {Object|null} - Parsed object, or null if no JSON object could be read
+ */
+function parseJsonResponse(text) {
+  if (typeof text !== 'string') return null;
+
+  const candidates = [text.trim()];
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a string array
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validate an analysis payload against the schema
+ * @param {Object} data - Parsed analysis response
+ * @returns {Object} - { valid, errors: [{ path, message }] }
+ */
+function validateAnalysis(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: [{ path: '', message: 'Response is not a JSON object' }] };
+  }
+
+  if (!data.checklist || typeof data.checklist !== 'object') {
+    errors.push({ path: 'checklist', message: 'Missing checklist object' });
+  } else {
+    CHECKLIST_FIELDS.forEach(field => {
+      if (typeof data.checklist[field] !== 'boolean') {
+        errors.push({ path: `checklist.${field}`, message: 'Must be a boolean' });
+      }
+    });
+  }
+
+  SCORE_FIELDS.forEach(field => {
+    const value = data[field];
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      errors.push({ path: field, message: 'Must be a number' });
+    } else if (value < 0 || value > 100) {
+      errors.push({ path: field, message: 'Must be between 0 and 100' });
+    }
+  });
+
+  LIST_FIELDS.forEach(field => {
+    if (!isStringArray(data[field])) {
+      errors.push({ path: field, message: 'Must be an array of strings' });
+    }
+  });
+
+  if (!Array.isArray(data.industrySpecificRecommendations)) {
+    errors.push({ path: 'industrySpecificRecommendations', message: 'Must be an array' });
+  } else {
+    data.industrySpecificRecommendations.forEach((rec, i) => {
+      const path = `industrySpecificRecommendations[${i}]`;
+
+      if (!rec || typeof rec !== 'object') {
+        errors.push({ path, message: 'Must be an object' });
+        return;
+      }
+      if (!RECOMMENDATION_CATEGORIES.includes(rec.category)) {
+        errors.push({ path: `${path}.category`, message: `Must be one of ${RECOMMENDATION_CATEGORIES.join(', ')}` });
+      }
+      if (typeof rec.recommendation !== 'string' || !rec.recommendation.trim()) {
+        errors.push({ path: `${path}.recommendation`, message: 'Must be a non-empty string' });
+      }
+      if (!isStringArray(rec.actionItems)) {
+        errors.push({ path: `${path}.actionItems`, message: 'Must be an array of strings' });
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Coerce a value to a number, or return null
+ * @param {*} value - Value to coerce (e.g. "72", "72/100", "72%")
+ * @returns {number|null} - Number, or null if none could be read
+ */
+function coerceNumber(value) {
+  if (typeof value === 'number') return Number.isNaN(value) ? null : value;
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Coerce a value to a boolean, or return null
+ * @param {*} value - Value to coerce (e.g. "true", "yes", 1)
+ * @returns {boolean|null} - Boolean, or null if none could be read
+ */
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim().toLowerCase();
+  if (['true', 'yes', 'y'].includes(text)) return true;
+  if (['false', 'no', 'n'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Coerce a value to an array of strings
+ * @param {*} value - Value to coerce
+ * @returns {Array} - String array
+ */
+function coerceStringArray(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .filter(item => item !== null && item !== undefined && item !== '')
+    .map(item => (typeof item === 'string' ? item : JSON.stringify(item)));
+}
+
+/**
+ * Repair mechanical problems in an analysis payload
+ * Scores are coerced to numbers and clamped to 0-100, booleans and lists are coerced,
+ * missing checklist answers are filled from the content pre-analysis and
+ * recommendations without any text are dropped. Missing scores cannot be repaired.
+ * @param {Object} data - Parsed analysis response
+ * @param {Object} existingElements - Pre-analysis results used to fill the checklist
+ * @returns {Object} - { data, repairs: [{ path, action }] }
+ */
+function repairAnalysis(data, existingElements = {}) {
+  const repaired = { ...data };
+  const repairs = [];
+
+  // Checklist
+  const checklist = repaired.checklist && typeof repaired.checklist === 'object' ? { ...repaired.checklist } : {};
+  CHECKLIST_FIELDS.forEach(field => {
+    if (typeof checklist[field] === 'boolean') return;
+
+    const coerced = coerceBoolean(checklist[field]);
+    if (coerced !== null) {
+      repairs.push({ path: `checklist.${field}`, action: `coerced ${JSON.stringify(checklist[field])} to ${coerced}` });
+      checklist[field] = coerced;
+    } else {
+      checklist[field] = Boolean(existingElements[field]);
+      repairs.push({ path: `checklist.${field}`, action: 'filled from content pre-analysis' });
+    }
+  });
+  repaired.checklist = checklist;
+
+  // Scores
+  SCORE_FIELDS.forEach(field => {
+    const original = repaired[field];
+    const value = coerceNumber(original);
+    if (value === null) return;
+
+    const clamped = Math.round(Math.max(0, Math.min(100, value)));
+    if (clamped !== original) {
+      repairs.push({
+        path: field,
+        action: `${typeof original === 'number' ? 'clamped' : 'coerced'} ${JSON.stringify(original)} to ${clamped}`
+      });
+      repaired[field] = clamped;
+    }
+  });
+
+  // String lists
+  LIST_FIELDS.forEach(field => {
+    if (isStringArray(repaired[field])) return;
+
+    repairs.push({
+      path: field,
+      action: repaired[field] === undefined ? 'defaulted to an empty array' : 'coerced to an array of strings'
+    });
+    repaired[field] = coerceStringArray(repaired[field]);
+  });
+
+  // Recommendations
+  if (!Array.isArray(repaired.industrySpecificRecommendations)) {
+    repairs.push({ path: 'industrySpecificRecommendations', action: 'defaulted to an empty array' });
+    repaired.industrySpecificRecommendations = [];
+  }
+
+  repaired.industrySpecificRecommendations = repaired.industrySpecificRecommendations
+    .map((rec, i) => {
+      const path = `industrySpecificRecommendations[${i}]`;
+
+      if (!rec || typeof rec !== 'object') {
+        repairs.push({ path, action: 'dropped (not an object)' });
+        return null;
+      }
+
+      const text = rec.recommendation || rec.description;
+      if (typeof text !== 'string' || !text.trim()) {
+        repairs.push({ path, action: 'dropped (no recommendation text)' });
+        return null;
+      }
+
+      const fixed = { ...rec, recommendation: text };
+
+      const category = typeof rec.category === 'string' ? rec.category.trim().toUpperCase() : '';
+      if (category !== rec.category) {
+        repairs.push({ path: `${path}.category`, action: `normalised ${JSON.stringify(rec.category)} to "${category}"` });
+        fixed.category = category;
+      }
+      if (!RECOMMENDATION_CATEGORIES.includes(fixed.category)) {
+        repairs.push({ path, action: `dropped (unknown category "${fixed.category}")` });
+        return null;
+      }
+
+      if (!isStringArray(rec.actionItems)) {
+        repairs.push({ path: `${path}.actionItems`, action: 'coerced to an array of strings' });
+        fixed.actionItems = coerceStringArray(rec.actionItems);
+      }
+
+      return fixed;
+    })
+    .filter(Boolean);
+
+  return { data: repaired, repairs };
+}
+
+/**
+ * Format validation errors for a re-prompt
+ * @param {Array} errors - Validation errors
+ * @returns {string} - One error per line
+ */
+function formatErrors(errors) {
+  return errors.map(error => `- ${error.path || 'response'}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  CHECKLIST_FIELDS,
+  SCORE_FIELDS,
+  RECOMMENDATION_CATEGORIES,
+  parseJsonResponse,
+  validateAnalysis,
+  repairAnalysis,
+  formatErrors
+};
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * Analysis Service Module
+ * Runs the full website analysis pipeline (fetch, analyze, score, store)
+ * so it can be shared by the analyze and competitor routes
+ */
+
+const contentFetcher = require('./content-fetcher');
+const aiAnalyzer = require('./ai-analyzer');
+const analysisStore = require('./analysis-store');
+const scoring = require('./scoring');
+const analysisEngine = require('./analysis-engine');
+const cache = require('./cache');
+const trustAudit = require('./trust-audit');
+const registrationVerifier = require('./registration-verifier');
+const complianceChecker = require('./compliance-checker');
+const rulesLoader = require('./rules-loader');
+const { mapScoreToLabel } = analysisEngine;
+
+/**
+ * Create an error carrying the HTTP status and message to show the client
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - User-facing error message
+ * @returns {Error} - Error with statusCode set
+ */
+function createAnalysisError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Check a requested market against the market packs
+ * @param {string} market - Optional market code (AU, NZ, UK, US - case-insensitive)
+ * @returns {string} - Market code (the default market when none is given)
+ * @throws {Error} - With statusCode 400 for unknown markets
+ */
+function resolveMarket(market) {
+  const marketPack = rulesLoader.getMarket(market);
+  if (!marketPack) {
+    const codes = rulesLoader.listMarkets().map(entry => entry.code);
+    throw createAnalysisError(400, `Market must be one of: ${codes.join(', ')}`);
+  }
+  return marketPack.code;
+}
+
+/**
+ * Analyze a website and store the result
+ * @param {string} url - Website URL to analyze
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Called with { step, status, message } as each step starts or finishes
+ * @param {boolean} options.forceRefresh - Refetch pages and API results instead of using cached copies
+ * @param {string} options.market - Market code (AU, NZ, UK, US) - sets the regulators and address formats (default AU)
+ * @returns {Promise<Object>} - Analysis response data, with a report of the cached data used
+ */
+async function runAnalysis(url, industry, specialty = '', options = {}) {
+  const market = resolveMarket(options.market);
+  const { value: responseData, report } = await cache.withContext(
+    { forceRefresh: options.forceRefresh },
+    () => analyzeAndStore(url, industry, specialty, { ...options, market })
+  );
+
+  responseData.cache = report;
+  return responseData;
+}
+
+/**
+ * Analyze a crawled site's content with the LLM, falling back to the rule-based engine when
+ * no valid AI analysis can be produced
+ * @param {Object} site - Crawled site from contentFetcher.crawlWebsite
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {Object} options - onProgress, audit (trust audit), registrations and market
+ * @returns {Promise<Object>} - Analysis data, with provenance saying which analysis ran and why
+ */
+async function analyzeSiteContent(site, industry, specialty, options) {
+  const onProgress = options.onProgress || (() => {});
+  const { market } = options;
+
+  try {
+    const analysisData = await aiAnalyzer.analyzeContent(site.content, industry, specialty, {
+      onProgress,
+      structuredData: site.structuredData,
+      trustAudit: options.audit,
+      registrations: options.registrations,
+      market
+    });
+    onProgress({ step: 'ai-analysis', status: 'completed', message: 'AI analysis complete' });
+    return analysisData;
+  } catch (analysisError) {
+    console.error('Error in AI analysis, using rule-based analysis:', analysisError.message);
+    onProgress({ step: 'ai-analysis', status: 'failed', message: `${analysisError.message} - using rule-based analysis` });
+
+    const ruleAnalysis = analysisEngine.analyzeAuthorityIndex(site, industry, specialty, market);
+    return {
+      expertiseScore: ruleAnalysis.expertiseSignals,
+      authorityScore: ruleAnalysis.digitalAuthority,
+      communicationScore: ruleAnalysis.consistencyMarkers,
+      strengths: ruleAnalysis.strengths,
+      weaknesses: ruleAnalysis.weaknesses,
+      recommendations: ruleAnalysis.recommendations,
+      evidence: ruleAnalysis.evidence,
+      provenance: {
+        method: 'rule-based',
+        provider: 'analysis-engine',
+        model: null,
+        reason: `AI analysis unavailable: ${analysisError.message}`
+      }
+    };
+  }
+}
+
+/**
+ * Run the analysis pipeline (see runAnalysis)
+ * @param {string} url - Website URL to analyze
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {Object} options - Optional settings (onProgress, market)
+ * @returns {Promise<Object>} - Analysis response data
+ */
+async function analyzeAndStore(url, industry, specialty, options) {
+  const onProgress = options.onProgress || (() => {});
+  const { market } = options;
+  const marketPack = rulesLoader.getMarket(market);
+  console.log(`Analyzing website: ${url} (${industry}${specialty ? `, ${specialty}` : ''}, ${market})`);
+
+  // 1. Crawl the website's key pages
+  onProgress({ step: 'fetching', status: 'started', message: 'Fetching website pages' });
+  let site;
+  try {
+    site = await contentFetcher.crawlWebsite(url, { market });
+  } catch (fetchError) {
+    console.error('Error fetching website content:', fetchError);
+    onProgress({ step: 'fetching', status: 'failed', message: 'Unable to fetch website content' });
+    throw createAnalysisError(400, 'Unable to fetch website content. Please check the URL and try again.');
+  }
+
+  const content = site.content;
+
+  if (!content || content.length < 100) {
+    onProgress({ step: 'fetching', status: 'failed', message: 'Not enough content found' });
+    throw createAnalysisError(400, 'Unable to extract sufficient content from the website');
+  }
+
+  onProgress({ step: 'fetching', status: 'completed', message: `Fetched ${site.pages.length} pages` });
+
+  // 2. Audit the technical trust signals (HTTPS, headers, legal pages, contact details)
+  onProgress({ step: 'trust-audit', status: 'started', message: 'Checking HTTPS, legal pages and contact details' });
+  let audit = null;
+  try {
+    audit = await trustAudit.runTrustAudit(site, market);
+    onProgress({
+      step: 'trust-audit',
+      status: 'completed',
+      message: `${audit.summary.passed} of ${audit.checks.length} checks passed`
+    });
+  } catch (auditError) {
+    console.error('Error in trust audit:', auditError);
+    onProgress({ step: 'trust-audit', status: 'failed', message: 'Unable to audit trust signals' });
+  }
+
+  // 3. Check registration numbers (AHPRA, AFSL, builder licences, ABNs) against the register snapshots
+  // Only the market's own registers apply - an Australian-format number means nothing on a UK site
+  site.registrations = site.registrations.filter(registration => marketPack.registers.includes(registration.register));
+  onProgress({ step: 'registrations', status: 'started', message: `Checking ${site.registrations.length} registration number(s)` });
+  let registrations = null;
+  try {
+    registrations = await registrationVerifier.verifySiteRegistrations(site);
+    const { verified, unverifiable, mismatched } = registrations.summary;
+    onProgress({
+      step: 'registrations',
+      status: registrations.results.length > 0 ? 'completed' : 'skipped',
+      message: registrations.results.length > 0
+        ? `${verified} verified, ${unverifiable} unverifiable, ${mismatched} mismatched`
+        : marketPack.registers.length > 0 ? 'No registration numbers found' : `No registers to check in the ${marketPack.name} market`
+    });
+  } catch (verifyError) {
+    console.error('Error verifying registrations:', verifyError);
+    onProgress({ step: 'registrations', status: 'failed', message: 'Unable to verify registrations' });
+  }
+
+  // 4. Scan the content against the industry's advertising rules (e.g. AHPRA for healthcare)
+  onProgress({ step: 'compliance', status: 'started', message: 'Checking advertising compliance' });
+  const compliance = complianceChecker.checkCompliance(site, industry, specialty, market);
+  onProgress({
+    step: 'compliance',
+    status: compliance ? 'completed' : 'skipped',
+    message: compliance
+      ? `${compliance.summary.failed} potential ${compliance.pack.regulator} issue(s) found (compliance score ${compliance.score})`
+      : `No ${marketPack.adjective} advertising rules for ${industry}`
+  });
+
+  // 5. Analyze content using AI, falling back to the local rule-based engine
+  const analysisData = await analyzeSiteContent(site, industry, specialty, { onProgress, audit, registrations, market });
+
+  // The audit results count towards audience trust, and registrations towards expertise, whichever analysis ran
+  trustAudit.applyTrustAudit(analysisData, audit);
+  registrationVerifier.applyRegistrationResults(analysisData, registrations);
+
+  // Compliance findings lead the recommendations, ahead of the marketing advice
+  analysisData.recommendations = [
+    ...complianceChecker.getComplianceRecommendations(compliance),
+    ...(analysisData.recommendations || [])
+  ];
+
+  // 6. Score overall credibility with the same weights used for competitors
+  const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(analysisData, industry, specialty);
+  analysisData.credibilityScore = credibilityScore;
+
+  // 7. Map scores to labels
+  const scoreLabels = {
+    overall: mapScoreToLabel(analysisData.credibilityScore),
+    expertise: mapScoreToLabel(analysisData.expertiseScore),
+    audienceTrust: mapScoreToLabel(analysisData.authorityScore),
+    communication: mapScoreToLabel(analysisData.communicationScore)
+  };
+
+  // 8. Prepare response data
+  const responseData = {
+    url,
+    industry,
+    specialty: specialty || '',
+    market,
+    credibilityScore: analysisData.credibilityScore,
+    expertiseSignals: analysisData.expertiseScore,
+    digitalAuthority: analysisData.authorityScore,
+    consistencyMarkers: analysisData.communicationScore,
+    scoreLabels,
+    complianceScore: compliance ? compliance.score : null,
+    weightProfile,
+    rulesVersion: rulesLoader.getRulesVersion(industry, market),
+    provenance: analysisData.provenance,
+    validation: analysisData.validation || { status: 'not-run', reprompted: false, errors: [], repairs: [] },
+    strengths: analysisData.strengths || [],
+    weaknesses: analysisData.weaknesses || [],
+    recommendations: analysisData.recommendations || [],
+    evidence: analysisData.evidence || [],
+    structuredData: site.structuredData,
+    trustAudit: audit,
+    registrations,
+    compliance,
+    pages: site.pages.map(page => ({
+      url: page.url,
+      pageType: page.pageType,
+      title: page.title
+    })),
+    userData: {
+      expertiseScore: analysisData.expertiseScore,
+      authorityScore: analysisData.authorityScore,
+      communicationScore: analysisData.communicationScore
+    }
+  };
+
+  // 9. Store the analysis so it can be reused by /api/competitors and industry averages
+  try {
+    const record = await analysisStore.saveAnalysis(responseData);
+    responseData.analysisId = record.id;
+  } catch (storeError) {
+    console.error('Error storing analysis:', storeError);
+  }
+
+  return responseData;
+}
+
+/**
+ * Get the stored analysis for a website, running a new one if none exists
+ * @param {string} url - Website URL
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (default AU)
+ * @returns {Promise<Object>} - Stored analysis record
+ */
+async function getOrRunAnalysis(url, industry, specialty = '', market = rulesLoader.DEFAULT_MARKET) {
+  const stored = await analysisStore.findLatestAnalysis(url, industry, specialty, market);
+  if (stored) {
+    console.log(`Using stored analysis for ${stored.domain} from ${stored.createdAt}`);
+    return stored;
+  }
+
+  console.log(`No stored analysis for ${analysisStore.normalizeDomain(url)}, running one now`);
+  await runAnalysis(url, industry, specialty, { market });
+
+  const analysis = await analysisStore.findLatestAnalysis(url, industry, specialty, market);
+  if (!analysis) {
+    throw createAnalysisError(502, 'Unable to analyze the website. Please try again.');
+  }
+
+  return analysis;
+}
+
+module.exports = {
+  createAnalysisError,
+  resolveMarket,
+  runAnalysis,
+  analyzeSiteContent,
+  getOrRunAnalysis
+};
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * Analysis Store Module
+ * File-backed persistence for completed website analyses
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_MARKET } = require('./rules-loader');
+
+// Location of the JSON data files
+let DATA_DIR = path.join(__dirname, '..', 'data');
+
+// In-memory copy of the stored analyses (loaded lazily from disk)
+let analyses = null;
+
+// Serialises writes so concurrent requests don't clobber the file
+let writeQueue = Promise.resolve();
+
+/**
+ * Initialize the module with storage settings
+ * @param {Object} config - Configuration object with optional dataDir
+ */
+function init(config) {
+  if (config && config.dataDir) {
+    DATA_DIR = config.dataDir;
+  }
+  analyses = null;
+}
+
+/**
+ * Normalize a URL or domain into a bare lowercase domain
+ * @param {string} url - Website URL or domain
+ * @returns {string} - Normalized domain (e.g. "example.com.au")
+ */
+function normalizeDomain(url) {
+  if (!url) return '';
+
+  return url
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * Build the lookup key for an analysis
+ * @param {string} url - Website URL or domain
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @returns {string} - Key in the form "domain|industry|specialty"
+ */
+function getAnalysisKey(url, industry, specialty = '') {
+  return [normalizeDomain(url), (industry || '').trim(), (specialty || '').trim()].join('|');
+}
+
+/**
+ * Get the path of the analyses data file
+ * @returns {string} - Absolute file path
+ */
+function getAnalysesFile() {
+  return path.join(DATA_DIR, 'analyses.json');
+}
+
+/**
+ * Load stored analyses from disk into memory
+ * @returns {Promise<Array>} - Stored analysis records
+ */
+async function loadAnalyses() {
+  if (analyses) return analyses;
+
+  try {
+    const raw = await fs.promises.readFile(getAnalysesFile(), 'utf8');
+    const parsed = JSON.parse(raw);
+    analyses = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading analysis store:', error.message);
+    }
+    analyses = [];
+  }
+
+  return analyses;
+}
+
+/**
+ * Write the in-memory analyses back to disk
+ * @returns {Promise<void>}
+ */
+function persistAnalyses() {
+  writeQueue = writeQueue.then(async () => {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written store
+    const file = getAnalysesFile();
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(analyses, null, 2));
+    await fs.promises.rename(tempFile, file);
+  }).catch(error => {
+    console.error('Error writing analysis store:', error.message);
+  });
+
+  return writeQueue;
+}
+
+/**
+ * Save a completed analysis
+ * @param {Object} analysis - Analysis response data (url, industry, scores, etc.)
+ * @returns {Promise<Object>} - The stored record
+ */
+async function saveAnalysis(analysis) {
+  await loadAnalyses();
+
+  const record = {
+    id: crypto.randomUUID(),
+    key: getAnalysisKey(analysis.url, analysis.industry, analysis.specialty),
+    domain: normalizeDomain(analysis.url),
+    url: analysis.url,
+    industry: analysis.industry,
+    specialty: analysis.specialty || '',
+    market: analysis.market || DEFAULT_MARKET,
+    createdAt: new Date().toISOString(),
+    credibilityScore: analysis.credibilityScore,
+    expertiseScore: analysis.expertiseSignals,
+    authorityScore: analysis.digitalAuthority,
+    communicationScore: analysis.consistencyMarkers,
+    complianceScore: typeof analysis.complianceScore === 'number' ? analysis.complianceScore : null,
+    weightProfile: analysis.weightProfile || null,
+    rulesVersion: analysis.rulesVersion || null,
+    provenance: analysis.provenance || null,
+    strengths: analysis.strengths || [],
+    weaknesses: analysis.weaknesses || [],
+    recommendations: analysis.recommendations || [],
+    // Signals found, so the history can tell which recommendations were acted on
+    evidence: (analysis.evidence || [])
+      .filter(item => item.points > 0)
+      .map(item => ({ pillar: item.pillar, rule: item.rule, term: item.term })),
+    compliance: analysis.compliance
+      ? {
+        pack: analysis.compliance.pack,
+        summary: analysis.compliance.summary,
+        failedRules: analysis.compliance.rules.filter(rule => rule.status === 'fail').map(rule => rule.title),
+        checklist: analysis.compliance.rules.map(rule => ({ id: rule.id, title: rule.title, status: rule.status }))
+      }
+      : null
+  };
+
+  analyses.push(record);
+  await persistAnalyses();
+
+  return record;
+}
+
+/**
+ * Get the market an analysis was run for
+ * @param {Object} record - Stored analysis record
+ * @returns {string} - Market code (records saved before markets were added are Australian)
+ */
+function getRecordMarket(record) {
+  return record.market || DEFAULT_MARKET;
+}
+
+/**
+ * List stored analyses, optionally filtered
+ * @param {Object} filter - Optional domain, industry, specialty and market filters
+ * @returns {Promise<Array>} - Matching analysis records, oldest first
+ */
+async function listAnalyses(filter = {}) {
+  await loadAnalyses();
+
+  const domain = filter.domain ? normalizeDomain(filter.domain) : '';
+
+  return analyses.filter(record => {
+    if (domain && record.domain !== domain) return false;
+    if (filter.industry && record.industry !== filter.industry) return false;
+    if (filter.specialty && record.specialty !== filter.specialty) return false;
+    if (filter.market && getRecordMarket(record) !== filter.market) return false;
+    return true;
+  });
+}
+
+/**
+ * Find the most recent analysis for a domain, industry and specialty
+ * @param {string} url - Website URL or domain
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code - any market when not given
+ * @returns {Promise<Object|null>} - Latest matching record or null
+ */
+async function findLatestAnalysis(url, industry, specialty = '', market = '') {
+  await loadAnalyses();
+
+  const key = getAnalysisKey(url, industry, specialty);
+
+  for (let i = analyses.length - 1; i >= 0; i--) {
+    if (analyses[i].key === key && (!market || getRecordMarket(analyses[i]) === market)) {
+      return analyses[i];
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  init,
+  normalizeDomain,
+  getAnalysisKey,
+  saveAnalysis,
+  listAnalyses,
+  findLatestAnalysis,
+  getRecordMarket
+};
\ No newline at end of file
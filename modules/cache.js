@@ -0,0 +1,266 @@
+/**
+ * Cache Module
+ * Content-addressed cache for fetched pages and third-party API results, kept in memory
+ * and on disk with a TTL per data source. Callers run inside a cache context, which
+ * carries the forceRefresh flag and records which sources were served from the cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long each source's results stay fresh - override with config.cacheTtls
+const DEFAULT_TTLS = {
+  pages: DAY,
+  'google-places': 7 * DAY,
+  dataforseo: 7 * DAY,
+  llm: 30 * DAY
+};
+
+// Location of the JSON data files
+let DATA_DIR = path.join(__dirname, '..', 'data');
+
+let enabled = true;
+let ttls = { ...DEFAULT_TTLS };
+let maxMemoryEntries = 500;
+
+// Most recently used entries by key (Map order doubles as LRU order)
+const memory = new Map();
+
+// Current cache context ({ forceRefresh, sources, parent }) for the running request
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Initialize the module with cache settings
+ * @param {Object} config - Configuration object
+ * @param {string} config.dataDir - Directory for data files (entries go in <dataDir>/cache)
+ * @param {boolean} config.cacheEnabled - Set to false to turn caching off
+ * @param {Object} config.cacheTtls - Per-source TTLs in milliseconds, e.g. { pages: 3600000 }
+ * @param {number} config.cacheMemoryEntries - Most entries kept in memory (default 500)
+ */
+function init(config = {}) {
+  if (config.dataDir) {
+    DATA_DIR = config.dataDir;
+  }
+  enabled = config.cacheEnabled !== false;
+  ttls = { ...DEFAULT_TTLS, ...(config.cacheTtls || {}) };
+  maxMemoryEntries = config.cacheMemoryEntries || maxMemoryEntries;
+  memory.clear();
+}
+
+/**
+ * Normalize a URL for use in a cache key
+ * Lowercases the host, drops www., default ports, the hash and a trailing slash, and sorts query parameters
+ * @param {string} url - URL (a missing protocol is treated as https)
+ * @returns {string} - Normalized URL
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    parsed.searchParams.sort();
+
+    let normalized = parsed.toString();
+    if (normalized.endsWith('/') && parsed.pathname !== '/' && !parsed.search) {
+      normalized = normalized.slice(0, -1);
+    }
+    return normalized;
+  } catch (error) {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+/**
+ * Build the cache key for a request
+ * @param {string} source - Data source (e.g. 'pages', 'dataforseo')
+ * @param {Object} parts - Everything that identifies the request (normalized URL, parameters, etc.)
+ * @returns {string} - SHA-256 of the source and parts
+ */
+function buildKey(source, parts) {
+  return crypto.createHash('sha256').update(JSON.stringify({ source, parts })).digest('hex');
+}
+
+/**
+ * Get the disk path of a cache entry
+ * @param {string} source - Data source
+ * @param {string} key - Cache key
+ * @returns {string} - Absolute file path
+ */
+function getEntryFile(source, key) {
+  return path.join(DATA_DIR, 'cache', source, `${key}.json`);
+}
+
+/**
+ * Keep an entry in memory, evicting the least recently used entries over the limit
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ */
+function remember(key, entry) {
+  memory.delete(key);
+  memory.set(key, entry);
+
+  while (memory.size > maxMemoryEntries) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+/**
+ * Read a fresh entry from memory or disk
+ * @param {string} source - Data source
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Entry ({ createdAt, value }) or null if missing or expired
+ */
+async function readEntry(source, key) {
+  const ttl = ttls[source] || HOUR;
+  let entry = memory.get(key);
+
+  if (!entry) {
+    try {
+      entry = JSON.parse(await fs.promises.readFile(getEntryFile(source, key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading ${source} cache entry:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  if (Date.now() - new Date(entry.createdAt).getTime() > ttl) {
+    memory.delete(key);
+    return null;
+  }
+
+  remember(key, entry);
+  return entry;
+}
+
+/**
+ * Save an entry to memory and disk
+ * Disk writes go to a temp file first, and failures are logged rather than thrown
+ * @param {string} source - Data source
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ */
+async function writeEntry(source, key, entry) {
+  remember(key, entry);
+
+  try {
+    const file = getEntryFile(source, key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(entry));
+    await fs.promises.rename(tempFile, file);
+  } catch (error) {
+    console.error(`Error writing ${source} cache entry:`, error.message);
+  }
+}
+
+/**
+ * Record a cache lookup in the current context (and the contexts it's nested in)
+ * @param {string} source - Data source
+ * @param {boolean} hit - Whether the cached value was used
+ * @param {string} createdAt - When the value used was fetched
+ */
+function recordUse(source, hit, createdAt) {
+  for (let context = contextStorage.getStore(); context; context = context.parent) {
+    const usage = context.sources[source] || (context.sources[source] = { hits: 0, misses: 0, fetchedAt: null });
+
+    if (hit) usage.hits++;
+    else usage.misses++;
+
+    // Report the oldest data used from each source
+    if (!usage.fetchedAt || createdAt < usage.fetchedAt) {
+      usage.fetchedAt = createdAt;
+    }
+  }
+}
+
+/**
+ * Get a value from the cache, fetching and storing it on a miss
+ * @param {string} source - Data source, which sets the TTL (see DEFAULT_TTLS)
+ * @param {Object} parts - Everything that identifies the request - use normalizeUrl for URLs
+ * @param {Function} fetcher - async () => value, called on a miss
+ * @param {Object} options - Optional settings
+ * @param {Function} options.shouldCache - (value) => boolean - skip caching results such as API errors
+ * @returns {Promise<*>} - Cached or freshly fetched value
+ */
+async function getOrFetch(source, parts, fetcher, options = {}) {
+  if (!enabled) {
+    return fetcher();
+  }
+
+  const key = buildKey(source, parts);
+  const context = contextStorage.getStore();
+
+  if (!(context && context.forceRefresh)) {
+    const entry = await readEntry(source, key);
+    if (entry) {
+      recordUse(source, true, entry.createdAt);
+      return entry.value;
+    }
+  }
+
+  const value = await fetcher();
+  const createdAt = new Date().toISOString();
+  recordUse(source, false, createdAt);
+
+  if (!options.shouldCache || options.shouldCache(value)) {
+    await writeEntry(source, key, { source, createdAt, value });
+  }
+
+  return value;
+}
+
+/**
+ * Run a function inside a cache context
+ * A nested context inherits forceRefresh from the one it's in, and its lookups count towards both reports
+ * @param {Object} options - Context settings
+ * @param {boolean} options.forceRefresh - Ignore cached values (fresh results are still stored)
+ * @param {Function} fn - async () => value
+ * @returns {Promise<Object>} - { value, report } - see getReport
+ */
+async function withContext(options, fn) {
+  const parent = contextStorage.getStore() || null;
+  const context = {
+    forceRefresh: Boolean(options.forceRefresh || (parent && parent.forceRefresh)),
+    sources: {},
+    parent
+  };
+
+  const value = await contextStorage.run(context, fn);
+  return { value, report: getReport(context) };
+}
+
+/**
+ * Summarise a context's cache use for an API response
+ * @param {Object} context - Cache context
+ * @returns {Object} - { forceRefresh, sources: { [source]: { hits, misses, fetchedAt, ageSeconds } } }
+ */
+function getReport(context) {
+  const now = Date.now();
+  const sources = {};
+
+  Object.entries(context.sources).forEach(([source, usage]) => {
+    sources[source] = {
+      hits: usage.hits,
+      misses: usage.misses,
+      fetchedAt: usage.fetchedAt,
+      ageSeconds: Math.max(0, Math.round((now - new Date(usage.fetchedAt).getTime()) / 1000))
+    };
+  });
+
+  return { forceRefresh: context.forceRefresh, sources };
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  init,
+  normalizeUrl,
+  getOrFetch,
+  withContext
+};
\ No newline at end of file
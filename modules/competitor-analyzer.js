@@ -8,23 +8,59 @@
 const axios = require('axios');
 const contentFetcher = require('./content-fetcher');
 const analysisEngine = require('./analysis-engine');
-const { simulationData } = require('./constants');
+const scoring = require('./scoring');
+const llmProvider = require('./llm-provider');
+const workQueue = require('./work-queue');
+const cache = require('./cache');
+const rulesLoader = require('./rules-loader');
 
 // API Keys
 let GOOGLE_PLACES_API_KEY;
 let DATAFORSEO_LOGIN;
 let DATAFORSEO_PASSWORD;
-let OPENAI_API_KEY;
+
+// Competitor enhancement limits - the client gives up on /api/competitors after 30s
+let COMPETITOR_CONCURRENCY = 3;
+let COMPETITOR_TIMEOUT_MS = 15000;
+let COMPETITOR_BUDGET_MS = 20000;
+
+// How simulated competitors are used:
+// 'off' - never simulate, 'labelled' - fill gaps in real results with labelled simulations,
+// 'on' - only simulated competitors (demo mode, still labelled)
+const SIMULATION_MODES = ['off', 'labelled', 'on'];
+const DEFAULT_SIMULATION_MODE = 'labelled';
+
+// How user-supplied competitors are combined with discovered ones:
+// 'merge' - analyze both (user-supplied first), 'replace' - skip discovery and only analyze the supplied sites
+const COMPETITOR_MODES = ['merge', 'replace'];
+const DEFAULT_COMPETITOR_MODE = 'merge';
 
 /**
  * Initialize the module with API credentials
  * @param {Object} config - Configuration object with API keys
+ * @param {number} config.competitorConcurrency - Competitors enhanced at once (default 3)
+ * @param {number} config.competitorTimeoutMs - Time allowed to enhance one competitor (default 15000)
+ * @param {number} config.competitorBudgetMs - Time allowed to enhance all competitors (default 20000)
+ * @param {Object} config.rateLimits - Per-API and per-host rate limits, see work-queue
  */
 function init(config) {
   GOOGLE_PLACES_API_KEY = config.googlePlacesApiKey;
   DATAFORSEO_LOGIN = config.dataForSeoLogin;
   DATAFORSEO_PASSWORD = config.dataForSeoPassword;
-  OPENAI_API_KEY = config.openaiApiKey;
+  COMPETITOR_CONCURRENCY = config.competitorConcurrency || COMPETITOR_CONCURRENCY;
+  COMPETITOR_TIMEOUT_MS = config.competitorTimeoutMs || COMPETITOR_TIMEOUT_MS;
+  COMPETITOR_BUDGET_MS = config.competitorBudgetMs || COMPETITOR_BUDGET_MS;
+  llmProvider.init(config);
+  workQueue.init(config);
+}
+
+/**
+ * Check whether a Google Places response is safe to cache (found or definitely not found)
+ * @param {Object} data - Response body
+ * @returns {boolean} - Whether the status was OK or ZERO_RESULTS
+ */
+function isPlacesSuccess(data) {
+  return Boolean(data && ['OK', 'ZERO_RESULTS'].includes(data.status));
 }
 
 /**
@@ -46,8 +82,13 @@ async function searchBusinessByName(name, location) {
     
     const url = `https://maps.googleapis.com/maps/api/place/findplacefromtext/json?input=${encodedName}&inputtype=textquery&fields=place_id,name,formatted_address${locationBias}&key=${GOOGLE_PLACES_API_KEY}`;
     
-    const response = await axios.get(url);
-    const data = response.data;
+    // The cache key leaves out the API key
+    const data = await cache.getOrFetch(
+      'google-places',
+      { endpoint: 'findplacefromtext', name, location: location || '' },
+      async () => (await workQueue.schedule('google-places', () => axios.get(url))).data,
+      { shouldCache: isPlacesSuccess }
+    );
     
     if (data.status !== 'OK') {
       console.log(`Error searching for business: ${data.status}`);
@@ -85,8 +126,12 @@ async function getBusinessDetails(placeId) {
     
     const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${placeId}&fields=name,rating,user_ratings_total,reviews,website,formatted_address,formatted_phone_number&key=${GOOGLE_PLACES_API_KEY}`;
     
-    const response = await axios.get(url);
-    const data = response.data;
+    const data = await cache.getOrFetch(
+      'google-places',
+      { endpoint: 'details', placeId },
+      async () => (await workQueue.schedule('google-places', () => axios.get(url))).data,
+      { shouldCache: isPlacesSuccess }
+    );
     
     if (data.status !== 'OK') {
       console.log(`Error getting business details: ${data.status}`);
@@ -108,9 +153,10 @@ async function getBusinessDetails(placeId) {
 /**
  * Get domain overview data from DataForSEO
  * @param {string} domain - Domain to analyze
+ * @param {string} market - Optional market code (default AU) - the search location to report on
  * @returns {Promise<Object|null>} - Domain overview data
  */
-async function getDomainOverview(domain) {
+async function getDomainOverview(domain, market = '') {
   try {
     if (!DATAFORSEO_LOGIN || !DATAFORSEO_PASSWORD) {
       console.log('DataForSEO credentials not configured');
@@ -118,25 +164,30 @@ async function getDomainOverview(domain) {
     }
     
     const auth = Buffer.from(`${DATAFORSEO_LOGIN}:${DATAFORSEO_PASSWORD}`).toString('base64');
+    const { dataForSeo } = rulesLoader.getMarket(market);
     
     const payload = [{
       "target": domain,
-      "location_name": "Australia",
-      "language_name": "English"
+      "location_name": dataForSeo.locationName,
+      "language_name": dataForSeo.languageName
     }];
     
-    const response = await axios({
-      method: 'POST',
-      url: 'https://api.dataforseo.com/v3/domain_analytics/domain_overview',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
-      },
-      data: JSON.stringify(payload)
-    });
-    
-    if (response.data && response.data.tasks && response.data.tasks.length > 0) {
-      return response.data.tasks[0].result[0];
+    const endpoint = 'https://api.dataforseo.com/v3/domain_analytics/domain_overview';
+    const data = await cache.getOrFetch('dataforseo', { endpoint, payload }, async () => {
+      const response = await workQueue.schedule('dataforseo', () => axios({
+        method: 'POST',
+        url: endpoint,
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/json'
+        },
+        data: JSON.stringify(payload)
+      }));
+      return response.data;
+    }, { shouldCache: contentFetcher.isDataForSeoSuccess });
+    
+    if (data && data.tasks && data.tasks.length > 0) {
+      return data.tasks[0].result[0];
     }
     
     console.log('No domain overview data returned');
@@ -166,18 +217,22 @@ async function getBacklinkData(domain) {
       "limit": 100
     }];
     
-    const response = await axios({
-      method: 'POST',
-      url: 'https://api.dataforseo.com/v3/backlinks/overview',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
-      },
-      data: JSON.stringify(payload)
-    });
-    
-    if (response.data && response.data.tasks && response.data.tasks.length > 0) {
-      return response.data.tasks[0].result[0];
+    const endpoint = 'https://api.dataforseo.com/v3/backlinks/overview';
+    const data = await cache.getOrFetch('dataforseo', { endpoint, payload }, async () => {
+      const response = await workQueue.schedule('dataforseo', () => axios({
+        method: 'POST',
+        url: endpoint,
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/json'
+        },
+        data: JSON.stringify(payload)
+      }));
+      return response.data;
+    }, { shouldCache: contentFetcher.isDataForSeoSuccess });
+    
+    if (data && data.tasks && data.tasks.length > 0) {
+      return data.tasks[0].result[0];
     }
     
     console.log('No backlink data returned');
@@ -189,7 +244,7 @@ async function getBacklinkData(domain) {
 }
 
 /**
- * Analyze content using OpenAI
+ * Analyze content using the configured LLM provider
  * @param {string} content - Website content to analyze
  * @param {string} industry - Industry category
  * @param {string} specialty - Optional industry specialty
@@ -197,8 +252,8 @@ async function getBacklinkData(domain) {
  */
 async function analyzeContentWithAI(content, industry, specialty = '') {
   try {
-    if (!OPENAI_API_KEY) {
-      console.log('OpenAI API key not configured');
+    if (!llmProvider.isConfigured()) {
+      console.log('LLM provider not configured');
       return null;
     }
     
@@ -243,55 +298,51 @@ Format your response as a JSON object with these exact properties and no others:
 
 Only return valid JSON that can be parsed. Do not include any explanations or text outside the JSON.`;
 
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
+    const completion = await workQueue.schedule('llm', () => llmProvider.complete('competitorAnalysis', [
       {
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        temperature: 0.3, // Lower temperature for more consistent results
-        max_tokens: 800
+        role: 'system',
+        content: systemPrompt
       },
       {
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
+        role: 'user',
+        content: userPrompt
+      }
+    ], {
+      // Only responses that parse are cached
+      validate: content => {
+        try {
+          JSON.parse(content);
+          return true;
+        } catch (error) {
+          return false;
         }
       }
-    );
+    }));
     
-    if (response.data && response.data.choices && response.data.choices.length > 0) {
-      const aiResponse = response.data.choices[0].message.content;
+    if (completion.content) {
+      const aiResponse = completion.content;
       
       try {
         // Parse the JSON response
         const analysisData = JSON.parse(aiResponse);
         
         // Log token usage for cost monitoring
-        if (response.data.usage) {
-          console.log(`OpenAI token usage: ${response.data.usage.total_tokens} tokens`);
+        if (completion.usage) {
+          console.log(`${completion.model} token usage: ${completion.usage.total_tokens} tokens`);
         }
         
         return analysisData;
       } catch (parseError) {
-        console.error('Error parsing OpenAI response:', parseError.message);
+        console.error('Error parsing AI response:', parseError.message);
         console.log('Raw response:', aiResponse);
         return null;
       }
     }
     
-    console.log('No valid response from OpenAI');
+    console.log('No valid response from LLM provider');
     return null;
   } catch (error) {
-    console.error('Error analyzing content with OpenAI:', error.message);
+    console.error('Error analyzing content with AI:', error.message);
     return null;
   }
 }
@@ -328,61 +379,68 @@ function generateScoreWithDistribution() {
   return Math.max(30, Math.min(95, Math.round(triangular)));
 }
 
+/**
+ * Swap the default market's place names in simulated business names for another market's
+ * (the rules packs' simulation names are written for Australia - "Australian", "Sydney")
+ * @param {Array} names - Name prefixes or suffixes from a rules pack
+ * @param {Object} marketPack - Market from rulesLoader.getMarket
+ * @returns {Array} - Names for the market
+ */
+function localizeSimulationNames(names, marketPack) {
+  const defaultMarket = rulesLoader.getMarket();
+  if (marketPack.code === defaultMarket.code) return names;
+  
+  return names.map(name => {
+    if (name === defaultMarket.adjective) return marketPack.adjective;
+    if (name === defaultMarket.name) return marketPack.name;
+    
+    const cityIndex = defaultMarket.cities.indexOf(name);
+    return cityIndex !== -1 ? marketPack.cities[cityIndex % marketPack.cities.length] : name;
+  });
+}
+
 /**
  * Generates simulated competitors when real data is unavailable
  * Enhanced to consider specialty and location
  * Updated for MVP v2 with new market position terminology
  * @param {string} industry - The industry category
  * @param {string} specialty - Optional specialty within the industry
- * @param {Object} userData - User's website data
+ * @param {Object} userData - User's website data (market sets the place names and domain)
  * @param {number} count - Number of competitors to generate
  * @returns {Array} - List of simulated competitors
  */
 function generateSimulatedCompetitors(industry, specialty, userData, count) {
   const simulatedCompetitors = [];
+  const marketPack = rulesLoader.getMarket(userData.market);
   
-  // Industry-specific business name prefixes and suffixes
-  const prefixes = simulationData.industryPrefixes[industry] || simulationData.defaultPrefixes;
-  let suffixes = simulationData.industrySuffixes[industry] || simulationData.defaultSuffixes;
+  // Industry-specific business name prefixes and suffixes from the rules pack
+  const defaults = rulesLoader.getDefaults().simulation;
+  const simulation = (rulesLoader.getIndustry(industry) || {}).simulation || {};
+  const prefixes = localizeSimulationNames(
+    simulation.prefixes && simulation.prefixes.length > 0 ? simulation.prefixes : defaults.prefixes,
+    marketPack
+  );
+  let suffixes = localizeSimulationNames(
+    simulation.suffixes && simulation.suffixes.length > 0 ? simulation.suffixes : defaults.suffixes,
+    marketPack
+  );
   
   // Create specialty-specific name components if specialty is provided
   let specialtyTerms = [];
   if (specialty) {
-    // Map specialties to specific terms
-    const specialtyMap = {
-      "Plastic Surgery": ["Plastic", "Cosmetic", "Aesthetic", "Reconstructive"],
-      "Dental": ["Dental", "Orthodontic", "Periodontic"],
-      "Medical": ["Medical", "Health", "Wellness"],
-      "Construction": ["Home", "Building", "Renovation", "Custom"],
-      "Environmental": ["Green", "Sustainable", "Eco", "Natural"],
-      "Finance": ["Financial", "Wealth", "Investment", "Accounting"],
-      "Legal": ["Law", "Legal", "Justice", "Attorney"],
-      "Real Estate": ["Property", "Realty", "Estate", "Housing"]
-      // Add more specialties as needed
-    };
-    
-    specialtyTerms = specialtyMap[specialty] || [specialty];
+    const specialtyEntry = rulesLoader.getSpecialty(industry, specialty);
+    specialtyTerms = specialtyEntry && specialtyEntry.nameTerms.length > 0 ? specialtyEntry.nameTerms : [specialty];
   }
   
   // Get location data if available
-  const userLocation = userData.location || contentFetcher.extractLocationFromDomain(userData.domain) || '';
+  const userLocation = userData.location || contentFetcher.extractLocationFromDomain(userData.domain, userData.market) || '';
   const locationTerms = userLocation ? userLocation.split(',').map(l => l.trim()) : [];
   const userState = locationTerms.length > 0 ? locationTerms[locationTerms.length - 1] : '';
   const userCity = locationTerms.length > 0 ? locationTerms[0] : '';
   
   // Helper function to fetch traffic data
-  const getEstimatedTraffic = (industry, isTopCompetitor) => {
-    const baseTraffic = {
-      "Healthcare": { min: 500, max: 2000 },
-      "Construction": { min: 300, max: 1500 },
-      "Environmental": { min: 400, max: 1200 },
-      "Technology": { min: 800, max: 3000 },
-      "Finance": { min: 600, max: 2500 },
-      "Legal": { min: 400, max: 2000 },
-      "Real Estate": { min: 700, max: 2800 }
-    };
-    
-    const indBase = baseTraffic[industry] || { min: 500, max: 2000 };
+  const getEstimatedTraffic = (isTopCompetitor) => {
+    const indBase = simulation.traffic || defaults.traffic;
     const multiplier = isTopCompetitor ? 1.5 : 1;
     
     return Math.floor((Math.random() * (indBase.max - indBase.min) + indBase.min) * multiplier);
@@ -444,7 +502,7 @@ function generateSimulatedCompetitors(industry, specialty, userData, count) {
     const position = determineMarketPosition(expertiseScore, authorityScore);
     
     // Traffic and social data (for DataForSEO simulation)
-    const traffic = getEstimatedTraffic(industry, isTopCompetitor);
+    const traffic = getEstimatedTraffic(isTopCompetitor);
     const socialFollowers = isTopCompetitor ? 
                           Math.floor(Math.random() * 2000) + 1000 : 
                           Math.floor(Math.random() * 1000) + 100;
@@ -462,7 +520,7 @@ function generateSimulatedCompetitors(industry, specialty, userData, count) {
       domainBase = domainBase.substring(0, 20);
     }
     
-    const domain = `${domainBase}.com.au`;
+    const domain = `${domainBase}${marketPack.simulationDomainSuffix}`;
     
     // Create the competitor object
     const competitor = {
@@ -474,7 +532,7 @@ function generateSimulatedCompetitors(industry, specialty, userData, count) {
       communicationScore: consistencyScore, // Renamed to match MVP v2
       position,
       isSimulated: true,
-      isBoss: isTopCompetitor,
+      isBoss: false, // A fictional business is never presented as the market leader
       // Add specialty and location data
       specialty: specialty || industry,
       location: competitorLocation,
@@ -515,6 +573,11 @@ function generateSimulatedCompetitors(industry, specialty, userData, count) {
       competitor.googleData.userRatingsTotal = Math.floor(Math.random() * 100) + 25; // 25 to 125
     }
     
+    // Score overall credibility the same way as real competitors
+    const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(competitor, industry, specialty);
+    competitor.credibilityScore = credibilityScore;
+    competitor.weightProfile = weightProfile.name;
+    
     simulatedCompetitors.push(competitor);
   }
   
@@ -527,11 +590,13 @@ function generateSimulatedCompetitors(industry, specialty, userData, count) {
  * @param {Object} competitor - Basic competitor data
  * @param {string} industry - Industry category
  * @param {string} specialty - Industry specialty
+ * @param {Object} enhancedCompetitor - Optional object to collect results in, so anything found
+ *   before a timeout can still be used (defaults to a copy of the competitor)
+ * @param {string} market - Optional market code (default AU)
  * @returns {Promise<Object>} - Enhanced competitor data
  */
-async function enhanceCompetitorData(competitor, industry, specialty) {
+async function enhanceCompetitorData(competitor, industry, specialty, enhancedCompetitor = { ...competitor }, market = '') {
   try {
-    let enhancedCompetitor = { ...competitor };
     
     // If we have a name but no Google data, try to find it
     if (competitor.name && !competitor.googleData && !competitor.placeId) {
@@ -580,7 +645,7 @@ async function enhanceCompetitorData(competitor, industry, specialty) {
         const domain = enhancedCompetitor.url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0];
         
         // Get domain overview data
-        const domainData = await getDomainOverview(domain);
+        const domainData = await getDomainOverview(domain, market);
         if (domainData) {
           enhancedCompetitor.seoData = {
             ...(enhancedCompetitor.seoData || {}),
@@ -610,13 +675,17 @@ async function enhanceCompetitorData(competitor, industry, specialty) {
       try {
         console.log(`Analyzing competitor website: ${enhancedCompetitor.url}`);
         
-        // Fetch content using the content fetcher module
-        const pageContent = await contentFetcher.getWebsiteContent(enhancedCompetitor.url);
+        // Fetch content from the competitor's home page and a couple of key pages (one crawl per host at a time)
+        const host = enhancedCompetitor.url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0].toLowerCase();
+        const site = await workQueue.schedule(`host:${host}`, () =>
+          contentFetcher.crawlWebsite(enhancedCompetitor.url, { maxPages: 3, market })
+        );
+        const pageContent = site.content;
         
         if (pageContent && pageContent.length > 100) {
           // Try AI analysis first if OpenAI is configured
           let aiAnalysis = null;
-          if (OPENAI_API_KEY) {
+          if (llmProvider.isConfigured()) {
             try {
               aiAnalysis = await analyzeContentWithAI(pageContent, industry, specialty);
             } catch (aiError) {
@@ -633,13 +702,14 @@ async function enhanceCompetitorData(competitor, industry, specialty) {
             enhancedCompetitor.weaknesses = aiAnalysis.weaknesses;
             enhancedCompetitor.hasAiAnalysis = true;
           } else {
-            // Fallback to standard analysis
-            const analysis = analysisEngine.analyzeAuthorityIndex(pageContent, industry, specialty);
+            // Fallback to standard analysis (the crawled site includes its structured data)
+            const analysis = analysisEngine.analyzeAuthorityIndex(site, industry, specialty, market);
             
             // Add the scores to the competitor
             enhancedCompetitor.expertiseScore = analysis.expertiseSignals;
             enhancedCompetitor.authorityScore = analysis.digitalAuthority;
             enhancedCompetitor.communicationScore = analysis.consistencyMarkers;
+            enhancedCompetitor.evidence = analysis.evidence;
           }
           
           // Determine market position based on updated MVP v2 terminology
@@ -652,57 +722,94 @@ async function enhanceCompetitorData(competitor, industry, specialty) {
         }
       } catch (analysisError) {
         console.error(`Error analyzing competitor website: ${analysisError.message}`);
-        // If analysis fails, we'll generate plausible scores below
+        // The competitor is returned unscored, with the reason
         enhancedCompetitor.hasAnalysis = false;
+        enhancedCompetitor.failureReason = `Website could not be analyzed: ${analysisError.message}`;
       }
     }
     
-    // If we still don't have scores, generate plausible ones
-    if (!enhancedCompetitor.expertiseScore || !enhancedCompetitor.authorityScore) {
-      // Generate scores partly based on Google ratings if available
-      if (enhancedCompetitor.googleData && enhancedCompetitor.googleData.rating) {
-        const baseExpertiseScore = 50 + Math.round(Math.random() * 30);
-        const baseAuthorityScore = 50 + Math.round((enhancedCompetitor.googleData.rating / 5) * 30);
-        
-        enhancedCompetitor.expertiseScore = baseExpertiseScore;
-        enhancedCompetitor.authorityScore = baseAuthorityScore;
-        enhancedCompetitor.communicationScore = 45 + Math.round(Math.random() * 25);
-        enhancedCompetitor.isEstimated = true;
-      } else {
-        // Completely randomized but plausible scores
-        enhancedCompetitor.expertiseScore = 40 + Math.round(Math.random() * 40);
-        enhancedCompetitor.authorityScore = 40 + Math.round(Math.random() * 40);
-        enhancedCompetitor.communicationScore = 40 + Math.round(Math.random() * 30);
-        enhancedCompetitor.isEstimated = true;
-      }
-      
-      // Set position based on generated scores
-      enhancedCompetitor.position = determineMarketPosition(
-        enhancedCompetitor.expertiseScore, 
-        enhancedCompetitor.authorityScore
-      );
-    }
-    
-    // Calculate credibility score for consistency with user scoring
-    enhancedCompetitor.credibilityScore = Math.round(
-      (enhancedCompetitor.expertiseScore * 0.4) + 
-      (enhancedCompetitor.authorityScore * 0.3) + 
-      (enhancedCompetitor.communicationScore * 0.3)
-    );
-    
-    // Map scores to labels
-    enhancedCompetitor.scoreLabels = {
-      overall: mapScoreToLabel(enhancedCompetitor.credibilityScore),
-      expertise: mapScoreToLabel(enhancedCompetitor.expertiseScore),
-      audienceTrust: mapScoreToLabel(enhancedCompetitor.authorityScore),
-      communication: mapScoreToLabel(enhancedCompetitor.communicationScore)
-    };
-    
-    return enhancedCompetitor;
+    return finalizeCompetitor(enhancedCompetitor, industry, specialty);
   } catch (error) {
     console.error(`Error enhancing competitor data for ${competitor.name || 'unknown competitor'}:`, error.message);
-    return competitor; // Return original competitor if enhancement fails
+    return finalizeCompetitor({ ...competitor, failureReason: error.message }, industry, specialty);
+  }
+}
+
+/**
+ * Check whether a competitor has expertise and authority scores to plot and compare
+ * @param {Object} competitor - Competitor data
+ * @returns {boolean} - Whether both scores are present
+ */
+function hasScores(competitor) {
+  return typeof competitor.expertiseScore === 'number' && typeof competitor.authorityScore === 'number';
+}
+
+/**
+ * Add the credibility score and labels to an analyzed competitor. A competitor whose website
+ * couldn't be analyzed is returned without scores and with a failureReason
+ * @param {Object} enhancedCompetitor - Competitor with whatever data was gathered
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Industry specialty
+ * @returns {Object} - The competitor, ready to display
+ */
+function finalizeCompetitor(enhancedCompetitor, industry, specialty) {
+  if (!hasScores(enhancedCompetitor)) {
+    return {
+      ...enhancedCompetitor,
+      expertiseScore: null,
+      authorityScore: null,
+      communicationScore: null,
+      credibilityScore: null,
+      position: null,
+      failureReason: enhancedCompetitor.failureReason ||
+        (enhancedCompetitor.url ? 'Website could not be analyzed' : 'No website to analyze')
+    };
+  }
+  
+  // Calculate credibility score with the same weight profile as the user's score
+  const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(enhancedCompetitor, industry, specialty);
+  enhancedCompetitor.credibilityScore = credibilityScore;
+  enhancedCompetitor.weightProfile = weightProfile.name;
+  
+  // Map scores to labels
+  enhancedCompetitor.scoreLabels = {
+    overall: mapScoreToLabel(enhancedCompetitor.credibilityScore),
+    expertise: mapScoreToLabel(enhancedCompetitor.expertiseScore),
+    audienceTrust: mapScoreToLabel(enhancedCompetitor.authorityScore),
+    communication: mapScoreToLabel(enhancedCompetitor.communicationScore)
+  };
+  
+  return enhancedCompetitor;
+}
+
+/**
+ * Describe what a competitor's measured metrics say they excel at
+ * @param {Object} competitor - Real (not simulated) competitor
+ * @param {string} industry - The industry category
+ * @returns {Object|null} - { strength, data }, or null when nothing measured stands out
+ */
+function describeCompetitorStrength(competitor, industry) {
+  const seoData = competitor.seoData || {};
+  const googleData = competitor.googleData || {};
+  
+  if (seoData.traffic > 1000) {
+    return { strength: "SEO and website traffic", data: `with approximately ${seoData.traffic.toLocaleString()} monthly visitors` };
+  }
+  if (googleData.userRatingsTotal > 15) {
+    // Use industry-specific terminology for reviews
+    const strength = (rulesLoader.getIndustry(industry) || {}).reviewStrength || rulesLoader.getDefaults().reviewStrength;
+    return { strength, data: `with ${googleData.userRatingsTotal} Google reviews (${googleData.rating}/5 stars)` };
   }
+  if (seoData.socialFollowers > 500) {
+    return { strength: "social media presence", data: `with approximately ${seoData.socialFollowers.toLocaleString()} social media followers` };
+  }
+  if (seoData.backlinks > 50) {
+    return { strength: "link building and industry references", data: `with ${seoData.backlinks} websites linking to them` };
+  }
+  if (hasScores(competitor) && !competitor.isEstimated) {
+    return { strength: "online marketing", data: `with an audience trust score of ${Math.round(competitor.authorityScore)}` };
+  }
+  return null;
 }
 
 /**
@@ -793,22 +900,12 @@ function determineMarketPosition(expertiseScore, authorityScore, competitors = [
   let expertiseThreshold = 70; // Increased from 60
   let authorityThreshold = 65; // Increased from 60
   
-  // Industry-specific threshold adjustments
+  // Industry-specific threshold adjustments from the rules pack
   // Some industries naturally score higher on certain metrics
-  const industryAdjustments = {
-    "Healthcare": { expertise: 5, authority: 0 },    // Medical credentials boost expertise scores
-    "Finance": { expertise: 3, authority: 2 },       // Financial credentials matter
-    "Legal": { expertise: 5, authority: 0 },         // Legal credentials boost expertise
-    "Technology": { expertise: 0, authority: 5 },    // Tech tends to have higher online visibility
-    "Construction": { expertise: 0, authority: -5 }, // Construction often has lower online visibility
-    "Real Estate": { expertise: -2, authority: 3 },  // Real estate tends toward visibility
-    "Environmental": { expertise: 2, authority: -3 } // Environmental services often more expertise-focused
-  };
-  
-  // Apply industry adjustments if available
-  if (industry && industryAdjustments[industry]) {
-    expertiseThreshold += industryAdjustments[industry].expertise;
-    authorityThreshold += industryAdjustments[industry].authority;
+  const pack = rulesLoader.getIndustry(industry);
+  if (pack) {
+    expertiseThreshold += pack.marketPosition.expertise;
+    authorityThreshold += pack.marketPosition.authority;
   }
   
   // If we have competitors, use percentile-based positioning
@@ -871,15 +968,22 @@ function determineMarketPosition(expertiseScore, authorityScore, competitors = [
  * @param {Object} userData - User's website data
  * @param {Array} competitors - List of competitor websites and their analysis
  * @param {string} industry - The industry category
- * @returns {Array} - List of competitive insights
+ * @param {Object} industryAverage - Aggregated industry average (from industry-averages)
+ * @returns {Array} - List of competitive insights (regulation wording follows userData.market)
  */
-function generateCompetitiveInsights(userData, competitors, industry) {
+function generateCompetitiveInsights(userData, competitors, industry, industryAverage = null) {
   const insights = [];
+  const marketPack = rulesLoader.getMarket(userData.market);
+  
+  // Simulated competitors have made-up metrics, so insights only ever cite real ones
+  // (and only real ones that were analyzed)
+  const realCompetitors = (competitors || []).filter(c => !c.isSimulated && !c.failureReason);
+  const simulatedCount = (competitors || []).filter(c => c.isSimulated).length;
   
   // Find top competitor by digital metrics (combined SEO and Google data)
-  if (competitors && competitors.length > 0) {
+  if (realCompetitors.length > 0) {
     // Sort competitors by a combined score of Google ratings, SEO data, and authority
-    const sortedCompetitors = [...competitors].sort((a, b) => {
+    const sortedCompetitors = [...realCompetitors].sort((a, b) => {
       // Calculate a comprehensive score for each competitor
       const aGoogleScore = (a.googleData?.userRatingsTotal || 0) * (a.googleData?.rating || 3) / 5;
       const bGoogleScore = (b.googleData?.userRatingsTotal || 0) * (b.googleData?.rating || 3) / 5;
@@ -887,8 +991,8 @@ function generateCompetitiveInsights(userData, competitors, industry) {
       const aSeoScore = (a.seoData?.traffic || 0) / 100 + (a.seoData?.keywords || 0) / 50 + (a.seoData?.backlinks || 0) / 20 + (a.seoData?.socialFollowers || 0) / 50;
       const bSeoScore = (b.seoData?.traffic || 0) / 100 + (b.seoData?.keywords || 0) / 50 + (b.seoData?.backlinks || 0) / 20 + (b.seoData?.socialFollowers || 0) / 50;
       
-      const aAuthorityScore = a.authorityScore || 50;
-      const bAuthorityScore = b.authorityScore || 50;
+      const aAuthorityScore = a.isEstimated ? 0 : a.authorityScore || 0;
+      const bAuthorityScore = b.isEstimated ? 0 : b.authorityScore || 0;
       
       const aTotal = aGoogleScore + aSeoScore + aAuthorityScore;
       const bTotal = bGoogleScore + bSeoScore + bAuthorityScore;
@@ -896,49 +1000,19 @@ function generateCompetitiveInsights(userData, competitors, industry) {
       return bTotal - aTotal; // Sort descending
     });
     
-    const topCompetitor = sortedCompetitors[0];
+    // Only measured metrics make a competitor "the boss"
+    const topCompetitor = sortedCompetitors.find(competitor => describeCompetitorStrength(competitor, industry));
     
     // Generate competitive insight
     if (topCompetitor) {
       // Determine what the top competitor excels at
-      let competitorStrength = "";
-      let strengthData = "";
-      
-      // Check which metric is highest
-      if (topCompetitor.seoData && topCompetitor.seoData.traffic && topCompetitor.seoData.traffic > 1000) {
-        competitorStrength = "SEO and website traffic";
-        strengthData = `with approximately ${topCompetitor.seoData.traffic.toLocaleString()} monthly visitors`;
-      } else if (topCompetitor.googleData && topCompetitor.googleData.userRatingsTotal > 15) {
-        // Use industry-specific terminology for reviews
-        if (industry === "Healthcare") {
-          competitorStrength = "patient reviews and testimonials";
-        } else if (industry === "Construction") {
-          competitorStrength = "client reviews and portfolio showcases";
-        } else if (industry === "Finance") {
-          competitorStrength = "client testimonials and case studies";
-        } else if (industry === "Legal") {
-          competitorStrength = "client reviews and case outcomes";
-        } else if (industry === "Real Estate") {
-          competitorStrength = "client reviews and property listings";
-        } else {
-          competitorStrength = "customer reviews and testimonials";
-        }
-        
-        strengthData = `with ${topCompetitor.googleData.userRatingsTotal} Google reviews (${topCompetitor.googleData.rating}/5 stars)`;
-      } else if (topCompetitor.seoData && topCompetitor.seoData.socialFollowers && topCompetitor.seoData.socialFollowers > 500) {
-        competitorStrength = "social media presence";
-        strengthData = `with approximately ${topCompetitor.seoData.socialFollowers.toLocaleString()} social media followers`;
-      } else if (topCompetitor.seoData && topCompetitor.seoData.backlinks && topCompetitor.seoData.backlinks > 50) {
-        competitorStrength = "link building and industry references";
-        strengthData = `with ${topCompetitor.seoData.backlinks} websites linking to them`;
-      } else {
-        competitorStrength = "online marketing";
-        strengthData = "giving them a competitive advantage";
-      }
+      const topStrength = describeCompetitorStrength(topCompetitor, industry);
       
       // Check gap between top competitor and user's site (if available)
+      // (estimated scores are guesses, so they're never compared)
       let competitiveGap = "";
-      if (userData.expertiseScore && userData.authorityScore &&
+      if (!topCompetitor.isEstimated &&
+          userData.expertiseScore && userData.authorityScore &&
           topCompetitor.expertiseScore && topCompetitor.authorityScore) {
           
         const expertiseGap = topCompetitor.expertiseScore - userData.expertiseScore;
@@ -957,74 +1031,45 @@ function generateCompetitiveInsights(userData, competitors, industry) {
       insights.push({
         type: "competitor",
         title: `${topCompetitor.name} Dominates Online`,
-        message: `${topCompetitor.name} is investing in ${competitorStrength}, ${strengthData} and giving them a competitive advantage in online visibility.${competitiveGap}`
+        message: `${topCompetitor.name} is investing in ${topStrength.strength}, ${topStrength.data}, giving them a competitive advantage in online visibility.${competitiveGap}`
       });
       
-      // Mark this competitor as "the boss"
+      // Mark this competitor as "the boss" (their measured scores are left as they are)
       topCompetitor.isBoss = true;
-      
-      // Position the "boss" competitor in a position of strength
-      // Update their quadrant position if they're currently in a weak position
-      if (topCompetitor.position === "LOW PROFILE" || !topCompetitor.position) {
-        // Ensure they're placed in a stronger position (Verified Expert)
-        topCompetitor.position = "VERIFIED EXPERT";
-        if (topCompetitor.authorityScore && topCompetitor.authorityScore < 60) {
-          topCompetitor.authorityScore = Math.max(65, topCompetitor.authorityScore + 15);
-        }
-        if (topCompetitor.expertiseScore && topCompetitor.expertiseScore < 60) {
-          topCompetitor.expertiseScore = Math.max(65, topCompetitor.expertiseScore + 10);
-        }
-      }
     }
   }
   
- // Generate industry-specific insights
-  if (industry === "Healthcare") {
+  // Make it clear when some of the competitors shown are illustrative
+  if (simulatedCount > 0) {
     insights.push({
-      type: "industry",
-      title: "Healthcare Authority",
-      message: "In healthcare, balancing clinical expertise with digital visibility is critical for establishing trust while complying with Australian regulations."
+      type: "simulation",
+      title: "Illustrative Competitors",
+      message: realCompetitors.length > 0
+        ? `${simulatedCount} of the competitors shown ${simulatedCount === 1 ? 'is an illustrative example' : 'are illustrative examples'}, not ${simulatedCount === 1 ? 'a real business' : 'real businesses'}. They fill gaps where we couldn't find enough real competitors and are not used in these insights.`
+        : "The competitors shown are illustrative examples, not real businesses. Connect competitor data sources or add your own competitors to compare against real businesses."
     });
-    
-    // Add AHPRA insight for regulated specialties
-    const specialty = userData.specialty;
-    if (specialty === "Plastic Surgery" || specialty === "Cosmetic Surgery") {
+  }
+  
+  // Generate industry-specific insights from the rules pack (with the market's regulators)
+  const pack = rulesLoader.getIndustry(industry, marketPack.code);
+  if (pack) {
+    pack.insights.forEach(insight => insights.push({ type: "industry", title: insight.title, message: insight.message }));
+    
+    // Regulation insight - specific to the compliance scan when it found issues, otherwise the specialty's guidance
+    const compliance = userData.compliance;
+    const specialtyEntry = rulesLoader.getSpecialty(industry, userData.specialty, marketPack.code);
+    if (compliance && compliance.failedRules.length > 0 && pack.complianceInsight) {
       insights.push({
         type: "regulation",
-        title: "AHPRA Compliance",
-        message: "For plastic and cosmetic surgeons, AHPRA guidelines limit use of patient testimonials and before/after photos. Focus on educational content and your credentials instead."
+        title: pack.complianceInsight.title,
+        message: pack.complianceInsight.message
+          .replace('{count}', compliance.failedRules.length)
+          .replace('{rules}', compliance.failedRules.join(', '))
+          .replace('{pack}', compliance.pack.name)
       });
+    } else if (specialtyEntry) {
+      specialtyEntry.insights.forEach(insight => insights.push({ type: "regulation", title: insight.title, message: insight.message }));
     }
-  } else if (industry === "Construction") {
-    insights.push({
-      type: "industry",
-      title: "Construction Credibility",
-      message: "In construction, showcasing completed projects and proven results builds more credibility than general marketing claims."
-    });
-  } else if (industry === "Environmental") {
-    insights.push({
-      type: "industry",
-      title: "Environmental Impact",
-      message: "Environmental services require demonstrating both expertise and measurable outcomes - focus on case studies with quantifiable results."
-    });
-  } else if (industry === "Finance") {
-    insights.push({
-      type: "industry",
-      title: "Finance Trust Factors",
-      message: "In financial services, clear display of credentials, AFSL information, and educational content builds more trust than marketing claims."
-    });
-  } else if (industry === "Legal") {
-    insights.push({
-      type: "industry",
-      title: "Legal Authority",
-      message: "For legal services, demonstrating specialized expertise and successful outcomes (while maintaining client confidentiality) is key to digital authority."
-    });
-  } else if (industry === "Real Estate") {
-    insights.push({
-      type: "industry",
-      title: "Property Expertise",
-      message: "In real estate, local market knowledge and property success stories create more authority than general promotional content."
-    });
   }
   
   // Generate hidden expertise insight if applicable
@@ -1039,26 +1084,36 @@ function generateCompetitiveInsights(userData, competitors, industry) {
     });
   }
   
-  // Industry average comparison insight
-  insights.push({
-    type: "average",
-    title: "Industry Average Comparison",
-    message: `Compared to the Australian industry average for ${industry}, your overall credibility score is ${getComparisonToAverage(userData.credibilityScore || 0, industry)}. ${getIndustryAdviceByComparison(userData.credibilityScore || 0, industry)}`
-  });
+  // Industry average comparison insight (only once enough other sites have been analysed)
+  if (industryAverage && !industryAverage.insufficientData && industryAverage.sampleSize > 0) {
+    const averageScore = industryAverage.credibilityScore;
+    const userScore = userData.credibilityScore || 0;
+    
+    insights.push({
+      type: "average",
+      title: "Industry Average Comparison",
+      message: `Compared to the ${marketPack.adjective} industry average for ${industry} (${industryAverage.sampleSize} ${industryAverage.sampleSize === 1 ? 'site' : 'sites'} analysed), your overall credibility score is ${getComparisonToAverage(userScore, averageScore)}. ${getIndustryAdviceByComparison(userScore, industry, averageScore)}`
+    });
+  }
   
   // Return top insights (but always include the competitor insight if available)
   const competitorInsight = insights.find(i => i.type === "competitor");
+  const simulationInsight = insights.find(i => i.type === "simulation");
   const hiddenInsight = insights.find(i => i.type === "hidden");
   const averageInsight = insights.find(i => i.type === "average");
-  const otherInsights = insights.filter(i => i.type !== "competitor" && i.type !== "hidden" && i.type !== "average");
+  const otherInsights = insights.filter(i => !["competitor", "simulation", "hidden", "average"].includes(i.type));
   
-  // Prioritize the order: competitor first, hidden expert second, average third, then others
+  // Prioritize the order: competitor first, simulation notice second, hidden expert, average, then others
   let prioritizedInsights = [];
   
   if (competitorInsight) {
     prioritizedInsights.push(competitorInsight);
   }
   
+  if (simulationInsight) {
+    prioritizedInsights.push(simulationInsight);
+  }
+  
   if (hiddenInsight) {
     prioritizedInsights.push(hiddenInsight);
   }
@@ -1073,23 +1128,10 @@ function generateCompetitiveInsights(userData, competitors, industry) {
 /**
  * Helper function to compare user score to industry average
  * @param {number} score - User's credibility score
- * @param {string} industry - Industry category
+ * @param {number} avgScore - Industry average credibility score
  * @returns {string} - Comparison description
  */
-function getComparisonToAverage(score, industry) {
-  // Simulated industry average scores
-  const industryAverages = {
-    "Healthcare": 68,
-    "Construction": 62,
-    "Environmental": 58,
-    "Technology": 75,
-    "Finance": 71,
-    "Legal": 70,
-    "Real Estate": 64,
-    "default": 60
-  };
-  
-  const avgScore = industryAverages[industry] || industryAverages.default;
+function getComparisonToAverage(score, avgScore) {
   const difference = score - avgScore;
   
   if (difference >= 20) return "significantly above average";
@@ -1103,22 +1145,10 @@ function getComparisonToAverage(score, industry) {
  * Helper function to generate industry-specific advice based on comparison
  * @param {number} score - User's credibility score
  * @param {string} industry - Industry category
+ * @param {number} avgScore - Industry average credibility score
  * @returns {string} - Industry-specific advice
  */
-function getIndustryAdviceByComparison(score, industry) {
-  // Simulated industry average scores
-  const industryAverages = {
-    "Healthcare": 68,
-    "Construction": 62,
-    "Environmental": 58,
-    "Technology": 75,
-    "Finance": 71,
-    "Legal": 70,
-    "Real Estate": 64,
-    "default": 60
-  };
-  
-  const avgScore = industryAverages[industry] || industryAverages.default;
+function getIndustryAdviceByComparison(score, industry, avgScore) {
   const difference = score - avgScore;
   
   if (difference >= 10) {
@@ -1130,28 +1160,204 @@ function getIndustryAdviceByComparison(score, industry) {
   }
 }
 
+/**
+ * Generates recommendations that reference specific gaps between the user and their competitors
+ * @param {Object} userData - User's scores plus optional googleData and seoData
+ * @param {Array} competitors - Analysed competitors (as returned by /api/competitors)
+ * @param {string} industry - The industry category
+ * @param {string} market - Optional market code (default AU)
+ * @returns {Array} - Recommendations in the same shape as the AI recommendations
+ */
+function generateCompetitorRecommendations(userData, competitors, industry, market = '') {
+  const recommendations = [];
+  
+  // Simulated competitors have made-up metrics and failed ones have estimated or missing scores,
+  // so never cite them
+  const realCompetitors = (competitors || []).filter(c => !c.isSimulated && !c.isEstimated && !c.failureReason);
+  if (realCompetitors.length === 0) {
+    return recommendations;
+  }
+  
+  // Describe a competitor the same way the insights do ("the boss competitor, X")
+  const describe = (competitor) => competitor.isBoss ? `The boss competitor, ${competitor.name},` : competitor.name;
+  
+  // Find the competitor with the largest lead on a given metric
+  const findLeader = (getValue) => {
+    let leader = null;
+    for (const competitor of realCompetitors) {
+      const value = getValue(competitor) || 0;
+      if (!leader || value > (getValue(leader) || 0)) {
+        leader = competitor;
+      }
+    }
+    return leader;
+  };
+  
+  // Google reviews gap
+  const userReviews = userData.googleData?.userRatingsTotal || 0;
+  const reviewLeader = findLeader(c => c.googleData?.userRatingsTotal);
+  const leaderReviews = reviewLeader?.googleData?.userRatingsTotal || 0;
+  
+  if (leaderReviews >= 10 && leaderReviews > userReviews * 1.5) {
+    const reviewTerm = (rulesLoader.getIndustry(industry, market) || rulesLoader.getDefaults()).clientTerm;
+    
+    recommendations.push({
+      category: 'AUDIENCE TRUST',
+      recommendation: `${describe(reviewLeader)} has ${leaderReviews} Google reviews, you have ${userReviews}. Close the review gap with a consistent ${reviewTerm} review request process.`,
+      supportingData: `${reviewLeader.name}: ${leaderReviews} reviews (${reviewLeader.googleData.rating || 0}/5). You: ${userReviews} reviews${userData.googleData?.rating ? ` (${userData.googleData.rating}/5)` : ''}.`,
+      source: 'Google Places',
+      competitor: reviewLeader.name,
+      actionItems: [
+        `Ask every satisfied ${reviewTerm} for a Google review after each completed engagement`,
+        'Send a short follow-up email with a direct link to your Google Business Profile',
+        'Respond to every existing review to show prospects you are engaged'
+      ]
+    });
+  }
+  
+  // Website traffic gap
+  const userTraffic = userData.seoData?.traffic || 0;
+  const trafficLeader = findLeader(c => c.seoData?.traffic);
+  const leaderTraffic = trafficLeader?.seoData?.traffic || 0;
+  
+  if (leaderTraffic > 500 && leaderTraffic > userTraffic * 2) {
+    recommendations.push({
+      category: 'MARKET DIFFERENTIATION',
+      recommendation: `${describe(trafficLeader)} attracts approximately ${leaderTraffic.toLocaleString()} monthly visitors, you attract ${userTraffic.toLocaleString()}. Build search visibility around the services you want to be known for.`,
+      supportingData: `${trafficLeader.name}: ~${leaderTraffic.toLocaleString()} visits/month, ${(trafficLeader.seoData.keywords || 0).toLocaleString()} ranking keywords. You: ~${userTraffic.toLocaleString()} visits/month, ${(userData.seoData?.keywords || 0).toLocaleString()} ranking keywords.`,
+      source: 'DataForSEO',
+      competitor: trafficLeader.name,
+      actionItems: [
+        'Publish a dedicated page for each core service with the questions prospects actually search for',
+        `Review which ${trafficLeader.name} pages rank and cover the same topics with more expertise`,
+        'Link your service pages together so search engines understand your specialisation'
+      ]
+    });
+  }
+  
+  // Backlink gap
+  const userBacklinks = userData.seoData?.backlinks || 0;
+  const backlinkLeader = findLeader(c => c.seoData?.backlinks);
+  const leaderBacklinks = backlinkLeader?.seoData?.backlinks || 0;
+  
+  if (leaderBacklinks > 50 && leaderBacklinks > userBacklinks * 2) {
+    recommendations.push({
+      category: 'AUDIENCE TRUST',
+      recommendation: `${describe(backlinkLeader)} has ${leaderBacklinks.toLocaleString()} websites linking to them, you have ${userBacklinks.toLocaleString()}. Earn references from industry bodies and local publications.`,
+      supportingData: `${backlinkLeader.name}: ${leaderBacklinks.toLocaleString()} backlinks${backlinkLeader.seoData.referringDomains ? ` from ${backlinkLeader.seoData.referringDomains} domains` : ''}. You: ${userBacklinks.toLocaleString()} backlinks.`,
+      source: 'DataForSEO',
+      competitor: backlinkLeader.name,
+      actionItems: [
+        'Make sure every professional association you belong to links to your website',
+        'Offer expert commentary to local and industry publications',
+        'List your business in reputable industry directories'
+      ]
+    });
+  }
+  
+  // Expertise demonstration gap
+  const expertiseLeader = findLeader(c => c.expertiseScore);
+  if (expertiseLeader && userData.expertiseScore &&
+      expertiseLeader.expertiseScore - userData.expertiseScore >= 10) {
+    const leaderStrengths = (expertiseLeader.strengths || []).slice(0, 2);
+    
+    recommendations.push({
+      category: 'EXPERTISE VALIDATION',
+      recommendation: `${describe(expertiseLeader)} scores ${Math.round(expertiseLeader.expertiseScore)} for expertise validation, you score ${Math.round(userData.expertiseScore)}. Make your qualifications and experience as visible as theirs.`,
+      supportingData: leaderStrengths.length > 0
+        ? `Their website's strengths: ${leaderStrengths.join('; ')}`
+        : `Expertise gap of ${Math.round(expertiseLeader.expertiseScore - userData.expertiseScore)} points`,
+      source: 'Authority Index competitor analysis',
+      competitor: expertiseLeader.name,
+      actionItems: [
+        'Add qualifications, registrations and years of experience to each practitioner bio',
+        'Publish detailed case studies that show how you solve complex problems',
+        'Reference the professional bodies you are a member of on every service page'
+      ]
+    });
+  }
+  
+  // Communication clarity gap
+  const communicationLeader = findLeader(c => c.communicationScore);
+  if (communicationLeader && userData.communicationScore &&
+      communicationLeader.communicationScore - userData.communicationScore >= 10) {
+    recommendations.push({
+      category: 'COMMUNICATION INTEGRITY',
+      recommendation: `${describe(communicationLeader)} scores ${Math.round(communicationLeader.communicationScore)} for communication integrity, you score ${Math.round(userData.communicationScore)}. Explain more clearly what you do, for whom, and what happens next.`,
+      supportingData: `Communication gap of ${Math.round(communicationLeader.communicationScore - userData.communicationScore)} points`,
+      source: 'Authority Index competitor analysis',
+      competitor: communicationLeader.name,
+      actionItems: [
+        'Describe your process step by step so prospects know what to expect',
+        'Give every page a single, clear call to action',
+        'Answer the most common client questions in plain language'
+      ]
+    });
+  }
+  
+  return recommendations;
+}
+
 /**
  * Process a list of competitors to enhance them with additional data
+ * Competitors are enhanced concurrently (see init for the limits); any that fail or time out
+ * before their website is scored are returned without scores and with a failureReason
  * @param {Array} competitors - List of competitors to process
  * @param {string} industry - Industry category
  * @param {string} specialty - Industry specialty
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Called with { step, status, message } as each competitor finishes
+ * @param {string} options.market - Market code (default AU)
  * @returns {Promise<Array>} - Enhanced competitor list
  */
-async function processCompetitors(competitors, industry, specialty) {
-  const enhancedCompetitors = [];
+async function processCompetitors(competitors, industry, specialty, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const countLabel = `${competitors.length} competitor${competitors.length === 1 ? '' : 's'}`;
+  let finished = 0;
   
-  for (const competitor of competitors) {
-    try {
-      const enhancedCompetitor = await enhanceCompetitorData(competitor, industry, specialty);
-      enhancedCompetitors.push(enhancedCompetitor);
-    } catch (error) {
-      console.error(`Error processing competitor ${competitor.name}:`, error.message);
-      // Still include the competitor without the additional data
-      enhancedCompetitors.push(competitor);
+  // Collect each competitor's results as they arrive, so a timeout keeps whatever was found
+  const partials = competitors.map(competitor => ({ ...competitor }));
+  
+  onProgress({ step: 'competitor-enhancement', status: 'started', message: `Analyzing ${countLabel}`, total: competitors.length });
+  
+  const results = await workQueue.runAll(
+    competitors,
+    (competitor, index) => {
+      // Simulated competitors have no real website or listings to look up
+      if (competitor.isSimulated) return competitor;
+      return enhanceCompetitorData(competitor, industry, specialty, partials[index], options.market);
+    },
+    {
+      concurrency: COMPETITOR_CONCURRENCY,
+      timeoutMs: COMPETITOR_TIMEOUT_MS,
+      budgetMs: COMPETITOR_BUDGET_MS,
+      onResult: (result) => {
+        finished++;
+        onProgress({
+          step: 'competitor-enhancement',
+          status: 'progress',
+          message: result.error ? `${result.item.name}: ${result.error.message}` : `Analyzed ${result.item.name}`,
+          competitor: result.item.name,
+          finished,
+          total: competitors.length
+        });
+      }
     }
-  }
+  );
   
-  return enhancedCompetitors;
+  onProgress({ step: 'competitor-enhancement', status: 'completed', message: `Analyzed ${countLabel}`, total: competitors.length });
+  
+  return results.map((result, index) => {
+    if (!result.error) return result.value;
+    
+    console.error(`Error processing competitor ${result.item.name}:`, result.error.message);
+    // Still include the competitor with the data gathered so far, marked with why it's incomplete
+    return finalizeCompetitor(
+      { ...partials[index], failureReason: result.error.message },
+      industry,
+      specialty
+    );
+  });
 }
 
 /**
@@ -1219,9 +1425,10 @@ function calculateCompetitorPositions(competitors, chartDimensions = {width: 800
     });
   });
   
-  // Calculate positions for each competitor
+  // Calculate positions for each competitor (unscored competitors aren't plotted)
   for (let i = 0; i < positionedCompetitors.length; i++) {
     const competitor = positionedCompetitors[i];
+    if (!hasScores(competitor)) continue;
     
     // Calculate initial position based on scores
     const xPercent = competitor.authorityScore / 100;
@@ -1353,9 +1560,40 @@ function generateEclipseVisualization(expertiseScore, visibilityScore) {
  * @param {string} industry - Industry category
  * @param {string} specialty - Industry specialty
  * @param {Object} userData - User's website data
+ * @param {Object} options - Optional settings
+ * @param {string} options.simulation - 'off', 'labelled' (default) or 'on' - see SIMULATION_MODES
+ * @param {Array} options.competitors - User-supplied competitors ({ name, url, domain })
+ * @param {string} options.competitorMode - 'merge' (default) or 'replace' - see COMPETITOR_MODES
+ * @param {string} options.market - Market code (default AU) - the search location for discovery
+ * @param {Function} options.onProgress - Called with { step, status, message } as discovery and enhancement move on
  * @returns {Promise<Array>} - Enhanced competitor list
  */
-async function findAndAnalyzeCompetitors(domain, industry, specialty, userData) {
+async function findAndAnalyzeCompetitors(domain, industry, specialty, userData, options = {}) {
+  const simulation = options.simulation || DEFAULT_SIMULATION_MODE;
+  const onProgress = options.onProgress || (() => {});
+  const { market } = options;
+  const userCompetitors = (options.competitors || [])
+    .filter(competitor => competitor.domain !== domain.toLowerCase())
+    .map(competitor => ({ ...competitor, isUserSupplied: true }));
+  const replaceDiscovered = options.competitorMode === 'replace' && userCompetitors.length > 0;
+  
+  // Supplied competitors only - no discovery and no simulation
+  if (replaceDiscovered) {
+    onProgress({ step: 'competitor-discovery', status: 'skipped', message: 'Using your competitor list' });
+    const enhancedCompetitors = await processCompetitors(userCompetitors, industry, specialty, { onProgress, market });
+    return calculateCompetitorPositions(enhancedCompetitors);
+  }
+  
+  // Demo mode - simulated competitors alongside any supplied ones
+  if (simulation === 'on') {
+    onProgress({ step: 'competitor-discovery', status: 'skipped', message: 'Demo mode - using illustrative competitors' });
+    const enhancedCompetitors = await processCompetitors(userCompetitors, industry, specialty, { onProgress, market });
+    return calculateCompetitorPositions([
+      ...enhancedCompetitors,
+      ...generateSimulatedCompetitors(industry, specialty, userData, 3)
+    ]);
+  }
+  
   try {
     // Step 1: Try to get competitors from DataForSEO
     let competitors = [];
@@ -1363,33 +1601,46 @@ async function findAndAnalyzeCompetitors(domain, industry, specialty, userData)
     
     // Create more specific search parameters
     if (specialty) {
-      searchQuery = `${specialty} ${industry} ${contentFetcher.extractLocationFromDomain(domain) || ''}`;
+      searchQuery = `${specialty} ${industry} ${contentFetcher.extractLocationFromDomain(domain, market) || ''}`;
     } else {
-      searchQuery = `${industry} ${contentFetcher.extractLocationFromDomain(domain) || ''}`;
+      searchQuery = `${industry} ${contentFetcher.extractLocationFromDomain(domain, market) || ''}`;
     }
     console.log('Using search query for competitors:', searchQuery);
+    onProgress({ step: 'competitor-discovery', status: 'started', message: 'Searching for competitors' });
     
     try {
-      competitors = await contentFetcher.fetchCompetitorsFromDataForSEO(domain, industry, 3, searchQuery, specialty);
+      competitors = await contentFetcher.fetchCompetitorsFromDataForSEO(domain, industry, 3, searchQuery, specialty, market);
       console.log(`Found ${competitors.length} competitors via DataForSEO`);
     } catch (error) {
       console.error('Error fetching competitors from DataForSEO:', error.message);
     }
+    onProgress({ step: 'competitor-discovery', status: 'completed', message: `Found ${competitors.length} competitors` });
+    
+    // Supplied competitors come first, and replace any discovered entry for the same site
+    const suppliedDomains = new Set(userCompetitors.map(competitor => competitor.domain));
+    competitors = [
+      ...userCompetitors,
+      ...competitors.filter(competitor => !suppliedDomains.has(competitor.domain))
+    ];
     
-    // Step 2: If we don't have enough real competitors, generate some
-    if (competitors.length < 3) {
+    // Step 2: If we don't have enough real competitors, generate some (labelled as simulated)
+    if (competitors.length < 3 && simulation === 'labelled') {
       const simulatedCount = 3 - competitors.length;
       const simulatedCompetitors = generateSimulatedCompetitors(industry, specialty, userData, simulatedCount);
       competitors.push(...simulatedCompetitors);
     }
     
     // Step 3: Enhance all competitors with additional data
-    const enhancedCompetitors = await processCompetitors(competitors, industry, specialty);
+    const enhancedCompetitors = await processCompetitors(competitors, industry, specialty, { onProgress, market });
     
     // Step 4: Calculate positions to avoid overlaps
     return calculateCompetitorPositions(enhancedCompetitors);
   } catch (error) {
     console.error(`Error finding and analyzing competitors:`, error.message);
+    if (simulation === 'off') {
+      return [];
+    }
+    
     // Fallback to simulated competitors
     const simulatedCompetitors = generateSimulatedCompetitors(industry, specialty, userData, 3);
     return calculateCompetitorPositions(simulatedCompetitors);
@@ -1398,6 +1649,10 @@ async function findAndAnalyzeCompetitors(domain, industry, specialty, userData)
 
 // Export all module functions
 module.exports = {
+  SIMULATION_MODES,
+  DEFAULT_SIMULATION_MODE,
+  COMPETITOR_MODES,
+  DEFAULT_COMPETITOR_MODE,
   init,
   searchBusinessByName,
   getBusinessDetails,
@@ -1413,5 +1668,6 @@ module.exports = {
   applyCurve,
   getComparisonToAverage,
   getIndustryAdviceByComparison,
+  generateCompetitorRecommendations,
   calculateSeoStrength
 };
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Competitor Service Module
+ * Runs the full competitor pipeline (stored analysis, discovery, enhancement, insights)
+ * so it can be shared by the competitors route and analysis jobs
+ */
+
+const competitorAnalyzer = require('./competitor-analyzer');
+const analysisService = require('./analysis-service');
+const analysisStore = require('./analysis-store');
+const competitorSets = require('./competitor-sets');
+const industryAverages = require('./industry-averages');
+const scoring = require('./scoring');
+const cache = require('./cache');
+
+const { createAnalysisError, resolveMarket } = analysisService;
+
+/**
+ * Validate competitor request parameters
+ * @param {Object} params - Request parameters (see runCompetitorAnalysis)
+ * @returns {Object} - Parameters with defaults applied
+ * @throws {Error} - With statusCode 400 when a parameter is invalid
+ */
+function validateParams(params) {
+  const { url, industry } = params;
+  const simulation = params.simulation || competitorAnalyzer.DEFAULT_SIMULATION_MODE;
+  const competitorMode = params.competitorMode || competitorAnalyzer.DEFAULT_COMPETITOR_MODE;
+  const setName = params.competitorSet || competitorSets.DEFAULT_SET_NAME;
+
+  if (!url || !industry) {
+    throw createAnalysisError(400, 'URL and industry are required');
+  }
+
+  if (!competitorAnalyzer.SIMULATION_MODES.includes(simulation)) {
+    throw createAnalysisError(400, `Simulation must be one of: ${competitorAnalyzer.SIMULATION_MODES.join(', ')}`);
+  }
+
+  if (!competitorAnalyzer.COMPETITOR_MODES.includes(competitorMode)) {
+    throw createAnalysisError(400, `Competitor mode must be one of: ${competitorAnalyzer.COMPETITOR_MODES.join(', ')}`);
+  }
+
+  if (typeof setName !== 'string' || !setName.trim()) {
+    throw createAnalysisError(400, 'Competitor set name must be a non-empty string');
+  }
+
+  const market = resolveMarket(params.market);
+
+  let competitors;
+  if (params.competitors !== undefined) {
+    const normalized = competitorSets.normalizeCompetitors(params.competitors);
+    if (normalized.error) {
+      throw createAnalysisError(400, normalized.error);
+    }
+    competitors = normalized.competitors;
+  }
+
+  return {
+    url,
+    industry,
+    specialty: params.specialty || '',
+    market,
+    simulation,
+    competitorMode,
+    setName,
+    competitors
+  };
+}
+
+/**
+ * Find and analyze competitors for a website
+ * @param {Object} params - Request parameters
+ * @param {string} params.url - Website URL to find competitors for
+ * @param {string} params.industry - Industry category
+ * @param {string} params.specialty - Optional industry specialty
+ * @param {string} params.market - Optional market code (AU, NZ, UK, US - default AU) - sets the search location and regulators
+ * @param {string} params.simulation - Optional 'off', 'labelled' (default) or 'on' - how simulated competitors are used
+ * @param {Array} params.competitors - Optional competitors to analyze ([{ name, url }], up to 10) - saved as a competitor set
+ * @param {string} params.competitorMode - Optional 'merge' (default) or 'replace' - whether supplied competitors replace discovered ones
+ * @param {string} params.competitorSet - Optional competitor set name - the saved set is used when no competitors are supplied
+ * @param {boolean} params.forceRefresh - Optional - refetch competitor pages and API results instead of using cached copies
+ * @param {Object} options - Optional settings
+ * @param {Function} options.onProgress - Called with { step, status, message } as each step starts or finishes
+ * @returns {Promise<Object>} - Competitor response data
+ * @throws {Error} - With statusCode set for errors the client should see
+ */
+async function runCompetitorAnalysis(params, options = {}) {
+  const { url, industry, specialty, market, simulation, competitorMode, setName, competitors: supplied } = validateParams(params);
+
+  console.log(`Finding competitors for: ${url} (${industry}${specialty ? `, ${specialty}` : ''}, ${market})`);
+
+  // Supplied competitors are saved as a named set, otherwise the saved set (if any) is used
+  const competitorSet = supplied
+    ? await competitorSets.saveCompetitorSet(url, setName, supplied)
+    : await competitorSets.getCompetitorSet(url, setName);
+
+  // Extract domain from URL
+  const domain = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0];
+
+  // Use the stored analysis for this website (running one if it's missing)
+  const analysis = await analysisService.getOrRunAnalysis(url, industry, specialty, market);
+
+  // Re-score with the current weight profile so the user's score is comparable with competitors
+  const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(analysis, industry, specialty);
+
+  const userData = {
+    expertiseScore: analysis.expertiseScore,
+    authorityScore: analysis.authorityScore,
+    communicationScore: analysis.communicationScore,
+    credibilityScore,
+    analysisId: analysis.id,
+    compliance: analysis.compliance || null,
+    url: url,
+    domain: domain,
+    industry: industry,
+    specialty: specialty,
+    market: market
+  };
+
+  // Find and analyze competitors
+  const { value: competitors, report: cacheReport } = await cache.withContext(
+    { forceRefresh: params.forceRefresh },
+    () => competitorAnalyzer.findAndAnalyzeCompetitors(
+      domain,
+      industry,
+      specialty,
+      userData,
+      {
+        simulation,
+        competitors: competitorSet ? competitorSet.competitors : [],
+        competitorMode,
+        market,
+        onProgress: options.onProgress
+      }
+    )
+  );
+
+  // Get the industry average from stored analyses for the same market
+  const industryAverage = await industryAverages.getIndustryAverage(industry, specialty, market, url);
+
+  // Generate insights based on competitor analysis
+  const insights = competitorAnalyzer.generateCompetitiveInsights(
+    userData,
+    competitors,
+    industry,
+    industryAverage
+  );
+
+  // Calculate quadrant positions to prevent overlaps
+  const positionedCompetitors = competitorAnalyzer.calculateCompetitorPositions(competitors);
+
+  return {
+    competitors: positionedCompetitors,
+    insights: insights,
+    industryAverage: industryAverage,
+    userData: userData,
+    weightProfile: weightProfile,
+    simulation: simulation,
+    // Some competitors couldn't be fully analyzed in time - each one carries a failureReason
+    partial: positionedCompetitors.some(competitor => competitor.failureReason),
+    competitorMode: competitorMode,
+    competitorSet: competitorSet ? {
+      name: competitorSet.name,
+      count: competitorSet.competitors.length,
+      updatedAt: competitorSet.updatedAt
+    } : null,
+    cache: cacheReport
+  };
+}
+
+/**
+ * Build a response of simulated competitors, used when the competitor pipeline fails
+ * @param {Object} params - Request parameters (url, industry, specialty, market, simulation)
+ * @returns {Promise<Object>} - Competitor response data marked isSimulated
+ */
+async function getFallbackCompetitors(params) {
+  const industry = params.industry;
+  const specialty = params.specialty || '';
+  const market = resolveMarket(params.market);
+
+  // Use the stored analysis if we have one, otherwise let the simulator use its defaults
+  const stored = await analysisStore.findLatestAnalysis(params.url || '', industry, specialty, market);
+  const userData = {
+    expertiseScore: stored ? stored.expertiseScore : undefined,
+    authorityScore: stored ? stored.authorityScore : undefined,
+    communicationScore: stored ? stored.communicationScore : undefined,
+    domain: analysisStore.normalizeDomain(params.url || ''),
+    market
+  };
+
+  const fallbackCompetitors = competitorAnalyzer.generateSimulatedCompetitors(industry, specialty, userData, 3);
+
+  return {
+    competitors: competitorAnalyzer.calculateCompetitorPositions(fallbackCompetitors),
+    insights: competitorAnalyzer.generateCompetitiveInsights(userData, fallbackCompetitors, industry),
+    isSimulated: true,
+    simulation: params.simulation || competitorAnalyzer.DEFAULT_SIMULATION_MODE,
+    weightProfile: scoring.getWeightProfile(industry, specialty),
+    industryAverage: await industryAverages.getIndustryAverage(industry, specialty, market, params.url || '')
+  };
+}
+
+module.exports = {
+  validateParams,
+  runCompetitorAnalysis,
+  getFallbackCompetitors
+};
\ No newline at end of file
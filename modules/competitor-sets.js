@@ -0,0 +1,200 @@
+/**
+ * Competitor Sets Module
+ * File-backed persistence for named competitor lists supplied for a client domain
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeDomain } = require('./analysis-store');
+
+// Most competitors a user can supply in one set
+const MAX_COMPETITORS = 10;
+
+const DEFAULT_SET_NAME = 'default';
+
+// Location of the JSON data files
+let DATA_DIR = path.join(__dirname, '..', 'data');
+
+// In-memory copy of the stored sets (loaded lazily from disk)
+let competitorSets = null;
+
+// Serialises writes so concurrent requests don't clobber the file
+let writeQueue = Promise.resolve();
+
+/**
+ * Initialize the module with storage settings
+ * @param {Object} config - Configuration object with optional dataDir
+ */
+function init(config) {
+  if (config && config.dataDir) {
+    DATA_DIR = config.dataDir;
+  }
+  competitorSets = null;
+}
+
+/**
+ * Get the path of the competitor sets data file
+ * @returns {string} - Absolute file path
+ */
+function getSetsFile() {
+  return path.join(DATA_DIR, 'competitor-sets.json');
+}
+
+/**
+ * Load stored competitor sets from disk into memory
+ * @returns {Promise<Array>} - Stored competitor set records
+ */
+async function loadSets() {
+  if (competitorSets) return competitorSets;
+
+  try {
+    const raw = await fs.promises.readFile(getSetsFile(), 'utf8');
+    const parsed = JSON.parse(raw);
+    competitorSets = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading competitor sets:', error.message);
+    }
+    competitorSets = [];
+  }
+
+  return competitorSets;
+}
+
+/**
+ * Write the in-memory competitor sets back to disk
+ * @returns {Promise<void>}
+ */
+function persistSets() {
+  writeQueue = writeQueue.then(async () => {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written store
+    const file = getSetsFile();
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(competitorSets, null, 2));
+    await fs.promises.rename(tempFile, file);
+  }).catch(error => {
+    console.error('Error writing competitor sets:', error.message);
+  });
+
+  return writeQueue;
+}
+
+/**
+ * Validate and normalize a user-supplied competitor list
+ * URLs without a protocol get https://, and competitors without a name are named after their domain
+ * @param {*} competitors - Competitor list from the request body
+ * @returns {Object} - { competitors } on success, or { error } describing the first problem
+ */
+function normalizeCompetitors(competitors) {
+  if (!Array.isArray(competitors)) {
+    return { error: 'Competitors must be an array of { name, url } objects' };
+  }
+
+  if (competitors.length > MAX_COMPETITORS) {
+    return { error: `No more than ${MAX_COMPETITORS} competitors can be supplied` };
+  }
+
+  const normalized = [];
+
+  for (let i = 0; i < competitors.length; i++) {
+    const competitor = competitors[i];
+
+    if (!competitor || typeof competitor.url !== 'string' || !normalizeDomain(competitor.url)) {
+      return { error: `Competitor ${i + 1} must have a url` };
+    }
+    if (competitor.name !== undefined && typeof competitor.name !== 'string') {
+      return { error: `Competitor ${i + 1} name must be a string` };
+    }
+
+    const domain = normalizeDomain(competitor.url);
+    const url = /^https?:\/\//i.test(competitor.url.trim()) ? competitor.url.trim() : `https://${competitor.url.trim()}`;
+
+    // The same site listed twice is only analyzed once
+    if (normalized.some(existing => existing.domain === domain)) continue;
+
+    normalized.push({
+      name: (competitor.name || '').trim() || domain,
+      url,
+      domain
+    });
+  }
+
+  return { competitors: normalized };
+}
+
+/**
+ * Save a named competitor set for a client domain, replacing any set with the same name
+ * @param {string} url - Client website URL or domain
+ * @param {string} name - Set name
+ * @param {Array} competitors - Normalized competitors ({ name, url, domain })
+ * @returns {Promise<Object>} - The stored record
+ */
+async function saveCompetitorSet(url, name, competitors) {
+  await loadSets();
+
+  const domain = normalizeDomain(url);
+  const setName = (name || DEFAULT_SET_NAME).trim();
+  const now = new Date().toISOString();
+  const existing = competitorSets.find(set => set.domain === domain && set.name === setName);
+
+  if (existing) {
+    existing.competitors = competitors;
+    existing.updatedAt = now;
+    await persistSets();
+    return existing;
+  }
+
+  const record = {
+    id: crypto.randomUUID(),
+    domain,
+    name: setName,
+    competitors,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  competitorSets.push(record);
+  await persistSets();
+
+  return record;
+}
+
+/**
+ * Get a named competitor set for a client domain
+ * @param {string} url - Client website URL or domain
+ * @param {string} name - Set name
+ * @returns {Promise<Object|null>} - Stored record or null
+ */
+async function getCompetitorSet(url, name) {
+  await loadSets();
+
+  const domain = normalizeDomain(url);
+  const setName = (name || DEFAULT_SET_NAME).trim();
+
+  return competitorSets.find(set => set.domain === domain && set.name === setName) || null;
+}
+
+/**
+ * List the competitor sets saved for a client domain
+ * @param {string} url - Client website URL or domain
+ * @returns {Promise<Array>} - Stored records
+ */
+async function listCompetitorSets(url) {
+  await loadSets();
+
+  const domain = normalizeDomain(url);
+  return competitorSets.filter(set => set.domain === domain);
+}
+
+module.exports = {
+  MAX_COMPETITORS,
+  DEFAULT_SET_NAME,
+  init,
+  normalizeCompetitors,
+  saveCompetitorSet,
+  getCompetitorSet,
+  listCompetitorSets
+};
\ No newline at end of file
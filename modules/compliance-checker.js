@@ -0,0 +1,241 @@
+/**
+ * Compliance Checker Module
+ * Rule-based scan of website content against industry advertising rules. The rules come from the
+ * "compliance" section of each industry's rules pack (see rules-loader). Prohibited rules fail when
+ * a pattern matches, unless the text around the match matches "allowedContext". Required rules
+ * fail when neither a pattern nor the "linkPattern" (link text or address) matches. Every rule that
+ * applies is reported as passed or failed, and failures carry the offending snippet and the
+ * guideline breached.
+ */
+
+const rulesLoader = require('./rules-loader');
+
+// Characters of context shown either side of a match
+const SNIPPET_CONTEXT = 60;
+
+// Most findings reported per rule
+const MAX_FINDINGS_PER_RULE = 5;
+
+// Weight of each severity in the compliance score
+const SEVERITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+/**
+ * Describe the review markup on a site - it counts as testimonials even when a widget loads the reviews
+ * @param {Object} data - Site structured data summary
+ * @returns {string|null} - Description of the markup, or null when there is none
+ */
+function findReviewMarkup(data) {
+  if (data.aggregateRating) return `Review markup (${data.aggregateRating.reviewCount} rated reviews)`;
+  return data.reviews.length > 0 ? `Review markup (${data.reviews.length} reviews)` : null;
+}
+
+/**
+ * Check whether a rule applies to the site being checked
+ * @param {Object} appliesTo - Rule conditions (reviewsRestricted, specialties, contentPattern), or null
+ * @param {Object} context - { specialty, reviewsRestricted, siteText }
+ * @returns {boolean} - Whether every condition is met
+ */
+function ruleApplies(appliesTo, context) {
+  if (!appliesTo) return true;
+
+  if (appliesTo.reviewsRestricted !== undefined && appliesTo.reviewsRestricted !== context.reviewsRestricted) {
+    return false;
+  }
+  if (appliesTo.specialties && !appliesTo.specialties.some(name => name.toLowerCase() === context.specialty.toLowerCase())) {
+    return false;
+  }
+  if (appliesTo.contentPattern && !appliesTo.contentPattern.test(context.siteText)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Cut a snippet of text around a match
+ * @param {string} text - Page text
+ * @param {number} index - Match position
+ * @param {number} length - Match length
+ * @returns {string} - Snippet with ellipses where it was cut
+ */
+function getSnippet(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Look for the content a required rule asks for
+ * @param {Object} rule - Rule from a rule pack
+ * @param {Array} pages - Pages as { url, text, links }
+ * @returns {Object|null} - What was found as { snippet, page }, or null
+ */
+function findRequiredContent(rule, pages) {
+  for (const page of pages) {
+    for (const pattern of rule.patterns) {
+      const match = page.text.match(new RegExp(pattern.source, pattern.flags.replace('g', '')));
+      if (match) return { snippet: getSnippet(page.text, match.index, match[0].length), page: page.url };
+    }
+  }
+
+  if (rule.linkPattern) {
+    for (const page of pages) {
+      const link = page.links.find(pageLink => rule.linkPattern.test(pageLink.text) || rule.linkPattern.test(pageLink.url));
+      if (link) return { snippet: `Link: ${link.text || link.url}`, page: page.url };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a prohibited-content rule over the site
+ * @param {Object} rule - Rule from a rule pack
+ * @param {Array} pages - Pages as { url, text }
+ * @param {Object} structuredData - Site structured data summary (or null)
+ * @returns {Array} - Findings as { snippet, page }
+ */
+function findViolations(rule, pages, structuredData) {
+  const findings = [];
+
+  for (const page of pages) {
+    if (rule.urlPattern && rule.urlPattern.test(new URL(page.url).pathname)) {
+      findings.push({ snippet: `Page address: ${page.url}`, page: page.url });
+    }
+
+    for (const pattern of rule.patterns) {
+      for (const match of page.text.matchAll(pattern)) {
+        const snippet = getSnippet(page.text, match.index, match[0].length);
+        if (rule.allowedContext && rule.allowedContext.test(snippet)) continue;
+        if (findings.some(finding => finding.snippet === snippet)) continue;
+
+        findings.push({ snippet, page: page.url });
+      }
+    }
+  }
+
+  if (rule.checkReviewMarkup && structuredData) {
+    const found = findReviewMarkup(structuredData);
+    if (found) findings.push({ snippet: found, page: '' });
+  }
+
+  return findings.slice(0, MAX_FINDINGS_PER_RULE);
+}
+
+/**
+ * Score compliance separately from marketing quality - the share of applicable rules passed,
+ * weighted by severity
+ * @param {Array} rules - Rule results
+ * @returns {number|null} - Score out of 100, or null when no rules apply
+ */
+function calculateComplianceScore(rules) {
+  const applicable = rules.filter(rule => rule.status !== 'not-applicable');
+  if (applicable.length === 0) return null;
+
+  const total = applicable.reduce((sum, rule) => sum + SEVERITY_WEIGHTS[rule.severity], 0);
+  const passed = applicable
+    .filter(rule => rule.status === 'pass')
+    .reduce((sum, rule) => sum + SEVERITY_WEIGHTS[rule.severity], 0);
+
+  return Math.round((passed / total) * 100);
+}
+
+/**
+ * Check a crawled site against its industry's rule pack
+ * @param {Object} site - Crawled site from contentFetcher.crawlWebsite
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (default AU) - each market has its own regulators' rules
+ * @returns {Object|null} - { pack, checkedAt, rules: [{ id, type, title, severity, guideline, advice, actions, status, detail, findings }],
+ * score, summary }, or null when the industry has no rule pack in the market
+ */
+function checkCompliance(site, industry, specialty = '', market = '') {
+  const pack = rulesLoader.getCompliancePack(industry, market);
+  if (!pack) return null;
+
+  // The full page text is scanned, as banners, footers and widgets often carry the offending wording
+  const pages = site.pages.map(page => ({
+    url: page.url,
+    text: `${page.title || ''} ${page.pageText || page.text || ''}`,
+    links: page.links || []
+  }));
+  const specialtyEntry = rulesLoader.getSpecialty(industry, specialty, market);
+  const context = {
+    specialty: specialtyEntry ? specialtyEntry.name : specialty || '',
+    reviewsRestricted: rulesLoader.isReviewRestricted(industry, specialty, market),
+    siteText: pages.map(page => page.text).join(' ')
+  };
+
+  const rules = pack.rules.map(rule => {
+    const result = {
+      id: rule.id,
+      type: rule.type,
+      title: rule.title,
+      severity: rule.severity,
+      guideline: rule.guideline,
+      advice: rule.advice,
+      actions: rule.actions || [rule.advice],
+      status: 'pass',
+      detail: '',
+      findings: []
+    };
+
+    if (!ruleApplies(rule.appliesTo, context)) {
+      return { ...result, status: 'not-applicable' };
+    }
+
+    if (result.type === 'required') {
+      const found = findRequiredContent(rule, pages);
+      if (found) return { ...result, detail: found.snippet };
+
+      return { ...result, status: 'fail', detail: `Not found on any of the ${pages.length} pages checked` };
+    }
+
+    result.findings = findViolations(rule, pages, site.structuredData);
+    if (result.findings.length > 0) result.status = 'fail';
+    return result;
+  });
+
+  return {
+    pack: { id: pack.id, name: pack.name, regulator: pack.regulator },
+    checkedAt: new Date().toISOString(),
+    rules,
+    score: calculateComplianceScore(rules),
+    summary: {
+      passed: rules.filter(rule => rule.status === 'pass').length,
+      failed: rules.filter(rule => rule.status === 'fail').length,
+      notApplicable: rules.filter(rule => rule.status === 'not-applicable').length
+    }
+  };
+}
+
+/**
+ * Turn failed compliance rules into REGULATORY COMPLIANCE recommendations
+ * @param {Object} compliance - Result of checkCompliance
+ * @returns {Array} - Recommendations (high severity first), one per failed rule
+ */
+function getComplianceRecommendations(compliance) {
+  if (!compliance) return [];
+
+  const severityOrder = ['high', 'medium', 'low'];
+
+  return compliance.rules
+    .filter(rule => rule.status === 'fail')
+    .sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity))
+    .map(rule => ({
+      category: 'REGULATORY COMPLIANCE',
+      rule: rule.id,
+      recommendation: rule.type === 'required' ? `Missing ${rule.title}: ${rule.advice}` : `${rule.title}: ${rule.advice}`,
+      supportingData: rule.guideline,
+      source: compliance.pack.name,
+      priority: rule.severity,
+      actionItems: rule.type === 'required'
+        ? rule.actions
+        : rule.findings.slice(0, 3).map(finding => `"${finding.snippet}"${finding.page ? ` (${finding.page})` : ''}`)
+    }));
+}
+
+module.exports = {
+  checkCompliance,
+  getComplianceRecommendations
+};
\ No newline at end of file
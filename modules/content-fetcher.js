@@ -3,9 +3,15 @@
  * Handles website content extraction and competitor identification
  */
 
+const net = require('net');
+const tls = require('tls');
+const https = require('https');
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { parse } = require('url');
+const cache = require('./cache');
+const structuredData = require('./structured-data');
+const registrationVerifier = require('./registration-verifier');
+const rulesLoader = require('./rules-loader');
 
 // Set up axios instance with proper headers
 const fetchClient = axios.create({
@@ -24,6 +30,15 @@ const fetchClient = axios.create({
 let DATAFORSEO_LOGIN;
 let DATAFORSEO_PASSWORD;
 
+/**
+ * Check whether a DataForSEO response succeeded (so it's safe to cache)
+ * @param {Object} data - Response body
+ * @returns {boolean} - Whether the request and its first task succeeded
+ */
+function isDataForSeoSuccess(data) {
+  return Boolean(data && data.status_code === 20000 && data.tasks && data.tasks[0] && data.tasks[0].status_code === 20000);
+}
+
 /**
  * Initialize the module with API credentials
  * @param {Object} config - Configuration object with API keys
@@ -33,107 +48,68 @@ function init(config) {
   DATAFORSEO_PASSWORD = config.dataForSeoPassword;
 }
 
+// Default crawl budgets
+const DEFAULT_CRAWL_OPTIONS = {
+  maxPages: 8,                 // Maximum number of pages to fetch (including the start page)
+  maxBytes: 3 * 1024 * 1024,   // Maximum total HTML bytes downloaded across all pages
+  maxPageBytes: 1024 * 1024,   // Maximum HTML bytes for a single page
+  maxContentChars: 8000,       // Maximum characters in the combined text content
+  respectRobots: true
+};
+
+// Key pages we want to find, in priority order, matched against link paths and link text
+const KEY_PAGE_PATTERNS = [
+  { type: 'about', pattern: /\babout\b|about-us|who-we-are|our-story|our-practice|our-firm/i },
+  { type: 'team', pattern: /\bteam\b|our-people|\bstaff\b|\bdoctors?\b|surgeons?|lawyers|solicitors|practitioners|advisers|advisors|meet-(?:the|our)|\bbio\b|profile/i },
+  { type: 'services', pattern: /services|treatments|procedures|practice-areas|what-we-do|expertise|specialties/i },
+  { type: 'reviews', pattern: /reviews|testimonials|feedback|success-stories|case-studies/i },
+  { type: 'faq', pattern: /\bfaqs?\b|frequently-asked|questions/i },
+  { type: 'contact', pattern: /contact|locations?|find-us|book/i },
+  { type: 'privacy', pattern: /privacy/i }
+];
+
+// Legal pages linked from the start page, checked by the trust audit
+const LEGAL_PAGE_PATTERNS = [
+  { type: 'privacy', pattern: /privacy/i },
+  { type: 'terms', pattern: /\bterms\b|terms-(?:of|and)|conditions|disclaimer/i }
+];
+
+// Contact details shown on a page - phone and address formats come from the market pack (see rules-loader)
+const CONTACT_PATTERNS = {
+  email: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+  abn: /\bABN:?\s*(\d{2}\s?\d{3}\s?\d{3}\s?\d{3})\b/i,
+  acn: /\bACN:?\s*(\d{3}\s?\d{3}\s?\d{3})\b/i
+};
+
+// File extensions that are never HTML pages
+const NON_HTML_EXTENSIONS = /\.(?:pdf|jpe?g|png|gif|svg|webp|mp4|mp3|zip|docx?|xlsx?|pptx?|css|js|xml|ico)(?:$|\?)/i;
+
 /**
- * Fetches website content with retry logic
- * @param {string} url - Website URL to analyze
- * @returns {Promise<string>} - Extracted text content
+ * Fetch a single URL with retry logic
+ * @param {string} url - URL to fetch
+ * @param {Object} options - maxRetries and maxPageBytes
+ * @returns {Promise<Object>} - Axios response
  */
-async function getWebsiteContent(url) {
-  const maxRetries = 3;
+async function fetchWithRetry(url, options = {}) {
+  const maxRetries = options.maxRetries || 3;
   let retries = 0;
   
-  while (retries < maxRetries) {
+  while (true) {
     try {
-      // Ensure URL has a protocol
-      if (!url.startsWith('http://') && !url.startsWith('https://')) {
-        url = 'https://' + url;
-      }
-      
       console.log(`Fetching content from: ${url} (Attempt ${retries + 1}/${maxRetries})`);
       
-      const response = await fetchClient.get(url);
-      const html = response.data;
-      
-      // Log the actual domain being analyzed
-      const domain = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0];
-      console.log(`Successfully fetched content from domain: ${domain}`);
-      
-      // Use Cheerio to parse the HTML
-      const $ = cheerio.load(html);
-      
-      // Remove script, style, and SVG elements
-      $('script, style, svg, iframe, noscript, img, video, audio, canvas').remove();
-      
-      // Get page title
-      const title = $('title').text().trim();
-      
-      // Get meta description
-      let metaDescription = '';
-      $('meta[name="description"]').each((i, element) => {
-        metaDescription = $(element).attr('content') || '';
+      return await fetchClient.get(url, {
+        responseType: 'text',
+        maxContentLength: options.maxPageBytes || DEFAULT_CRAWL_OPTIONS.maxPageBytes
       });
-      
-      // Extract location information
-      let locationInfo = extractLocationInformation($, html);
-      
-      // Extract main content
-      let mainContent = '';
-      
-      // Try common content selectors
-      const contentSelectors = [
-        'main', 'article', '.content', '.main-content', '.post-content',
-        '#content', '#main', '.article', 'section', '.page-content'
-      ];
-      
-      for (const selector of contentSelectors) {
-        if ($(selector).length) {
-          mainContent += $(selector).text() + ' ';
-        }
-      }
-      
-      // If no content was found with selectors, extract from body
-      if (!mainContent.trim()) {
-        // Extract text from p, h1-h6, li, td elements
-        $('p, h1, h2, h3, h4, h5, h6, li, td, div > br').each((i, element) => {
-          const text = $(element).text().trim();
-          if (text) {
-            mainContent += text + ' ';
-          }
-        });
-      }
-      
-      // Combine all the content
-      let combinedContent = '';
-      
-      if (title) {
-        combinedContent += `TITLE: ${title}\n\n`;
-      }
-      
-      if (metaDescription) {
-        combinedContent += `DESCRIPTION: ${metaDescription}\n\n`;
-      }
-      
-      if (locationInfo) {
-        combinedContent += `LOCATION: ${locationInfo}\n\n`;
-      }
-      
-      combinedContent += `CONTENT:\n${mainContent.trim()}`;
-      
-      // Clean up the text
-      let cleanedContent = combinedContent
-        .replace(/\s+/g, ' ')       // Replace multiple spaces with a single space
-        .replace(/\n\s*\n/g, '\n\n') // Replace multiple newlines
-        .trim();
-      
-      return cleanedContent;
     } catch (error) {
       retries++;
-      if (error.response && error.response.status === 429) {
+      if (error.response && error.response.status === 429 && retries < maxRetries) {
         // Rate limiting - wait and retry
         const waitTime = retries * 2000; // Exponential backoff
         console.log(`Rate limit hit (429), waiting ${waitTime}ms before retry...`);
         await new Promise(resolve => setTimeout(resolve, waitTime));
-      } else if (retries < maxRetries) {
+      } else if (retries < maxRetries && !(error.response && error.response.status === 404)) {
         // Other error, but we still have retries left
         console.log(`Error fetching content (${error.message}), retry ${retries}/${maxRetries}...`);
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -144,15 +120,549 @@ async function getWebsiteContent(url) {
       }
     }
   }
-} // This closing bracket was missing!
+}
+
+/**
+ * Fetch a page's HTML, using the page cache when it has a fresh copy
+ * @param {string} url - URL to fetch
+ * @param {Object} options - maxRetries and maxPageBytes (see fetchWithRetry)
+ * @returns {Promise<Object>} - { html, finalUrl, contentType }
+ */
+async function fetchPage(url, options = {}) {
+  return cache.getOrFetch('pages', { url: cache.normalizeUrl(url) }, async () => {
+    const response = await fetchWithRetry(url, options);
+    return {
+      html: typeof response.data === 'string' ? response.data : '',
+      finalUrl: response.request?.res?.responseUrl || url,
+      contentType: (response.headers && response.headers['content-type']) || ''
+    };
+  });
+}
+
+/**
+ * Normalize a URL for de-duplication (drops the hash and trailing slash)
+ * @param {string} url - Absolute URL
+ * @returns {string} - Normalized URL
+ */
+function normalizePageUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  let normalized = parsed.toString();
+  if (normalized.endsWith('/') && parsed.pathname !== '/') {
+    normalized = normalized.slice(0, -1);
+  }
+  return normalized;
+}
+
+/**
+ * Check whether two hostnames belong to the same site (ignoring www.)
+ * @param {string} hostA - First hostname
+ * @param {string} hostB - Second hostname
+ * @returns {boolean} - Whether they are the same site
+ */
+function isSameSite(hostA, hostB) {
+  return hostA.replace(/^www\./i, '').toLowerCase() === hostB.replace(/^www\./i, '').toLowerCase();
+}
+
+/**
+ * Parse a robots.txt file into the rules that apply to us
+ * @param {string} text - robots.txt contents
+ * @returns {Object} - { rules: [{ allow, path }], sitemaps: [] }
+ */
+function parseRobotsTxt(text) {
+  const rules = [];
+  const sitemaps = [];
+  let groupAgents = [];
+  let inRules = false;
+  
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+    
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+    
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (field === 'user-agent') {
+      // A user-agent line after rules starts a new group
+      if (inRules) {
+        groupAgents = [];
+        inRules = false;
+      }
+      groupAgents.push(value.toLowerCase());
+    } else if (field === 'allow' || field === 'disallow') {
+      inRules = true;
+      if (groupAgents.includes('*') && value) {
+        rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+  }
+  
+  return { rules, sitemaps };
+}
+
+/**
+ * Check whether a path may be crawled according to robots.txt rules
+ * Uses the longest matching rule, with Allow winning ties
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} path - URL path (with query string)
+ * @returns {boolean} - Whether crawling is allowed
+ */
+function isAllowedByRobots(robots, path) {
+  if (!robots || robots.rules.length === 0) return true;
+  
+  let bestMatch = null;
+  
+  for (const rule of robots.rules) {
+    // Convert the robots pattern (* wildcard, trailing $ anchor) into a regular expression
+    const isAnchored = rule.path.endsWith('$');
+    const pattern = (isAnchored ? rule.path.slice(0, -1) : rule.path)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    
+    if (new RegExp(`^${pattern}${isAnchored ? '$' : ''}`).test(path)) {
+      if (!bestMatch || rule.path.length > bestMatch.path.length ||
+          (rule.path.length === bestMatch.path.length && rule.allow)) {
+        bestMatch = rule;
+      }
+    }
+  }
+  
+  return !bestMatch || bestMatch.allow;
+}
+
+/**
+ * Fetch a small text file (robots.txt, sitemaps) through the page cache
+ * HTTP error responses are cached as missing files; network errors are thrown and not cached
+ * @param {string} url - URL to fetch
+ * @param {number} maxBytes - Maximum response size
+ * @returns {Promise<string|null>} - File contents, or null if the server returned an error status
+ */
+async function fetchCachedText(url, maxBytes) {
+  const result = await cache.getOrFetch('pages', { url: cache.normalizeUrl(url), kind: 'text' }, async () => {
+    try {
+      const response = await fetchClient.get(url, {
+        responseType: 'text',
+        maxContentLength: maxBytes
+      });
+      return { text: typeof response.data === 'string' ? response.data : '', status: response.status };
+    } catch (error) {
+      if (error.response) {
+        return { text: null, status: error.response.status };
+      }
+      throw error;
+    }
+  });
+
+  return result.text;
+}
+
+/**
+ * Fetch and parse robots.txt for a site
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @returns {Promise<Object>} - Parsed robots.txt (empty rules if unavailable)
+ */
+async function getRobotsRules(origin) {
+  try {
+    const text = await fetchCachedText(`${origin}/robots.txt`, 512 * 1024);
+    return parseRobotsTxt(text || '');
+  } catch (error) {
+    // No robots.txt means no restrictions
+    return { rules: [], sitemaps: [] };
+  }
+}
+
+/**
+ * Get page URLs listed in the site's sitemap(s)
+ * @param {string} origin - Site origin
+ * @param {Object} robots - Parsed robots.txt (may list sitemap locations)
+ * @returns {Promise<Array<string>>} - Page URLs from the sitemap
+ */
+async function getSitemapUrls(origin, robots) {
+  const sitemapQueue = robots.sitemaps.length > 0 ? [...robots.sitemaps] : [`${origin}/sitemap.xml`];
+  const pageUrls = [];
+  let sitemapsFetched = 0;
+  
+  // Follow at most a few sitemaps (sitemap indexes can list hundreds)
+  while (sitemapQueue.length > 0 && sitemapsFetched < 3) {
+    const sitemapUrl = sitemapQueue.shift();
+    sitemapsFetched++;
+    
+    try {
+      const text = await fetchCachedText(sitemapUrl, 2 * 1024 * 1024);
+      if (text === null) {
+        throw new Error('not found');
+      }
+      const $ = cheerio.load(text, { xmlMode: true });
+      
+      $('sitemap > loc').each((i, element) => {
+        sitemapQueue.push($(element).text().trim());
+      });
+      
+      $('url > loc').each((i, element) => {
+        pageUrls.push($(element).text().trim());
+      });
+    } catch (error) {
+      console.log(`Unable to read sitemap ${sitemapUrl}: ${error.message}`);
+    }
+  }
+  
+  return pageUrls;
+}
+
+/**
+ * Classify a URL as one of the key page types
+ * @param {string} url - Page URL
+ * @param {string} linkText - Text of the link pointing to it
+ * @returns {string|null} - Page type or null if it isn't a key page
+ */
+function classifyPage(url, linkText = '') {
+  const path = new URL(url).pathname;
+  
+  for (const { type, pattern } of KEY_PAGE_PATTERNS) {
+    if (pattern.test(path) || pattern.test(linkText.replace(/\s+/g, '-'))) {
+      return type;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Parse a page's HTML into its text content, links and structured data
+ * @param {string} html - Raw HTML
+ * @param {string} url - Page URL
+ * @param {string} market - Optional market code (default AU) - sets the address, postcode and phone formats
+ * @returns {Object} - Page title, description, location, text (main content), full page text, combined content,
+ * links, structured data, contact details and registration numbers
+ */
+function parsePage(html, url, market) {
+  const marketPack = rulesLoader.getMarket(market);
+  
+  // Use Cheerio to parse the HTML
+  const $ = cheerio.load(html);
+  
+  // Collect links before anything is removed (navigation links first)
+  const links = [];
+  $('nav a[href], header a[href], .menu a[href], footer a[href], a[href]').each((i, element) => {
+    const href = $(element).attr('href');
+    if (!href || href.startsWith('#') || /^(?:mailto|tel|javascript):/i.test(href)) return;
+    
+    try {
+      links.push({ url: new URL(href, url).toString(), text: $(element).text().trim() });
+    } catch (error) {
+      // Ignore malformed links
+    }
+  });
+  
+  // Read JSON-LD, microdata and Open Graph tags (JSON-LD is in script tags, so this comes first)
+  const pageStructuredData = structuredData.extractStructuredData($, url);
+  
+  // Remove script, style, and SVG elements
+  $('script, style, svg, iframe, noscript, img, video, audio, canvas').remove();
+  
+  // Contact details and registration numbers from the whole page (footers are usually outside the main content)
+  const pageText = getPageText($);
+  const contactDetails = extractContactDetails($, pageText, marketPack);
+  const registrations = registrationVerifier.extractRegistrations(pageText);
+  
+  // Get page title
+  const title = $('title').text().trim();
+  
+  // Get meta description
+  let metaDescription = '';
+  $('meta[name="description"]').each((i, element) => {
+    metaDescription = $(element).attr('content') || '';
+  });
+  
+  // Extract location information
+  const locationInfo = extractLocationInformation($, html, marketPack);
+  
+  // Extract main content
+  let mainContent = '';
+  
+  // Try common content selectors
+  const contentSelectors = [
+    'main', 'article', '.content', '.main-content', '.post-content',
+    '#content', '#main', '.article', 'section', '.page-content'
+  ];
+  
+  for (const selector of contentSelectors) {
+    if ($(selector).length) {
+      mainContent += $(selector).text() + ' ';
+    }
+  }
+  
+  // If no content was found with selectors, extract from body
+  if (!mainContent.trim()) {
+    // Extract text from p, h1-h6, li, td elements
+    $('p, h1, h2, h3, h4, h5, h6, li, td, div > br').each((i, element) => {
+      const text = $(element).text().trim();
+      if (text) {
+        mainContent += text + ' ';
+      }
+    });
+  }
+  
+  const text = mainContent.replace(/\s+/g, ' ').trim();
+  
+  // Combine all the content
+  let combinedContent = `PAGE: ${url}\n\n`;
+  
+  if (title) {
+    combinedContent += `TITLE: ${title}\n\n`;
+  }
+  
+  if (metaDescription) {
+    combinedContent += `DESCRIPTION: ${metaDescription}\n\n`;
+  }
+  
+  if (locationInfo) {
+    combinedContent += `LOCATION: ${locationInfo}\n\n`;
+  }
+  
+  combinedContent += `CONTENT:\n${text}`;
+  
+  // Clean up the text
+  const cleanedContent = combinedContent
+    .replace(/\s+/g, ' ')       // Replace multiple spaces with a single space
+    .replace(/\n\s*\n/g, '\n\n') // Replace multiple newlines
+    .trim();
+  
+  return {
+    title,
+    description: metaDescription,
+    location: locationInfo,
+    text,
+    pageText,
+    content: cleanedContent,
+    links,
+    structuredData: pageStructuredData,
+    contactDetails,
+    registrations
+  };
+}
+
+/**
+ * Find the privacy and terms pages linked from a page
+ * @param {Array} links - Page links ({ url, text })
+ * @param {string} hostname - Site hostname (legal pages hosted elsewhere are still included)
+ * @returns {Object} - { privacy, terms } - URL of each page, or null when it isn't linked
+ */
+function findLegalLinks(links, hostname) {
+  const legalLinks = {};
+  
+  LEGAL_PAGE_PATTERNS.forEach(({ type, pattern }) => {
+    const matches = links.filter(link => {
+      try {
+        return pattern.test(new URL(link.url).pathname) || pattern.test(link.text.replace(/\s+/g, '-'));
+      } catch (error) {
+        return false;
+      }
+    });
+    // Prefer a page on the site itself
+    const match = matches.find(link => isSameSite(new URL(link.url).hostname, hostname)) || matches[0];
+    legalLinks[type] = match ? normalizePageUrl(match.url) : null;
+  });
+  
+  return legalLinks;
+}
+
+/**
+ * Combine page content into a single text block within a character budget
+ * Short pages keep all their text; the remaining budget is shared between longer pages
+ * @param {Array} pages - Crawled pages (start page first)
+ * @param {number} maxChars - Maximum characters in the combined content
+ * @returns {string} - Combined content
+ */
+function combinePageContent(pages, maxChars) {
+  const allowances = new Array(pages.length).fill(0);
+  let remainingBudget = maxChars;
+  
+  // Hand out the budget shortest page first, so whatever short pages don't need goes to longer ones
+  const bySize = pages
+    .map((page, index) => index)
+    .sort((a, b) => pages[a].content.length - pages[b].content.length);
+  
+  bySize.forEach((pageIndex, position) => {
+    const share = Math.floor(remainingBudget / (bySize.length - position));
+    allowances[pageIndex] = Math.min(pages[pageIndex].content.length, share);
+    remainingBudget -= allowances[pageIndex];
+  });
+  
+  return pages
+    .map((page, index) => page.content.substring(0, allowances[index]).trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Crawls a website's key pages (about, team, services, reviews, FAQ, contact, privacy)
+ * Same-origin only, respects robots.txt and stays within page and byte budgets
+ * @param {string} url - Website URL to crawl
+ * @param {Object} options - Crawl budgets (see DEFAULT_CRAWL_OPTIONS), plus an optional market code for the contact formats
+ * @returns {Promise<Object>} - { url, pages: [...], content, structuredData, contactDetails, registrations, legalLinks, stats }
+ * (structured data, contact details and registration numbers are merged from every page)
+ */
+async function crawlWebsite(url, options = {}) {
+  const crawlOptions = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  
+  // Ensure URL has a protocol
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'https://' + url;
+  }
+  
+  const startUrl = new URL(url);
+  const robots = crawlOptions.respectRobots
+    ? await getRobotsRules(startUrl.origin)
+    : { rules: [], sitemaps: [] };
+  
+  if (!isAllowedByRobots(robots, startUrl.pathname + startUrl.search)) {
+    throw new Error(`Crawling ${url} is disallowed by robots.txt`);
+  }
+  
+  const pages = [];
+  const visited = new Set();
+  const stats = { pagesFetched: 0, bytesFetched: 0, skippedByRobots: 0, failedPages: 0 };
+  
+  // 1. Fetch the start page (with full retries, since we can't continue without it)
+  const startResponse = await fetchPage(url, { maxPageBytes: crawlOptions.maxPageBytes });
+  const finalUrl = normalizePageUrl(startResponse.finalUrl);
+  const startHtml = startResponse.html;
+  
+  // Log the actual domain being analyzed
+  console.log(`Successfully fetched content from domain: ${new URL(finalUrl).hostname.replace(/^www\./i, '')}`);
+  
+  const startPage = parsePage(startHtml, finalUrl, options.market);
+  pages.push({ url: finalUrl, pageType: 'home', bytes: Buffer.byteLength(startHtml), ...startPage });
+  visited.add(normalizePageUrl(url));
+  visited.add(finalUrl);
+  stats.pagesFetched++;
+  stats.bytesFetched += Buffer.byteLength(startHtml);
+  
+  // 2. Find candidate key pages from the navigation and sitemap
+  const candidatesByType = {};
+  const addCandidate = (candidateUrl, linkText) => {
+    let parsed;
+    try {
+      parsed = new URL(candidateUrl);
+    } catch (error) {
+      return;
+    }
+    
+    if (!/^https?:$/.test(parsed.protocol) || !isSameSite(parsed.hostname, startUrl.hostname)) return;
+    if (NON_HTML_EXTENSIONS.test(parsed.pathname)) return;
+    
+    const normalized = normalizePageUrl(parsed.toString());
+    const pageType = classifyPage(normalized, linkText);
+    if (!pageType) return;
+    
+    candidatesByType[pageType] = candidatesByType[pageType] || [];
+    if (!candidatesByType[pageType].includes(normalized)) {
+      candidatesByType[pageType].push(normalized);
+    }
+  };
+  
+  startPage.links.forEach(link => addCandidate(link.url, link.text));
+  
+  if (crawlOptions.maxPages > 1) {
+    const sitemapUrls = await getSitemapUrls(startUrl.origin, robots);
+    sitemapUrls.forEach(sitemapUrl => addCandidate(sitemapUrl, ''));
+  }
+  
+  // Take one page of each type first, then a second of each type, and so on
+  const queue = [];
+  const maxCandidates = Math.max(...Object.values(candidatesByType).map(list => list.length), 0);
+  for (let round = 0; round < maxCandidates; round++) {
+    for (const { type } of KEY_PAGE_PATTERNS) {
+      const candidate = candidatesByType[type] && candidatesByType[type][round];
+      if (candidate) queue.push({ url: candidate, pageType: type });
+    }
+  }
+  
+  // 3. Fetch key pages within the page and byte budgets
+  for (const candidate of queue) {
+    if (pages.length >= crawlOptions.maxPages || stats.bytesFetched >= crawlOptions.maxBytes) break;
+    if (visited.has(candidate.url)) continue;
+    visited.add(candidate.url);
+    
+    const candidateUrl = new URL(candidate.url);
+    if (!isAllowedByRobots(robots, candidateUrl.pathname + candidateUrl.search)) {
+      stats.skippedByRobots++;
+      continue;
+    }
+    
+    try {
+      const response = await fetchPage(candidate.url, {
+        maxRetries: 1,
+        maxPageBytes: Math.min(crawlOptions.maxPageBytes, crawlOptions.maxBytes - stats.bytesFetched)
+      });
+      
+      if (response.contentType && !response.contentType.includes('html')) continue;
+      
+      const html = response.html;
+      const page = parsePage(html, candidate.url, options.market);
+      
+      pages.push({ url: candidate.url, pageType: candidate.pageType, bytes: Buffer.byteLength(html), ...page });
+      stats.pagesFetched++;
+      stats.bytesFetched += Buffer.byteLength(html);
+    } catch (error) {
+      stats.failedPages++;
+    }
+  }
+  
+  console.log(`Crawled ${pages.length} page(s) from ${startUrl.hostname} (${Math.round(stats.bytesFetched / 1024)}KB)`);
+  
+  return {
+    url: finalUrl,
+    // Pages keep their links - compliance rules look for links such as a Financial Services Guide
+    pages,
+    content: combinePageContent(pages, crawlOptions.maxContentChars),
+    structuredData: structuredData.mergeStructuredData(pages.map(page => page.structuredData)),
+    contactDetails: mergeContactDetails(pages),
+    registrations: pages
+      .flatMap(page => page.registrations)
+      .filter((registration, index, all) => all.findIndex(item =>
+        item.register === registration.register && item.number === registration.number) === index),
+    legalLinks: findLegalLinks(startPage.links, startUrl.hostname),
+    stats
+  };
+}
+
+/**
+ * Fetches website content from the site's key pages
+ * @param {string} url - Website URL to analyze
+ * @param {Object} options - Optional crawl budgets (see DEFAULT_CRAWL_OPTIONS)
+ * @returns {Promise<string>} - Extracted text content, one section per page
+ */
+async function getWebsiteContent(url, options = {}) {
+  const site = await crawlWebsite(url, options);
+  return site.content;
+}
+
+/**
+ * Find one of a market's cities in a domain or URL ("goldcoast" and "gold-coast" both match "Gold Coast")
+ * @param {string} text - Domain or URL
+ * @param {Object} marketPack - Market from rulesLoader.getMarket
+ * @returns {string} - City name or empty string
+ */
+function findCityInDomain(text, marketPack) {
+  const textKey = text.toLowerCase().replace(/[\s-]/g, '');
+  return marketPack.cities.find(city => textKey.includes(city.toLowerCase().replace(/[\s-]/g, ''))) || '';
+}
 
 /**
  * Extract location information from website content
  * @param {Object} $ - Cheerio object
  * @param {string} html - Raw HTML
+ * @param {Object} marketPack - Market from rulesLoader.getMarket (regions, postcode format and cities)
  * @returns {string} - Location information
  */
-function extractLocationInformation($, html) {
+function extractLocationInformation($, html, marketPack) {
   let location = '';
   
   // Check common address containers
@@ -171,13 +681,12 @@ function extractLocationInformation($, html) {
     }
   }
   
-  // Look for Australian state abbreviations in text
+  // Look for the market's states or regions in text
   if (!location) {
-    const stateRegex = /\b(NSW|VIC|QLD|SA|WA|TAS|NT|ACT)\b/g;
-    const matches = html.match(stateRegex);
-    if (matches && matches.length > 0) {
+    const match = html.match(marketPack.patterns.region);
+    if (match) {
       // Look for content around this state
-      const index = html.indexOf(matches[0]);
+      const index = match.index;
       if (index !== -1) {
         const contextStart = Math.max(0, index - 50);
         const contextEnd = Math.min(html.length, index + 50);
@@ -189,12 +698,11 @@ function extractLocationInformation($, html) {
     }
   }
   
-  // Look for Australian postal codes
+  // Look for the market's postal codes
   if (!location) {
-    const postcodeRegex = /\b[0-9]{4}\b/g;
-    const matches = html.match(postcodeRegex);
+    const matches = html.match(marketPack.patterns.postcode);
     if (matches && matches.length > 0) {
-      // Look for Australian postcodes in promising contexts
+      // Look for postcodes in promising contexts
       for (const postcode of matches) {
         const index = html.indexOf(postcode);
         if (index !== -1) {
@@ -214,24 +722,91 @@ function extractLocationInformation($, html) {
   
   // Extract from domain name if no other location found
   if (!location) {
-    // Common Australian city names
-    const cities = ['sydney', 'melbourne', 'brisbane', 'perth', 'adelaide', 'gold-coast', 'canberra', 
-                   'newcastle', 'wollongong', 'hobart', 'geelong', 'townsville', 'cairns', 'darwin'];
-    
-    // Check domain for city names
+    // Check domain for the market's city names
     const domain = $('.title a').attr('href') || $('meta[property="og:url"]').attr('content') || '';
-    
-    for (const city of cities) {
-      if (domain.toLowerCase().includes(city)) {
-        location = city.charAt(0).toUpperCase() + city.slice(1).replace('-', ' ');
-        break;
-      }
-    }
+    location = findCityInDomain(domain, marketPack);
   }
   
   return location;
 }
 
+/**
+ * Get all the text in a page's body, including headers and footers
+ * Text nodes are joined with spaces - adjacent elements' text would otherwise run together ("556Level 2")
+ * @param {Object} $ - Cheerio object (scripts already removed)
+ * @returns {string} - Page text
+ */
+function getPageText($) {
+  return $('body').find('*').contents()
+    .filter((i, node) => node.type === 'text')
+    .map((i, node) => node.data)
+    .get()
+    .join(' ')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Extract the contact details a page displays
+ * @param {Object} $ - Cheerio object (scripts already removed)
+ * @param {string} text - Page text (see getPageText)
+ * @param {Object} marketPack - Market from rulesLoader.getMarket (phone and address formats)
+ * @returns {Object} - { emails, phones, abn, acn, addresses }
+ */
+function extractContactDetails($, text, marketPack) {
+  const emails = new Set();
+  const phones = new Set();
+  
+  $('a[href^="mailto:"]').each((i, element) => {
+    const email = $(element).attr('href').replace(/^mailto:/i, '').split('?')[0].trim();
+    if (email) emails.add(email.toLowerCase());
+  });
+  $('a[href^="tel:"]').each((i, element) => {
+    const phone = $(element).attr('href').replace(/^tel:/i, '').trim();
+    if (phone) phones.add(phone);
+  });
+  
+  (text.match(CONTACT_PATTERNS.email) || [])
+    .filter(email => !/\.(?:png|jpe?g|gif|svg|webp)$/i.test(email))
+    .forEach(email => emails.add(email.toLowerCase()));
+  (text.match(marketPack.patterns.phone) || []).forEach(phone => phones.add(phone.trim()));
+  
+  const abnMatch = text.match(CONTACT_PATTERNS.abn);
+  const acnMatch = text.match(CONTACT_PATTERNS.acn);
+  const addresses = [];
+  const addressMatch = text.match(marketPack.patterns.address);
+  if (addressMatch) addresses.push(addressMatch[0].trim());
+  $('address').each((i, element) => {
+    const address = $(element).text().replace(/\s+/g, ' ').trim();
+    if (address.length > 10) addresses.push(address);
+  });
+  
+  return {
+    emails: [...emails],
+    phones: [...phones],
+    abn: abnMatch ? abnMatch[1].replace(/\s/g, '') : null,
+    acn: acnMatch ? acnMatch[1].replace(/\s/g, '') : null,
+    addresses: [...new Set(addresses)]
+  };
+}
+
+/**
+ * Merge the contact details found on each page
+ * @param {Array} pages - Parsed pages
+ * @returns {Object} - { emails, phones, abn, acn, addresses } for the whole site
+ */
+function mergeContactDetails(pages) {
+  const unique = key => [...new Set(pages.flatMap(page => (page.contactDetails || {})[key] || []))];
+  const first = key => (pages.find(page => page.contactDetails && page.contactDetails[key]) || { contactDetails: {} }).contactDetails[key] || null;
+  
+  return {
+    emails: unique('emails'),
+    phones: unique('phones'),
+    abn: first('abn'),
+    acn: first('acn'),
+    addresses: unique('addresses')
+  };
+}
+
 /**
  * Fetches competitors using DataForSEO API
  * @param {string} domain - Domain to find competitors for
@@ -239,9 +814,10 @@ function extractLocationInformation($, html) {
  * @param {number} limit - Maximum number of competitors to return
  * @param {string} searchQuery - Optional specialized search query
  * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (default AU) - sets the search location and language
  * @returns {Promise<Array>} - List of competitors
  */
-async function fetchCompetitorsFromDataForSEO(domain, industry, limit = 5, searchQuery = '', specialty = '') {
+async function fetchCompetitorsFromDataForSEO(domain, industry, limit = 5, searchQuery = '', specialty = '', market = '') {
   try {
     if (!DATAFORSEO_LOGIN || !DATAFORSEO_PASSWORD) {
       console.log('DataForSEO credentials not configured, using fallback');
@@ -249,14 +825,15 @@ async function fetchCompetitorsFromDataForSEO(domain, industry, limit = 5, searc
     }
     
     const auth = Buffer.from(`${DATAFORSEO_LOGIN}:${DATAFORSEO_PASSWORD}`).toString('base64');
+    const { dataForSeo } = rulesLoader.getMarket(market);
     
-    console.log(`Fetching competitors for domain: ${domain} using DataForSEO Labs`);
+    console.log(`Fetching competitors for domain: ${domain} using DataForSEO Labs (${dataForSeo.locationName})`);
     
     // Create payload using the correct structure
     const payload = [{
       "target": domain,
-      "location_code": 2036, // Australia 
-      "language_code": "en",
+      "location_code": dataForSeo.locationCode,
+      "language_code": dataForSeo.languageCode,
       "exclude_top_domains": true,
       "ignore_synonyms": false,
       "include_clickstream_data": false,
@@ -264,18 +841,22 @@ async function fetchCompetitorsFromDataForSEO(domain, industry, limit = 5, searc
       "limit": limit * 3 // Request more to filter down later
     }];
     
-    const response = await axios({
-      method: 'POST',
-      url: 'https://api.dataforseo.com/v3/dataforseo_labs/google/competitors_domain/live',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Content-Type': 'application/json'
-      },
-      data: JSON.stringify(payload)
-    });
+    const endpoint = 'https://api.dataforseo.com/v3/dataforseo_labs/google/competitors_domain/live';
+    const data = await cache.getOrFetch('dataforseo', { endpoint, payload }, async () => {
+      const response = await axios({
+        method: 'POST',
+        url: endpoint,
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/json'
+        },
+        data: JSON.stringify(payload)
+      });
+      return response.data;
+    }, { shouldCache: isDataForSeoSuccess });
     
-    if (response.data && response.data.tasks && response.data.tasks.length > 0) {
-      const results = response.data.tasks[0].result;
+    if (data && data.tasks && data.tasks.length > 0) {
+      const results = data.tasks[0].result;
       
       if (!results || results.length === 0) {
         console.log('No competitors found via DataForSEO');
@@ -285,22 +866,18 @@ async function fetchCompetitorsFromDataForSEO(domain, industry, limit = 5, searc
       // Extract competitors
       const competitors = [];
       
-      // Industry-specific keywords to match true competitors
-      const industryKeywords = {
-        'Healthcare': ['doctor', 'clinic', 'hospital', 'medical', 'health', 'practice', 'surgery'],
-        'Plastic Surgery': ['surgeon', 'plastic', 'cosmetic', 'aesthetic', 'reconstruction', 'procedure'],
-        'Construction': ['builder', 'construction', 'renovation', 'home', 'building', 'contractor', 'remodel'],
-        'Environmental': ['environmental', 'sustainable', 'green', 'eco', 'renewable', 'conservation'],
-        'Finance': ['financial', 'finance', 'accounting', 'wealth', 'invest', 'advisor', 'planning'],
-        'Legal': ['lawyer', 'attorney', 'legal', 'law', 'solicitor', 'advocate', 'firm'],
-        'Real Estate': ['realestate', 'property', 'house', 'land', 'agent', 'broker', 'home']
-      };
+      // Industry and specialty keywords from the rules pack, to match true competitors
+      const pack = rulesLoader.getIndustry(industry);
+      const specialtyEntry = rulesLoader.getSpecialty(industry, specialty);
+      let relevantKeywords = [
+        ...(pack ? pack.competitorKeywords : []),
+        ...(specialtyEntry ? specialtyEntry.competitorKeywords : [])
+      ];
       
-      // Get relevant keywords for this industry and specialty
-      let relevantKeywords = industryKeywords[industry] || [];
-      if (specialty && industryKeywords[specialty]) {
-        relevantKeywords = [...relevantKeywords, ...industryKeywords[specialty]];
-      }
+      // Some industries and specialties need a stricter match (the specialty's list wins)
+      const requiredKeywords = specialtyEntry && specialtyEntry.requiredCompetitorKeywords.length > 0
+        ? specialtyEntry.requiredCompetitorKeywords
+        : (pack ? pack.requiredCompetitorKeywords : []);
       
       // Add any terms from the search query
       if (searchQuery) {
@@ -340,16 +917,7 @@ async function fetchCompetitorsFromDataForSEO(domain, industry, limit = 5, searc
           }
           
           // For some industries, require stricter matching
-          if ((industry === 'Plastic Surgery' || specialty === 'Plastic Surgery') && 
-              !domainName.includes('surg') && !domainName.includes('plast') && 
-              !domainName.includes('cosmet') && !domainName.includes('doctor')) {
-            isRelevant = false;
-          }
-          
-          // For builders/construction, require stricter matching
-          if ((industry === 'Construction' || industry.includes('Build')) && 
-              !domainName.includes('build') && !domainName.includes('construct') && 
-              !domainName.includes('home') && !domainName.includes('renovat')) {
+          if (requiredKeywords.length > 0 && !requiredKeywords.some(keyword => domainName.includes(keyword.toLowerCase()))) {
             isRelevant = false;
           }
           
@@ -370,7 +938,7 @@ async function fetchCompetitorsFromDataForSEO(domain, industry, limit = 5, searc
           if (isRelevant || competitors.length < 2) {
             // Create competitor object
             const competitor = {
-              name: formatDomainName(comp.domain),
+              name: formatDomainName(comp.domain, market),
               url: `https://${comp.domain}`,
               domain: comp.domain,
               seoData: {
@@ -434,45 +1002,28 @@ function isDomainRelevantToIndustry(domain, industry, searchQuery) {
     if (domainLower.includes(irrelevant)) return false;
   }
   
-  // Check for industry-relevant terms in domain
-  const industryTerms = {
-    'Healthcare': ['health', 'medical', 'doctor', 'clinic', 'hospital', 'care', 'therapy', 'wellness'],
-    'Construction': ['build', 'construct', 'renovation', 'home', 'house', 'property', 'contractor'],
-    'Finance': ['financ', 'invest', 'wealth', 'money', 'capital', 'fund', 'asset', 'advisor'],
-    'Legal': ['law', 'legal', 'attorney', 'solicitor', 'advocate', 'barrister', 'justice'],
-    'Real Estate': ['real', 'estate', 'property', 'realty', 'home', 'house', 'land', 'apartment']
-  };
-  
-  // Specialty-specific terms
-  const specialtyTerms = {
-    'Plastic Surgery': ['plastic', 'cosmetic', 'aesthetic', 'surgery', 'surgeon', 'beauty'],
-    'Dental': ['dental', 'dentist', 'tooth', 'teeth', 'orthodont', 'smile'],
-    'Residential': ['home', 'house', 'residential', 'living'],
-    'Commercial': ['commercial', 'office', 'business', 'corporate']
-  };
+  // Industry-relevant domain terms from the rules pack
+  const pack = rulesLoader.getIndustry(industry);
   
   // Extract specialty from search query if available
-  let specialty = '';
-  if (searchQuery) {
+  let specialty = null;
+  if (searchQuery && pack) {
     const queryParts = searchQuery.toLowerCase().split(' ');
-    for (const [key, terms] of Object.entries(specialtyTerms)) {
-      if (queryParts.some(part => key.toLowerCase().includes(part))) {
-        specialty = key;
-        break;
-      }
-    }
+    specialty = pack.specialties.find(entry =>
+      entry.domainTerms.length > 0 && queryParts.some(part => entry.name.toLowerCase().includes(part))
+    ) || null;
   }
   
   // Check domain against industry terms
-  if (industryTerms[industry]) {
-    for (const term of industryTerms[industry]) {
+  if (pack) {
+    for (const term of pack.domainTerms) {
       if (domainLower.includes(term)) return true;
     }
   }
   
   // Check domain against specialty terms if applicable
-  if (specialty && specialtyTerms[specialty]) {
-    for (const term of specialtyTerms[specialty]) {
+  if (specialty) {
+    for (const term of specialty.domainTerms) {
       if (domainLower.includes(term)) return true;
     }
   }
@@ -496,23 +1047,18 @@ function isDomainRelevantToIndustry(domain, industry, searchQuery) {
  * @param {string} domain - Domain name
  * @param {string} industry - Industry category
  * @param {string} searchQuery - Search query with specialty info
+ * @param {string} market - Optional market code (default AU)
  * @returns {number} - Relevance score (0-100)
  */
-function calculateDomainRelevance(domain, industry, searchQuery) {
+function calculateDomainRelevance(domain, industry, searchQuery, market = '') {
   const domainLower = domain.toLowerCase();
   let score = 50; // Base score
   
-  // Industry term bonus
-  const industryTerms = {
-    'Healthcare': ['health', 'medical', 'doctor', 'clinic', 'hospital', 'care', 'therapy', 'wellness'],
-    'Construction': ['build', 'construct', 'renovation', 'home', 'house', 'property', 'contractor'],
-    'Finance': ['financ', 'invest', 'wealth', 'money', 'capital', 'fund', 'asset', 'advisor'],
-    'Legal': ['law', 'legal', 'attorney', 'solicitor', 'advocate', 'barrister', 'justice'],
-    'Real Estate': ['real', 'estate', 'property', 'realty', 'home', 'house', 'land', 'apartment']
-  };
+  // Industry term bonus (domain terms from the rules pack)
+  const pack = rulesLoader.getIndustry(industry);
   
-  if (industryTerms[industry]) {
-    for (const term of industryTerms[industry]) {
+  if (pack) {
+    for (const term of pack.domainTerms) {
       if (domainLower.includes(term)) {
         score += 10;
         break; // Only count industry match once
@@ -531,8 +1077,8 @@ function calculateDomainRelevance(domain, industry, searchQuery) {
     }
   }
   
-  // Australian domain bonus
-  if (domainLower.endsWith('.com.au') || domainLower.endsWith('.net.au')) {
+  // Local domain bonus (.com.au, .co.uk, etc.)
+  if (rulesLoader.getMarket(market).domainSuffixes.some(suffix => domainLower.endsWith(suffix))) {
     score += 10;
   }
   
@@ -547,13 +1093,14 @@ function calculateDomainRelevance(domain, industry, searchQuery) {
 /**
  * Format domain name into a business name
  * @param {string} domain - Domain name
+ * @param {string} market - Optional market code (default AU) - the cities and regions to look for
  * @returns {string} - Formatted business name
  */
-function formatDomainName(domain) {
+function formatDomainName(domain, market = '') {
   if (!domain) return 'Competitor';
   
-  // Remove www. and TLD
-  let name = domain.replace(/^www\./, '').replace(/\.[a-z]{2,}(\.au)?$/, '');
+  // Remove www. and TLD (including country domains like .com.au and .co.uk)
+  let name = domain.replace(/^www\./, '').replace(/\.[a-z]{2,}(\.[a-z]{2})?$/, '');
   
   // Split by dot and dash
   let parts = name.split(/[.-]/);
@@ -567,7 +1114,7 @@ function formatDomainName(domain) {
   name = name.replace(/Pty Ltd/i, '').replace(/Inc/i, '').trim();
   
   // Add location context if possible
-  const locationContext = extractLocationFromDomain(domain);
+  const locationContext = extractLocationFromDomain(domain, market);
   if (locationContext && !name.includes(locationContext)) {
     name = `${name} ${locationContext}`;
   }
@@ -578,35 +1125,149 @@ function formatDomainName(domain) {
 /**
  * Extract potential location from domain name
  * @param {string} domain - Domain name
+ * @param {string} market - Optional market code (default AU)
  * @returns {string} - Location or empty string
  */
-function extractLocationFromDomain(domain) {
-  // Australian cities and states to look for
-  const locations = [
-    'Sydney', 'Melbourne', 'Brisbane', 'Perth', 'Adelaide', 
-    'GoldCoast', 'Newcastle', 'Canberra', 'Wollongong', 'Hobart',
-    'Geelong', 'Townsville', 'Cairns', 'Darwin', 'NSW', 'VIC',
-    'QLD', 'WA', 'SA', 'TAS', 'NT', 'ACT'
-  ];
+function extractLocationFromDomain(domain, market = '') {
+  const marketPack = rulesLoader.getMarket(market);
   
-  const domainLower = domain.toLowerCase();
+  const city = findCityInDomain(domain, marketPack);
+  if (city) return city;
   
-  for (const location of locations) {
-    if (domainLower.includes(location.toLowerCase())) {
-      // Format location (e.g., "goldcoast" to "Gold Coast")
-      if (location === 'GoldCoast') {
-        return 'Gold Coast';
+  // State and region codes are short ("wa", "ny"), so they only count as a whole part of the domain
+  const parts = domain.toLowerCase().split(/[.-]/);
+  return marketPack.regions.find(region => parts.includes(region.toLowerCase())) || '';
+}
+
+/**
+ * Follow a site's plain HTTP address to see whether it redirects to HTTPS
+ * @param {string} hostname - Site hostname
+ * @returns {Promise<Object>} - { redirectsToHttps, finalUrl, status } or { error }
+ */
+async function checkHttpsRedirect(hostname) {
+  let currentUrl = `http://${hostname}/`;
+  
+  try {
+    // Follow redirects one at a time so the first HTTPS hop is seen
+    for (let hop = 0; hop < 5; hop++) {
+      const response = await fetchClient.get(currentUrl, {
+        maxRedirects: 0,
+        timeout: 10000,
+        responseType: 'text',
+        maxContentLength: 256 * 1024,
+        validateStatus: () => true
+      });
+      const location = response.headers && response.headers.location;
+      
+      if (response.status >= 300 && response.status < 400 && location) {
+        currentUrl = new URL(location, currentUrl).toString();
+        if (currentUrl.startsWith('https://')) {
+          return { redirectsToHttps: true, finalUrl: currentUrl, status: response.status };
+        }
+        continue;
       }
-      return location;
+      
+      return { redirectsToHttps: false, finalUrl: currentUrl, status: response.status };
     }
+    
+    return { redirectsToHttps: false, finalUrl: currentUrl, status: null };
+  } catch (error) {
+    return { error: error.message };
   }
+}
+
+/**
+ * Check a site's TLS certificate
+ * @param {string} hostname - Site hostname
+ * @returns {Promise<Object>} - { valid, validTo, daysRemaining, issuer, error }
+ */
+function checkCertificate(hostname) {
+  return new Promise(resolve => {
+    const socket = tls.connect({
+      host: hostname,
+      port: 443,
+      servername: net.isIP(hostname) ? undefined : hostname, // SNI doesn't allow IP addresses
+      rejectUnauthorized: false
+    });
+    
+    socket.setTimeout(10000, () => {
+      socket.destroy();
+      resolve({ valid: false, error: 'Timed out connecting on port 443' });
+    });
+    
+    socket.once('secureConnect', () => {
+      const certificate = socket.getPeerCertificate();
+      const validTo = certificate && certificate.valid_to ? new Date(certificate.valid_to) : null;
+      
+      resolve({
+        valid: socket.authorized,
+        validTo: validTo ? validTo.toISOString() : null,
+        daysRemaining: validTo ? Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000)) : null,
+        issuer: certificate && certificate.issuer ? certificate.issuer.O || certificate.issuer.CN || '' : '',
+        error: socket.authorized ? null : String(socket.authorizationError || 'Certificate not trusted')
+      });
+      socket.end();
+    });
+    
+    socket.once('error', error => {
+      resolve({ valid: false, error: error.message });
+    });
+  });
+}
+
+/**
+ * Check a site's transport security - the HTTPS redirect, TLS certificate and security headers
+ * These are always checked live rather than from the page cache
+ * @param {string} url - Website URL
+ * @returns {Promise<Object>} - { httpsRedirect, certificate, headers: { hsts, csp } } - failures are reported, not thrown
+ */
+async function checkTransportSecurity(url) {
+  const hostname = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname;
+  
+  const [httpsRedirect, certificate, headers] = await Promise.all([
+    checkHttpsRedirect(hostname),
+    checkCertificate(hostname),
+    fetchClient.get(`https://${hostname}/`, {
+      timeout: 10000,
+      responseType: 'text',
+      maxContentLength: DEFAULT_CRAWL_OPTIONS.maxPageBytes,
+      validateStatus: () => true,
+      // Headers are still worth reading from a site with a bad certificate
+      httpsAgent: new https.Agent({ rejectUnauthorized: false })
+    })
+      .then(response => ({
+        hsts: response.headers['strict-transport-security'] || null,
+        csp: response.headers['content-security-policy'] || null
+      }))
+      .catch(error => ({ error: error.message }))
+  ]);
   
-  return '';
+  return { httpsRedirect, certificate, headers };
+}
+
+/**
+ * Check whether a page can be fetched (uses the page cache)
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} - { reachable, error }
+ */
+async function checkPageReachable(url) {
+  try {
+    await fetchPage(url, { maxRetries: 1 });
+    return { reachable: true, error: null };
+  } catch (error) {
+    return { reachable: false, error: error.response ? `HTTP ${error.response.status}` : error.message };
+  }
 }
 
 module.exports = {
   init,
+  crawlWebsite,
   getWebsiteContent,
+  checkTransportSecurity,
+  checkPageReachable,
+  parseRobotsTxt,
+  isAllowedByRobots,
   fetchCompetitorsFromDataForSEO,
+  isDataForSeoSuccess,
   extractLocationFromDomain
 };
\ No newline at end of file
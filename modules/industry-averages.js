@@ -0,0 +1,150 @@
+/**
+ * Industry Averages Module
+ * Aggregates stored analyses into per-industry and per-specialty benchmarks
+ */
+
+const analysisStore = require('./analysis-store');
+
+// Minimum number of analysed sites before a specialty gets its own benchmark
+const MIN_SPECIALTY_SAMPLE = 5;
+
+// Minimum number of other analysed sites before an industry average is reported
+const MIN_INDUSTRY_SAMPLE = 3;
+
+// Score fields included in the aggregate
+const SCORE_FIELDS = ['expertiseScore', 'authorityScore', 'communicationScore', 'credibilityScore'];
+
+/**
+ * Calculate a percentile from a sorted list of numbers (linear interpolation)
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} percentile - Percentile to calculate (0-100)
+ * @returns {number|null} - Percentile value, or null when there are no values
+ */
+function calculatePercentile(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  if (sorted.length === 1) return sorted[0];
+
+  const index = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+
+  return Math.round(sorted[lower] + ((sorted[upper] - sorted[lower]) * weight));
+}
+
+/**
+ * Keep only the most recent analysis per domain so repeat runs don't skew the average
+ * @param {Array} records - Stored analysis records (oldest first)
+ * @returns {Array} - Latest record for each domain
+ */
+function latestPerDomain(records) {
+  const latest = new Map();
+
+  for (const record of records) {
+    latest.set(record.domain, record);
+  }
+
+  return [...latest.values()];
+}
+
+/**
+ * Aggregate a set of analysis records into averages and percentiles
+ * @param {Array} records - Analysis records
+ * @returns {Object} - Aggregated statistics
+ */
+function aggregateScores(records) {
+  const stats = {
+    sampleSize: records.length,
+    percentiles: {}
+  };
+
+  for (const field of SCORE_FIELDS) {
+    const values = records
+      .map(record => record[field])
+      .filter(value => typeof value === 'number' && !isNaN(value))
+      .sort((a, b) => a - b);
+
+    stats[field] = values.length > 0
+      ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+
+    stats.percentiles[field] = {
+      p25: calculatePercentile(values, 25),
+      p50: calculatePercentile(values, 50),
+      p75: calculatePercentile(values, 75),
+      p90: calculatePercentile(values, 90)
+    };
+  }
+
+  return stats;
+}
+
+/**
+ * Hide the scores of a sample too small to average - they would be another site's own scores
+ * @param {Object} stats - Aggregated statistics
+ * @returns {Object} - The same statistics, or { sampleSize, insufficientData } for a small sample
+ */
+function withMinimumSample(stats) {
+  return stats.sampleSize >= MIN_INDUSTRY_SAMPLE ? stats : { sampleSize: stats.sampleSize, insufficientData: true };
+}
+
+/**
+ * Get the industry (and, where enough data exists, specialty) average scores
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code - only analyses for that market are averaged
+ * @param {string} excludeUrl - Optional website being compared - its own analyses are left out
+ * @returns {Promise<Object>} - Industry average in the shape used by the quadrant (scope
+ *   'insufficient-data' with null scores until enough other sites have been analysed)
+ */
+async function getIndustryAverage(industry, specialty = '', market = '', excludeUrl = '') {
+  const excludedDomain = excludeUrl ? analysisStore.normalizeDomain(excludeUrl) : null;
+  const industryRecords = latestPerDomain(await analysisStore.listAnalyses({ industry, market }))
+    .filter(record => record.domain !== excludedDomain);
+  const industryStats = aggregateScores(industryRecords);
+
+  let specialtyStats = null;
+  if (specialty) {
+    specialtyStats = aggregateScores(industryRecords.filter(record => record.specialty === specialty));
+  }
+
+  // Prefer the specialty benchmark once it has a meaningful sample
+  let scope = 'industry';
+  let selected = industryStats;
+
+  if (specialtyStats && specialtyStats.sampleSize >= MIN_SPECIALTY_SAMPLE) {
+    scope = 'specialty';
+    selected = specialtyStats;
+  } else if (industryStats.sampleSize < MIN_INDUSTRY_SAMPLE) {
+    scope = 'insufficient-data';
+  }
+
+  const insufficientData = scope === 'insufficient-data';
+
+  return {
+    name: scope === 'specialty' ? `${specialty} Average` : `${industry} Industry Average`,
+    isIndustry: true,
+    industry,
+    specialty: specialty || '',
+    market: market || null,
+    scope,
+    insufficientData,
+    minimumSampleSize: MIN_INDUSTRY_SAMPLE,
+    expertiseScore: insufficientData ? null : selected.expertiseScore,
+    authorityScore: insufficientData ? null : selected.authorityScore,
+    communicationScore: insufficientData ? null : selected.communicationScore,
+    credibilityScore: insufficientData ? null : selected.credibilityScore,
+    sampleSize: selected.sampleSize,
+    percentiles: insufficientData ? null : selected.percentiles,
+    breakdown: {
+      industry: withMinimumSample(industryStats),
+      specialty: specialtyStats && withMinimumSample(specialtyStats)
+    }
+  };
+}
+
+module.exports = {
+  getIndustryAverage,
+  calculatePercentile,
+  MIN_INDUSTRY_SAMPLE
+};
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Job Manager Module
+ * Runs the analysis, industry average and competitor steps as a background job,
+ * recording progress so clients can poll or stream it while the job runs
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const analysisService = require('./analysis-service');
+const competitorService = require('./competitor-service');
+const industryAverages = require('./industry-averages');
+
+// Progress steps reported for every job, in order
+const JOB_STEPS = [
+  { id: 'fetching', label: 'Fetching website' },
+  { id: 'trust-audit', label: 'Auditing trust signals' },
+  { id: 'registrations', label: 'Verifying registrations' },
+  { id: 'compliance', label: 'Checking advertising compliance' },
+  { id: 'pre-analysis', label: 'Checking common elements' },
+  { id: 'ai-analysis', label: 'AI analysis' },
+  { id: 'competitor-discovery', label: 'Finding competitors' },
+  { id: 'competitor-enhancement', label: 'Analyzing competitors' }
+];
+
+// How long finished jobs are kept in memory
+let JOB_TTL_MS = 60 * 60 * 1000;
+
+// In-memory jobs by id
+const jobs = new Map();
+
+/**
+ * Initialize the module with job settings
+ * @param {Object} config - Configuration object with optional jobTtlMs
+ */
+function init(config) {
+  if (config && config.jobTtlMs) {
+    JOB_TTL_MS = config.jobTtlMs;
+  }
+}
+
+/**
+ * Get the client-facing view of a job
+ * @param {Object} job - Job record
+ * @returns {Object} - Job id, status, steps and the sections finished so far
+ */
+function toJSON(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    params: job.params,
+    steps: job.steps,
+    results: job.results,
+    errors: job.errors
+  };
+}
+
+/**
+ * Record an event on a job and notify listeners
+ * @param {Object} job - Job record
+ * @param {string} type - Event type ('progress', 'section', 'section-error' or 'done')
+ * @param {Object} data - Event data
+ */
+function emit(job, type, data) {
+  job.updatedAt = new Date().toISOString();
+  job.events.emit('event', { type, data });
+}
+
+/**
+ * Update a step from a progress report
+ * @param {Object} job - Job record
+ * @param {Object} progress - { step, status, message, ... }
+ */
+function reportProgress(job, progress) {
+  const step = job.steps.find(item => item.id === progress.step);
+  if (step) {
+    // 'progress' updates (one per competitor) keep the step running
+    step.status = ['started', 'progress'].includes(progress.status) ? 'running' : progress.status;
+    step.message = progress.message || step.message;
+    if (progress.total !== undefined) {
+      step.finished = progress.finished || 0;
+      step.total = progress.total;
+    }
+  }
+  emit(job, 'progress', progress);
+}
+
+/**
+ * Store a finished section of the results
+ * @param {Object} job - Job record
+ * @param {string} section - 'analysis', 'industryAverage' or 'competitors'
+ * @param {Object} data - Section data
+ */
+function completeSection(job, section, data) {
+  job.results[section] = data;
+  emit(job, 'section', { section, data });
+}
+
+/**
+ * Record a section that couldn't be produced
+ * @param {Object} job - Job record
+ * @param {string} section - Section name
+ * @param {Error} error - Error raised
+ */
+function failSection(job, section, error) {
+  if (!error.statusCode) {
+    console.error(`Job ${job.id} ${section} error:`, error);
+  }
+  job.errors[section] = error.statusCode ? error.message : `Unable to load ${section}. Please try again.`;
+  emit(job, 'section-error', { section, message: job.errors[section] });
+}
+
+/**
+ * Run a job's steps, sending each section as soon as it's ready
+ * @param {Object} job - Job record
+ */
+async function runJob(job) {
+  const { url, industry, specialty, market } = job.params;
+  const onProgress = progress => reportProgress(job, progress);
+
+  job.status = 'running';
+
+  // 1. The website analysis - nothing else can run without it
+  try {
+    completeSection(job, 'analysis', await analysisService.runAnalysis(url, industry, specialty, {
+      onProgress,
+      market,
+      forceRefresh: job.params.forceRefresh
+    }));
+  } catch (error) {
+    failSection(job, 'analysis', error);
+    finishJob(job, 'failed');
+    return;
+  }
+
+  // 2. Industry average (from the other sites analysed, not this one)
+  try {
+    completeSection(job, 'industryAverage', await industryAverages.getIndustryAverage(industry, specialty, market, url));
+  } catch (error) {
+    failSection(job, 'industryAverage', error);
+  }
+
+  // 3. Competitors, falling back to simulated ones where allowed
+  try {
+    completeSection(job, 'competitors', await competitorService.runCompetitorAnalysis(job.params, { onProgress }));
+  } catch (error) {
+    if (!error.statusCode && job.params.simulation !== 'off') {
+      console.error(`Job ${job.id} competitor error, using simulated competitors:`, error.message);
+      try {
+        completeSection(job, 'competitors', await competitorService.getFallbackCompetitors(job.params));
+      } catch (fallbackError) {
+        failSection(job, 'competitors', fallbackError);
+      }
+    } else {
+      failSection(job, 'competitors', error);
+    }
+  }
+
+  finishJob(job, 'completed');
+}
+
+/**
+ * Mark a job as finished, close any steps that never ran and schedule its removal
+ * @param {Object} job - Job record
+ * @param {string} status - 'completed' or 'failed'
+ */
+function finishJob(job, status) {
+  job.status = status;
+  job.steps.forEach(step => {
+    if (step.status === 'pending') step.status = 'skipped';
+    if (step.status === 'running') step.status = status === 'failed' ? 'failed' : 'completed';
+  });
+  emit(job, 'done', { status });
+
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Create and start an analysis job
+ * @param {Object} params - Job parameters (url, industry, specialty, market, plus the competitor options)
+ * @returns {Object} - Client-facing view of the new job
+ */
+function createJob(params) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    params: { ...params, specialty: params.specialty || '' },
+    steps: JOB_STEPS.map(step => ({ ...step, status: 'pending', message: '' })),
+    results: {},
+    errors: {},
+    events: new EventEmitter()
+  };
+
+  jobs.set(job.id, job);
+
+  // Run in the background - errors are recorded on the job
+  setImmediate(() => {
+    runJob(job).catch(error => {
+      console.error(`Job ${job.id} error:`, error);
+      finishJob(job, 'failed');
+    });
+  });
+
+  return toJSON(job);
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} - Client-facing view of the job, or null if it doesn't exist
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toJSON(job) : null;
+}
+
+/**
+ * Listen to a job's events
+ * @param {string} id - Job id
+ * @param {Function} listener - Called with { type, data } for each event
+ * @returns {Function|null} - Unsubscribe function, or null if the job doesn't exist
+ */
+function subscribe(id, listener) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  job.events.on('event', listener);
+  return () => job.events.off('event', listener);
+}
+
+module.exports = {
+  JOB_STEPS,
+  init,
+  createJob,
+  getJob,
+  subscribe
+};
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * LLM Provider Module
+ * Sends chat completions to OpenAI, an OpenAI-compatible local server (llama.cpp, Ollama)
+ * or a fixture-replay provider, with model, temperature and max tokens set per task
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cache = require('./cache');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Default time to wait for a completion - override with config.llmTimeoutMs
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Default settings for each task - override with config.llmTasks
+const DEFAULT_TASK_SETTINGS = {
+  analysis: { model: 'gpt-4o', temperature: 0.3, maxTokens: 1000, json: true },
+  competitorAnalysis: { model: 'gpt-3.5-turbo', temperature: 0.3, maxTokens: 800, json: false }
+};
+
+let provider = null;
+let apiKey;
+let baseUrl;
+let fixturesDir;
+let recordFixtures = false;
+let timeoutMs = DEFAULT_TIMEOUT_MS;
+let taskSettings = { ...DEFAULT_TASK_SETTINGS };
+
+// Times each fixture file holding a sequence of responses has been replayed
+let fixtureReplays = new Map();
+
+/**
+ * Initialize the module with provider settings
+ * @param {Object} config - Configuration object
+ * @param {string} config.llmProvider - 'openai', 'local' or 'fixture' (defaults to 'openai' when an OpenAI key is set)
+ * @param {string} config.openaiApiKey - OpenAI API key
+ * @param {string} config.llmBaseUrl - Base URL of an OpenAI-compatible server (e.g. http://localhost:11434/v1)
+ * @param {string} config.llmApiKey - Optional API key for the local server
+ * @param {string} config.llmFixturesDir - Directory of recorded responses for the fixture provider
+ * @param {boolean} config.llmRecordFixtures - Save live responses to the fixtures directory
+ * @param {number} config.llmTimeoutMs - Time to wait for a completion (default 60 seconds)
+ * @param {Object} config.llmTasks - Per-task overrides, e.g. { analysis: { model, temperature, maxTokens } }
+ */
+function init(config) {
+  provider = config.llmProvider || (config.openaiApiKey ? 'openai' : null);
+  apiKey = provider === 'openai' ? config.openaiApiKey : config.llmApiKey;
+  baseUrl = (provider === 'openai' ? OPENAI_BASE_URL : config.llmBaseUrl || '').replace(/\/+$/, '');
+  fixturesDir = config.llmFixturesDir;
+  recordFixtures = Boolean(config.llmRecordFixtures);
+  timeoutMs = config.llmTimeoutMs || DEFAULT_TIMEOUT_MS;
+  fixtureReplays = new Map();
+
+  taskSettings = { ...DEFAULT_TASK_SETTINGS };
+  Object.entries(config.llmTasks || {}).forEach(([task, settings]) => {
+    taskSettings[task] = { ...(taskSettings[task] || {}), ...settings };
+  });
+
+  if (provider && !['openai', 'local', 'fixture'].includes(provider)) {
+    console.error(`Unknown LLM provider "${provider}", AI analysis disabled`);
+    provider = null;
+  }
+}
+
+/**
+ * Check whether a provider is configured and usable
+ * @returns {boolean} - Whether completions can be requested
+ */
+function isConfigured() {
+  if (provider === 'openai') return Boolean(apiKey);
+  if (provider === 'local') return Boolean(baseUrl);
+  if (provider === 'fixture') return Boolean(fixturesDir);
+  return false;
+}
+
+/**
+ * Get the settings used for a task
+ * @param {string} task - Task name (e.g. 'analysis', 'competitorAnalysis')
+ * @returns {Object} - Model, temperature, maxTokens and json flag
+ */
+function getTaskSettings(task) {
+  return taskSettings[task] || taskSettings.analysis;
+}
+
+/**
+ * Get the fixture file for a request
+ * The file name is a hash of the task and messages, so the same prompt always replays the same response
+ * @param {string} task - Task name
+ * @param {Array} messages - Chat messages
+ * @returns {string} - Fixture file path
+ */
+function getFixturePath(task, messages) {
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({ task, messages }))
+    .digest('hex')
+    .slice(0, 16);
+
+  return path.join(fixturesDir, `${task}-${hash}.json`);
+}
+
+/**
+ * Replay a recorded response
+ * Falls back to "<task>.json" so one canned response can serve every prompt for a task.
+ * A fixture holds one "content", or "responses" replayed in turn (the last one repeats) -
+ * e.g. an invalid answer followed by the corrected one
+ * @param {string} task - Task name
+ * @param {Array} messages - Chat messages
+ * @returns {Promise<Object>} - Recorded completion
+ */
+async function replayFixture(task, messages) {
+  const candidates = [getFixturePath(task, messages), path.join(fixturesDir, `${task}.json`)];
+
+  for (const file of candidates) {
+    try {
+      const fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+      let content = fixture.content;
+      if (Array.isArray(fixture.responses)) {
+        const replays = fixtureReplays.get(file) || 0;
+        fixtureReplays.set(file, replays + 1);
+        content = fixture.responses[Math.min(replays, fixture.responses.length - 1)];
+      }
+
+      return {
+        content: typeof content === 'string' ? content : JSON.stringify(content),
+        usage: fixture.usage || null
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  throw new Error(`No fixture found for task "${task}" in ${fixturesDir}`);
+}
+
+/**
+ * Save a live response as a fixture
+ * @param {string} task - Task name
+ * @param {Array} messages - Chat messages
+ * @param {Object} completion - Completion to save
+ */
+async function saveFixture(task, messages, completion) {
+  try {
+    await fs.promises.mkdir(fixturesDir, { recursive: true });
+    await fs.promises.writeFile(
+      getFixturePath(task, messages),
+      JSON.stringify({ task, model: completion.model, content: completion.content, usage: completion.usage }, null, 2)
+    );
+  } catch (error) {
+    console.error('Error saving LLM fixture:', error.message);
+  }
+}
+
+/**
+ * Check whether a completion is worth caching when the caller doesn't validate it:
+ * it has content, and the content parses when the task asks for JSON
+ * @param {string} content - Completion content
+ * @param {Object} settings - Task settings
+ * @returns {boolean} - Whether the content looks usable
+ */
+function isUsableContent(content, settings) {
+  if (typeof content !== 'string' || !content.trim()) return false;
+  if (!settings.json) return true;
+
+  try {
+    JSON.parse(content);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Request a chat completion for a task
+ * Live completions are cached by provider, settings and messages - only those that pass
+ * options.validate, so a bad response isn't replayed; fixtures are always replayed
+ * HTTP errors are passed through unchanged so callers can retry on rate limits (429)
+ * @param {string} task - Task name, used to pick model, temperature and max tokens
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Object} options - Optional settings
+ * @param {Function} options.validate - (content) => boolean - whether the response is usable
+ *   (defaults to non-empty content that parses as JSON for JSON tasks)
+ * @returns {Promise<Object>} - Completion { content, usage, provider, model }
+ */
+async function complete(task, messages, options = {}) {
+  if (!isConfigured()) {
+    throw new Error('LLM provider not configured');
+  }
+
+  const settings = getTaskSettings(task);
+
+  if (provider === 'fixture') {
+    const fixture = await replayFixture(task, messages);
+    return { ...fixture, provider, model: settings.model };
+  }
+
+  const cacheParts = { provider, baseUrl, task, settings, messages };
+  const validate = options.validate || (content => isUsableContent(content, settings));
+  return cache.getOrFetch('llm', cacheParts, () => requestCompletion(task, messages, settings), {
+    shouldCache: completion => validate(completion.content)
+  });
+}
+
+/**
+ * Request a live completion from the OpenAI-compatible API
+ * @param {string} task - Task name
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Object} settings - Task settings
+ * @returns {Promise<Object>} - Completion { content, usage, provider, model }
+ */
+async function requestCompletion(task, messages, settings) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await axios.post(
+    `${baseUrl}/chat/completions`,
+    {
+      model: settings.model,
+      messages,
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens,
+      ...(settings.json ? { response_format: { type: "json_object" } } : {})
+    },
+    { headers, timeout: timeoutMs }
+  );
+
+  const choice = response.data && response.data.choices && response.data.choices[0];
+  if (!choice || !choice.message) {
+    throw new Error(`No completion returned by ${provider} provider`);
+  }
+
+  const completion = {
+    content: choice.message.content,
+    usage: response.data.usage || null,
+    provider,
+    model: response.data.model || settings.model
+  };
+
+  if (recordFixtures && fixturesDir) {
+    await saveFixture(task, messages, completion);
+  }
+
+  return completion;
+}
+
+/**
+ * Get the name of the configured provider
+ * @returns {string|null} - Provider name
+ */
+function getProviderName() {
+  return provider;
+}
+
+module.exports = {
+  init,
+  isConfigured,
+  getTaskSettings,
+  getProviderName,
+  complete
+};
\ No newline at end of file
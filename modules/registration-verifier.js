@@ -0,0 +1,482 @@
+/**
+ * Registration Verifier Module
+ * Extracts Australian registration numbers (AHPRA, AFSL, builder licences, ABNs) from
+ * website content, validates their format and checks them against imported CSV
+ * snapshots of the public registers
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Registers we can verify against. "columns" lists the accepted CSV header names for each
+// field (case-insensitive) - the first matching header is used.
+const REGISTERS = {
+  ahpra: {
+    label: 'AHPRA registration',
+    points: 10,
+    columns: {
+      number: ['registration_number', 'registration number', 'registrationnumber', 'number'],
+      name: ['name', 'practitioner_name', 'practitioner name', 'full_name'],
+      status: ['status', 'registration_status', 'registration status']
+    }
+  },
+  afsl: {
+    label: 'AFS licence',
+    points: 10,
+    columns: {
+      number: ['afs_lic_num', 'licence_number', 'licence number', 'afsl', 'number'],
+      name: ['afs_lic_name', 'licensee_name', 'licensee name', 'name'],
+      status: ['afs_lic_status', 'status']
+    }
+  },
+  builder: {
+    label: 'Builder licence',
+    points: 8,
+    columns: {
+      number: ['licence_number', 'licence number', 'license_number', 'licence_no', 'number'],
+      name: ['licensee_name', 'licensee name', 'licensee', 'name'],
+      status: ['status', 'licence_status', 'licence status']
+    }
+  },
+  abn: {
+    label: 'ABN',
+    points: 4,
+    columns: {
+      number: ['abn'],
+      name: ['entity_name', 'entity name', 'organisation_name', 'business_name', 'name'],
+      status: ['abn_status', 'status']
+    }
+  }
+};
+
+// Limits on how far verification can move the expertise score
+const MAX_VERIFIED_POINTS = 20;
+const MISMATCH_POINTS = 12;
+const MAX_MISMATCH_POINTS = 24;
+
+// Register statuses that count as current (anything else, e.g. "Cancelled", is a mismatch)
+const CURRENT_STATUSES = ['registered', 'current', 'active', 'approved', ''];
+
+// AHPRA profession codes (three letters followed by ten digits, e.g. MED0001234567)
+const AHPRA_PROFESSIONS = ['MED', 'DEN', 'NMW', 'PHA', 'PHY', 'PSY', 'OPT', 'CHI', 'OST', 'POD', 'OCC', 'MRP', 'ATS', 'CMR', 'PAR'];
+
+// How each registration is written on a page
+const REGISTRATION_PATTERNS = [
+  { register: 'ahpra', pattern: new RegExp(`\\b((?:${AHPRA_PROFESSIONS.join('|')})\\d{10})\\b`, 'g') },
+  {
+    register: 'afsl',
+    pattern: /\b(?:AFSL|AFS\s+Licen[cs]e|Australian\s+Financial\s+Services?\s+Licen[cs]e)\s*(?:No\.?|Number|#)?\s*:?\s*(\d{5,6})\b/gi
+  },
+  {
+    register: 'builder',
+    pattern: /\b(?:(?:builder'?s?|building|contractor'?s?)\s+licen[cs]e|QBCC(?:\s+licen[cs]e)?)\s*(?:No\.?|Number|#)?\s*:?\s*([A-Z]{0,3}\d{4,8}[A-Z]?)\b|\b(D[BP]-[UL]\s?\d{3,6})\b/gi
+  },
+  { register: 'abn', pattern: /\bABN:?\s*(\d{2}\s?\d{3}\s?\d{3}\s?\d{3})\b/gi }
+];
+
+// Location of the JSON data files
+let DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Loaded register snapshots by register id (null when none has been imported)
+const snapshots = new Map();
+
+/**
+ * Initialize the module with storage settings
+ * @param {Object} config - Configuration object with optional dataDir
+ */
+function init(config) {
+  if (config && config.dataDir) {
+    DATA_DIR = config.dataDir;
+  }
+  snapshots.clear();
+}
+
+/**
+ * Get the path of a register snapshot file
+ * @param {string} register - Register id (e.g. 'ahpra')
+ * @returns {string} - Absolute file path
+ */
+function getSnapshotFile(register) {
+  return path.join(DATA_DIR, 'registers', `${register}.json`);
+}
+
+/**
+ * Normalize a registration number for comparison (no spaces, upper case)
+ * @param {string} number - Registration number
+ * @returns {string} - Normalized number
+ */
+function normalizeNumber(number) {
+  return String(number || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Check an ABN's checksum
+ * Subtract 1 from the first digit, weight the digits and the total must divide by 89
+ * @param {string} abn - ABN (spaces allowed)
+ * @returns {boolean} - Whether the ABN is well formed
+ */
+function isValidAbn(abn) {
+  const digits = normalizeNumber(abn);
+  if (!/^\d{11}$/.test(digits)) return false;
+
+  const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+  const total = digits.split('').reduce((sum, digit, index) =>
+    sum + (Number(digit) - (index === 0 ? 1 : 0)) * weights[index], 0);
+
+  return total % 89 === 0;
+}
+
+/**
+ * Check a registration number's format
+ * @param {string} register - Register id
+ * @param {string} number - Normalized registration number
+ * @returns {string|null} - Why the format is invalid, or null if it's valid
+ */
+function checkFormat(register, number) {
+  switch (register) {
+    case 'ahpra':
+      return /^[A-Z]{3}\d{10}$/.test(number) ? null : 'AHPRA numbers are three letters followed by ten digits';
+    case 'afsl':
+      return /^\d{5,6}$/.test(number) ? null : 'AFS licence numbers are five or six digits';
+    case 'builder':
+      return /^(?:[A-Z]{0,3}\d{4,8}[A-Z]?|D[BP]-[UL]\d{3,6})$/.test(number) ? null : 'Unrecognised builder licence format';
+    case 'abn':
+      return isValidAbn(number) ? null : 'ABN fails the checksum';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the registration numbers mentioned in some text
+ * @param {string} text - Page text
+ * @returns {Array} - Registrations as { register, number }
+ */
+function extractRegistrations(text) {
+  const found = [];
+
+  REGISTRATION_PATTERNS.forEach(({ register, pattern }) => {
+    for (const match of String(text || '').matchAll(pattern)) {
+      const number = normalizeNumber(match[1] || match[2]);
+      if (!found.some(item => item.register === register && item.number === number)) {
+        found.push({ register, number });
+      }
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Parse CSV text (RFC 4180 - quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows as arrays of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Load a register snapshot from disk
+ * @param {string} register - Register id
+ * @returns {Promise<Object|null>} - { register, importedAt, source, count, records } or null if none was imported
+ */
+async function loadSnapshot(register) {
+  if (snapshots.has(register)) return snapshots.get(register);
+
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(await fs.promises.readFile(getSnapshotFile(register), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading ${register} register snapshot:`, error.message);
+    }
+  }
+
+  snapshots.set(register, snapshot);
+  return snapshot;
+}
+
+/**
+ * Import a CSV snapshot of a public register, replacing the previous one
+ * @param {string} register - Register id ('ahpra', 'afsl', 'builder' or 'abn')
+ * @param {string} csvText - CSV with a header row (see REGISTERS for the accepted column names)
+ * @param {Object} options - Optional settings
+ * @param {string} options.source - Where the snapshot came from (e.g. the download URL)
+ * @returns {Promise<Object>} - { register, importedAt, source, count, skipped }
+ * @throws {Error} - With statusCode 400 when the register or CSV is invalid
+ */
+async function importSnapshot(register, csvText, options = {}) {
+  const definition = REGISTERS[register];
+  if (!definition) {
+    throw createImportError(`Unknown register "${register}". Use one of: ${Object.keys(REGISTERS).join(', ')}`);
+  }
+
+  const [header, ...rows] = parseCsv(String(csvText || '').replace(/^\uFEFF/, ''));
+  if (!header || rows.length === 0) {
+    throw createImportError('The CSV needs a header row and at least one record');
+  }
+
+  const headerNames = header.map(name => name.trim().toLowerCase());
+  const columnIndex = {};
+  Object.entries(definition.columns).forEach(([field, names]) => {
+    columnIndex[field] = headerNames.findIndex(name => names.includes(name));
+  });
+
+  if (columnIndex.number === -1 || columnIndex.name === -1) {
+    throw createImportError(
+      `The CSV needs a number column (${definition.columns.number.join(', ')}) and a name column (${definition.columns.name.join(', ')})`
+    );
+  }
+
+  const records = {};
+  let skipped = 0;
+  rows.forEach(fields => {
+    const number = normalizeNumber(fields[columnIndex.number]);
+    if (!number || checkFormat(register, number)) {
+      skipped++;
+      return;
+    }
+    records[number] = {
+      name: (fields[columnIndex.name] || '').trim(),
+      status: columnIndex.status === -1 ? '' : (fields[columnIndex.status] || '').trim()
+    };
+  });
+
+  const snapshot = {
+    register,
+    importedAt: new Date().toISOString(),
+    source: options.source || '',
+    count: Object.keys(records).length,
+    records
+  };
+
+  // Write to a temp file first so a crash never leaves a half-written snapshot
+  const file = getSnapshotFile(register);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(snapshot));
+  await fs.promises.rename(`${file}.tmp`, file);
+  snapshots.set(register, snapshot);
+
+  console.log(`Imported ${snapshot.count} ${register} register records (${skipped} skipped)`);
+  return { register, importedAt: snapshot.importedAt, source: snapshot.source, count: snapshot.count, skipped };
+}
+
+/**
+ * Create an import error carrying a 400 status
+ * @param {string} message - User-facing error message
+ * @returns {Error} - Error with statusCode 400
+ */
+function createImportError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * List the registers and their imported snapshots
+ * @returns {Promise<Array>} - [{ register, label, importedAt, source, count }] - importedAt is null when none was imported
+ */
+async function listSnapshots() {
+  return Promise.all(Object.entries(REGISTERS).map(async ([register, definition]) => {
+    const snapshot = await loadSnapshot(register);
+    return {
+      register,
+      label: definition.label,
+      importedAt: snapshot ? snapshot.importedAt : null,
+      source: snapshot ? snapshot.source : '',
+      count: snapshot ? snapshot.count : 0
+    };
+  }));
+}
+
+/**
+ * Get the words of a name that must appear on the site (titles and company suffixes dropped)
+ * @param {string} name - Registered name
+ * @returns {Array} - Lower-case name words
+ */
+function getNameWords(name) {
+  const ignored = ['dr', 'mr', 'mrs', 'ms', 'miss', 'prof', 'the', 'pty', 'ltd', 'limited', 'trustee', 'for', 'trust', 'and', 'co'];
+  return name.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+    .filter(word => word.length > 1 && !ignored.includes(word));
+}
+
+/**
+ * Verify one registration against its register snapshot
+ * @param {Object} registration - { register, number }
+ * @param {string} siteText - Lower-case text of the site, used to match the registered name
+ * @returns {Promise<Object>} - { register, label, number, status, reason, registeredName }
+ */
+async function verifyRegistration(registration, siteText) {
+  const { register, number } = registration;
+  const result = { register, label: REGISTERS[register].label, number, status: 'unverifiable', reason: '', registeredName: null };
+
+  const formatError = checkFormat(register, number);
+  if (formatError) {
+    return { ...result, status: 'mismatched', reason: formatError };
+  }
+
+  const snapshot = await loadSnapshot(register);
+  if (!snapshot) {
+    return { ...result, reason: `No ${REGISTERS[register].label} register snapshot has been imported` };
+  }
+
+  const record = snapshot.records[number];
+  if (!record) {
+    return { ...result, status: 'mismatched', reason: `Not on the register (snapshot of ${snapshot.importedAt.slice(0, 10)})` };
+  }
+
+  result.registeredName = record.name;
+
+  if (!CURRENT_STATUSES.includes(record.status.toLowerCase())) {
+    return { ...result, status: 'mismatched', reason: `Registration status is "${record.status}"` };
+  }
+
+  // The registered name should appear on the site - otherwise the number may belong to someone else
+  const nameWords = getNameWords(record.name);
+  if (nameWords.length > 0 && !nameWords.every(word => siteText.includes(word))) {
+    return { ...result, status: 'mismatched', reason: `Registered to ${record.name}, who isn't named on the site` };
+  }
+
+  return { ...result, status: 'verified', reason: `Registered to ${record.name}` };
+}
+
+/**
+ * Verify the registrations found on a crawled site
+ * @param {Object} site - Crawled site from contentFetcher.crawlWebsite (uses registrations, pages and structuredData)
+ * @returns {Promise<Object>} - { checkedAt, results: [...], summary: { verified, unverifiable, mismatched } }
+ */
+async function verifySiteRegistrations(site) {
+  const registrations = site.registrations || [];
+
+  const names = ((site.structuredData && [...site.structuredData.organizations, ...site.structuredData.people]) || [])
+    .map(item => item.name);
+  const siteText = [
+    ...site.pages.map(page => `${page.title} ${page.text}`),
+    ...names
+  ].join(' ').toLowerCase().replace(/[^a-z0-9\s]/g, ' ');
+
+  const results = await Promise.all(registrations.map(registration => verifyRegistration(registration, siteText)));
+
+  return {
+    checkedAt: new Date().toISOString(),
+    results,
+    summary: {
+      verified: results.filter(result => result.status === 'verified').length,
+      unverifiable: results.filter(result => result.status === 'unverifiable').length,
+      mismatched: results.filter(result => result.status === 'mismatched').length
+    }
+  };
+}
+
+/**
+ * Apply registration results to an analysis (AI or rule-based)
+ * Verified registrations add expertise points and mismatched ones subtract them (both capped);
+ * unverifiable ones are reported but don't change the score
+ * @param {Object} analysisData - Analysis with expertiseScore, evidence and weaknesses
+ * @param {Object} verification - Result of verifySiteRegistrations
+ * @returns {Object} - The same analysis, updated
+ */
+function applyRegistrationResults(analysisData, verification) {
+  if (!verification || verification.results.length === 0) return analysisData;
+
+  let verifiedPoints = 0;
+  let mismatchPoints = 0;
+  const evidence = [];
+
+  verification.results.forEach(result => {
+    let points = 0;
+    if (result.status === 'verified') {
+      points = Math.min(REGISTERS[result.register].points, MAX_VERIFIED_POINTS - verifiedPoints);
+      verifiedPoints += points;
+    } else if (result.status === 'mismatched') {
+      points = -Math.min(MISMATCH_POINTS, MAX_MISMATCH_POINTS - mismatchPoints);
+      mismatchPoints -= points;
+    }
+
+    evidence.push({
+      pillar: 'expertise',
+      rule: `registration-${result.status}`,
+      term: `${result.label} ${result.number}`,
+      page: '',
+      points,
+      source: 'registration-register'
+    });
+  });
+
+  analysisData.evidence = [...(analysisData.evidence || []), ...evidence];
+  analysisData.expertiseScore = Math.min(100, Math.max(0, Math.round(analysisData.expertiseScore + verifiedPoints - mismatchPoints)));
+
+  const mismatched = verification.results.filter(result => result.status === 'mismatched');
+  if (mismatched.length > 0) {
+    analysisData.weaknesses = [
+      ...(analysisData.weaknesses || []),
+      ...mismatched.map(result => `${result.label} ${result.number} could not be matched: ${result.reason}`)
+    ];
+  }
+
+  return analysisData;
+}
+
+/**
+ * Describe registration results in a few lines for an AI prompt
+ * @param {Object} verification - Result of verifySiteRegistrations
+ * @returns {string} - One line per registration, or an empty string when there are none
+ */
+function describeRegistrationResults(verification) {
+  if (!verification) return '';
+
+  return verification.results
+    .map(result => `- ${result.label} ${result.number}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`)
+    .join('\n');
+}
+
+module.exports = {
+  REGISTERS,
+  init,
+  isValidAbn,
+  extractRegistrations,
+  importSnapshot,
+  listSnapshots,
+  verifySiteRegistrations,
+  applyRegistrationResults,
+  describeRegistrationResults
+};
\ No newline at end of file
@@ -0,0 +1,486 @@
+/**
+ * Rules Admin Module
+ * Create, edit and delete industry rules packs and their specialties without a deploy.
+ * Every edit is validated (see rules-loader), bumps the pack's version and keeps the previous
+ * version in data/rules-history, so analyses can be traced to the rules they were scored with.
+ * Edited packs are saved in data/rules, overlaying the shipped packs - rules/ is never written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const rulesLoader = require('./rules-loader');
+
+// Location of the JSON data files (previous rules pack versions are kept here)
+let DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Key required in the X-Admin-Key header (the admin API is disabled until one is configured)
+let ADMIN_API_KEY = null;
+
+// Serialises edits so concurrent requests can't both build on the same version
+let editQueue = Promise.resolve();
+
+// Fields the server manages - they can't be set through an edit
+const MANAGED_FIELDS = ['id', 'version', 'updatedAt'];
+
+/**
+ * Initialize the module with storage settings and the admin key
+ * @param {Object} config - Configuration object with optional dataDir and adminApiKey
+ */
+function init(config) {
+  if (config && config.dataDir) {
+    DATA_DIR = config.dataDir;
+  }
+  if (config && config.adminApiKey) {
+    ADMIN_API_KEY = config.adminApiKey;
+  }
+}
+
+/**
+ * Check whether admin requests are enabled
+ * @returns {boolean} - Whether an admin key is configured
+ */
+function isEnabled() {
+  return Boolean(ADMIN_API_KEY);
+}
+
+/**
+ * Check a key against the configured admin key
+ * @param {string} key - Key sent with the request
+ * @returns {boolean} - Whether the key matches
+ */
+function isAuthorized(key) {
+  if (!ADMIN_API_KEY || typeof key !== 'string') return false;
+
+  const expected = crypto.createHash('sha256').update(ADMIN_API_KEY).digest();
+  const actual = crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create an error the router turns into a response
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @param {Array} errors - Optional validation errors
+ * @returns {Error} - Error with statusCode (and errors) set
+ */
+function createAdminError(statusCode, message, errors = []) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Run an edit after any edit already in progress
+ * @param {Function} edit - Async edit
+ * @returns {Promise<*>} - The edit's result
+ */
+function runExclusive(edit) {
+  const result = editQueue.then(edit);
+  editQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Make an industry id from its name
+ * @param {string} name - Industry name
+ * @returns {string} - Lower-case id with dashes
+ */
+function slugify(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Get the path of an edited rules pack file
+ * @param {string} id - Pack id
+ * @returns {string} - Absolute file path
+ */
+function getPackFile(id) {
+  return path.join(rulesLoader.getEditedRulesDir(), `${id}.json`);
+}
+
+/**
+ * Get the directory holding a pack's previous versions
+ * @param {string} id - Pack id
+ * @returns {string} - Absolute directory path
+ */
+function getHistoryDir(id) {
+  return path.join(DATA_DIR, 'rules-history', id);
+}
+
+/**
+ * Read a rules pack as stored (not normalized) - the edited pack, or the shipped one if never edited
+ * @param {string} id - Pack id
+ * @returns {Promise<Object>} - Rules pack
+ * @throws {Error} - With statusCode 404 when there is no such pack
+ */
+async function readPack(id) {
+  const pack = /^[a-z0-9-]+$/.test(id || '') ? rulesLoader.getStoredPack(id) : null;
+  if (!pack) {
+    throw createAdminError(404, `Industry "${id}" not found`);
+  }
+
+  return { ...pack, version: pack.version || 1 };
+}
+
+/**
+ * Read the edited file for a pack, if there is one (it can mark a deleted pack)
+ * @param {string} id - Pack id
+ * @returns {Promise<Object|null>} - Edited pack, or null
+ */
+async function readEditedPack(id) {
+  try {
+    return JSON.parse(await fs.promises.readFile(getPackFile(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check an edited pack is valid on its own and alongside the other packs
+ * @param {Object} pack - Edited rules pack
+ * @throws {Error} - With statusCode 400 and the validation errors
+ */
+function validatePack(pack) {
+  const errors = rulesLoader.validateRulesPack(pack);
+
+  if (pack.id === 'default' && !pack.weights) {
+    errors.push('the default pack needs weights');
+  } else if (errors.length === 0 && pack.id !== 'default') {
+    const others = rulesLoader.listIndustries().filter(other => other.id !== pack.id);
+    errors.push(...rulesLoader.findNameConflicts([...others, { ...pack, aliases: pack.aliases || [] }])
+      .filter(message => message.startsWith(`${pack.id}.json`)));
+
+    // Market packs name specialties, so those can't be renamed or removed from under them
+    const specialtyNames = (pack.specialties || []).map(specialty => specialty.name);
+    rulesLoader.getMarketReferences(pack.id).forEach(({ market, specialties }) => {
+      specialties
+        .filter(name => !specialtyNames.includes(name))
+        .forEach(name => errors.push(`specialty "${name}" has settings in markets/${market.toLowerCase()}.json`));
+    });
+  }
+
+  if (errors.length > 0) {
+    throw createAdminError(400, `Invalid rules pack: ${errors[0]}`, errors);
+  }
+}
+
+/**
+ * Write a rules pack, keeping the version it replaces
+ * @param {Object} pack - Validated rules pack
+ * @param {Object} previous - Pack being replaced (or null for a new pack)
+ * @returns {Promise<Object>} - The written pack
+ */
+async function writePack(pack, previous) {
+  if (previous) {
+    await archivePack(previous);
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written pack
+  const file = getPackFile(pack.id);
+  const tempFile = `${file}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tempFile, JSON.stringify(pack, null, 2));
+  await fs.promises.rename(tempFile, file);
+
+  rulesLoader.reloadRules();
+  console.log(`Saved rules pack ${pack.id} version ${pack.version}`);
+  return pack;
+}
+
+/**
+ * Keep a copy of a pack version in the rules history
+ * @param {Object} pack - Pack version to keep
+ * @returns {Promise<void>}
+ */
+async function archivePack(pack) {
+  const dir = getHistoryDir(pack.id);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, `v${pack.version}.json`), JSON.stringify(pack, null, 2));
+}
+
+/**
+ * Check the client edited the version it last read
+ * @param {Object} current - Current pack
+ * @param {*} expectedVersion - Version sent by the client (optional)
+ * @throws {Error} - With statusCode 409 when the pack has changed since
+ */
+function checkVersion(current, expectedVersion) {
+  if (expectedVersion !== undefined && expectedVersion !== current.version) {
+    throw createAdminError(409, `Industry "${current.id}" is at version ${current.version}, not ${expectedVersion}. Reload it and try again.`);
+  }
+}
+
+/**
+ * Remove the fields the server manages from an edit
+ * @param {Object} changes - Fields sent by the client
+ * @returns {Object} - Editable fields
+ */
+function getEditableFields(changes) {
+  const editable = { ...(changes || {}) };
+  MANAGED_FIELDS.forEach(field => delete editable[field]);
+  return editable;
+}
+
+/**
+ * List the industry rules packs
+ * @returns {Array} - Summaries as { id, industry, aliases, version, updatedAt, specialties }
+ */
+function listIndustries() {
+  return [rulesLoader.getDefaults(), ...rulesLoader.listIndustries()].map(pack => ({
+    id: pack.id,
+    industry: pack.industry,
+    aliases: pack.aliases,
+    version: pack.version,
+    updatedAt: pack.updatedAt || null,
+    specialties: pack.specialties.map(specialty => specialty.name)
+  }));
+}
+
+/**
+ * Get an industry rules pack as stored
+ * @param {string} id - Pack id
+ * @returns {Promise<Object>} - Rules pack
+ */
+async function getIndustry(id) {
+  return readPack(id);
+}
+
+/**
+ * Create an industry rules pack
+ * @param {Object} fields - Pack fields (industry is required; id defaults to one made from the name)
+ * @returns {Promise<Object>} - The created pack (version 1, or the next version of a deleted pack)
+ * @throws {Error} - With statusCode 400 (invalid) or 409 (id already used)
+ */
+async function createIndustry(fields) {
+  return runExclusive(async () => {
+    const id = (fields && fields.id) || slugify(fields && fields.industry);
+    const deleted = /^[a-z0-9-]+$/.test(id || '') ? await readEditedPack(id) : null;
+    const pack = {
+      id,
+      ...getEditableFields(fields),
+      version: deleted ? (deleted.version || 1) + 1 : 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    validatePack(pack);
+
+    if (rulesLoader.getStoredPack(id)) {
+      throw createAdminError(409, `Industry "${id}" already exists`);
+    }
+
+    return writePack(pack, null);
+  });
+}
+
+/**
+ * Update an industry rules pack - top-level fields sent replace the stored ones
+ * @param {string} id - Pack id
+ * @param {Object} changes - Fields to replace
+ * @param {number} expectedVersion - Optional version the edit was made against
+ * @returns {Promise<Object>} - The updated pack
+ * @throws {Error} - With statusCode 400, 404 or 409
+ */
+async function updateIndustry(id, changes, expectedVersion) {
+  return runExclusive(async () => {
+    const current = await readPack(id);
+    checkVersion(current, expectedVersion);
+
+    const pack = {
+      ...current,
+      ...getEditableFields(changes),
+      id,
+      version: current.version + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    validatePack(pack);
+    return writePack(pack, current);
+  });
+}
+
+/**
+ * Delete an industry rules pack (its last version is kept in the history)
+ * @param {string} id - Pack id
+ * @returns {Promise<Object>} - The deleted pack
+ * @throws {Error} - With statusCode 400 for the default pack, or 404
+ */
+async function deleteIndustry(id) {
+  return runExclusive(async () => {
+    if (id === 'default') {
+      throw createAdminError(400, 'The default rules pack can be edited but not deleted');
+    }
+
+    const current = await readPack(id);
+
+    const markets = rulesLoader.getMarketReferences(id).map(({ market }) => market);
+    if (markets.length > 0) {
+      throw createAdminError(409, `Industry "${id}" has settings in the ${markets.join(', ')} market packs - remove them first`);
+    }
+
+    // A deleted marker rather than removing the file, so a shipped pack stays hidden too
+    await writePack({ id, version: current.version, deleted: true, updatedAt: new Date().toISOString() }, current);
+
+    console.log(`Deleted rules pack ${id} (version ${current.version} kept in the history)`);
+    return current;
+  });
+}
+
+/**
+ * List the previous versions of an industry rules pack
+ * @param {string} id - Pack id
+ * @returns {Promise<Array>} - Versions as { version, updatedAt }, newest first
+ */
+async function getIndustryHistory(id) {
+  const dir = getHistoryDir(slugify(id));
+
+  let files = [];
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const versions = await Promise.all(files
+    .filter(file => /^v\d+\.json$/.test(file))
+    .map(async file => {
+      const pack = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+      return { version: pack.version, updatedAt: pack.updatedAt || null };
+    }));
+
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Find a specialty's position in a pack (by name or alias, case-insensitive)
+ * @param {Object} pack - Rules pack
+ * @param {string} name - Specialty name
+ * @returns {number} - Index, or -1
+ */
+function findSpecialtyIndex(pack, name) {
+  const key = String(name || '').toLowerCase();
+  return (pack.specialties || []).findIndex(specialty =>
+    specialty.name.toLowerCase() === key || (specialty.aliases || []).some(alias => alias.toLowerCase() === key)
+  );
+}
+
+/**
+ * List an industry's specialties
+ * @param {string} id - Pack id
+ * @returns {Promise<Array>} - Specialties
+ */
+async function listSpecialties(id) {
+  const pack = await readPack(id);
+  return pack.specialties || [];
+}
+
+/**
+ * Add a specialty to an industry
+ * @param {string} id - Pack id
+ * @param {Object} specialty - Specialty ({ name, terms, weights, ... })
+ * @param {number} expectedVersion - Optional pack version the edit was made against
+ * @returns {Promise<Object>} - The updated pack
+ * @throws {Error} - With statusCode 400, 404 or 409 (including when the specialty exists)
+ */
+async function addSpecialty(id, specialty, expectedVersion) {
+  return runExclusive(async () => {
+    const current = await readPack(id);
+    checkVersion(current, expectedVersion);
+
+    if (specialty && findSpecialtyIndex(current, specialty.name) !== -1) {
+      throw createAdminError(409, `Specialty "${specialty.name}" already exists in ${current.industry}`);
+    }
+
+    const pack = {
+      ...current,
+      specialties: [...(current.specialties || []), specialty],
+      version: current.version + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    validatePack(pack);
+    return writePack(pack, current);
+  });
+}
+
+/**
+ * Update a specialty - fields sent replace the stored ones
+ * @param {string} id - Pack id
+ * @param {string} name - Specialty name or alias
+ * @param {Object} changes - Fields to replace
+ * @param {number} expectedVersion - Optional pack version the edit was made against
+ * @returns {Promise<Object>} - The updated pack
+ * @throws {Error} - With statusCode 400, 404 or 409
+ */
+async function updateSpecialty(id, name, changes, expectedVersion) {
+  return runExclusive(async () => {
+    const current = await readPack(id);
+    checkVersion(current, expectedVersion);
+
+    const index = findSpecialtyIndex(current, name);
+    if (index === -1) {
+      throw createAdminError(404, `Specialty "${name}" not found in ${current.industry}`);
+    }
+
+    const specialties = [...current.specialties];
+    specialties[index] = { ...specialties[index], ...getEditableFields(changes) };
+
+    const pack = {
+      ...current,
+      specialties,
+      version: current.version + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    validatePack(pack);
+    return writePack(pack, current);
+  });
+}
+
+/**
+ * Remove a specialty from an industry
+ * @param {string} id - Pack id
+ * @param {string} name - Specialty name or alias
+ * @param {number} expectedVersion - Optional pack version the edit was made against
+ * @returns {Promise<Object>} - The updated pack
+ * @throws {Error} - With statusCode 404 or 409
+ */
+async function deleteSpecialty(id, name, expectedVersion) {
+  return runExclusive(async () => {
+    const current = await readPack(id);
+    checkVersion(current, expectedVersion);
+
+    const index = findSpecialtyIndex(current, name);
+    if (index === -1) {
+      throw createAdminError(404, `Specialty "${name}" not found in ${current.industry}`);
+    }
+
+    const pack = {
+      ...current,
+      specialties: current.specialties.filter((specialty, i) => i !== index),
+      version: current.version + 1,
+      updatedAt: new Date().toISOString()
+    };
+
+    validatePack(pack);
+    return writePack(pack, current);
+  });
+}
+
+module.exports = {
+  init,
+  isEnabled,
+  isAuthorized,
+  listIndustries,
+  getIndustry,
+  createIndustry,
+  updateIndustry,
+  deleteIndustry,
+  getIndustryHistory,
+  listSpecialties,
+  addSpecialty,
+  updateSpecialty,
+  deleteSpecialty
+};
\ No newline at end of file
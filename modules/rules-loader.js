@@ -0,0 +1,871 @@
+/**
+ * Rules Loader Module
+ * Loads and validates the industry rules packs in rules/ - one JSON file per industry holding its
+ * regulators, credentials, terminology, weights, competitor keywords, simulation names, insights,
+ * compliance rules and specialties. rules/default.json holds the fallbacks for unknown industries.
+ * Adding an industry only needs a new rules file (or the admin API - see rules-admin).
+ * Packs edited through the admin API are saved in data/rules and overlay the shipped packs, which
+ * are never written at runtime.
+ *
+ * Industry packs are written for the default market (Australia). rules/markets/ holds one pack per
+ * market with its DataForSEO location, address, postcode and phone formats, cities and each industry's
+ * regulators - in other markets an industry's regulators, credentials, compliance terms, review
+ * restrictions and compliance rules come only from the market pack.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Location of the rules pack files
+let RULES_DIR = path.join(__dirname, '..', 'rules');
+
+// Location of the packs edited through the admin API
+let EDITED_RULES_DIR = path.join(__dirname, '..', 'data', 'rules');
+
+// Loaded rules ({ industries, defaults, compliance, markets, marketRules, storedPacks }), read lazily on first use
+let rules = null;
+
+// Market the industry packs are written for, used when no market is given
+const DEFAULT_MARKET = 'AU';
+
+const SEVERITIES = ['high', 'medium', 'low'];
+const RULE_TYPES = ['prohibited', 'required'];
+const WEIGHT_FIELDS = ['expertiseWeight', 'authorityWeight', 'consistencyWeight'];
+
+// Term lists an industry pack may hold (all optional, default [])
+const INDUSTRY_LIST_FIELDS = [
+  'aliases', 'regulatoryBodies', 'credentials', 'complianceTerms', 'terms',
+  'competitorKeywords', 'requiredCompetitorKeywords', 'domainTerms'
+];
+
+// Term lists a specialty may hold (all optional, default [])
+const SPECIALTY_LIST_FIELDS = [
+  'aliases', 'terms', 'nameTerms', 'competitorKeywords', 'requiredCompetitorKeywords', 'domainTerms'
+];
+
+// Industry fields that depend on the market's regulators (replaced by the market pack outside the default market)
+const MARKET_LIST_FIELDS = ['regulatoryBodies', 'credentials', 'complianceTerms'];
+
+// Lists a market pack must hold
+const MARKET_REQUIRED_LISTS = ['domainSuffixes', 'regions', 'cities'];
+
+// Regular expressions a market pack must hold
+const MARKET_PATTERNS = ['postcodePattern', 'addressPattern', 'phonePattern'];
+
+/**
+ * Initialize the module with the rules location
+ * @param {Object} config - Configuration object with optional rulesDir and dataDir (edited packs go in <dataDir>/rules)
+ */
+function init(config) {
+  if (config && config.rulesDir) {
+    RULES_DIR = config.rulesDir;
+  }
+  if (config && config.dataDir) {
+    EDITED_RULES_DIR = path.join(config.dataDir, 'rules');
+  }
+  rules = null;
+}
+
+/**
+ * Get the rules pack directory
+ * @returns {string} - Absolute directory path
+ */
+function getRulesDir() {
+  return RULES_DIR;
+}
+
+/**
+ * Get the directory the admin API saves edited packs in
+ * @returns {string} - Absolute directory path
+ */
+function getEditedRulesDir() {
+  return EDITED_RULES_DIR;
+}
+
+/**
+ * Check a value is an array of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is a string list
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Check a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is a non-empty string
+ */
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check a string compiles as a regular expression
+ * @param {*} source - Pattern source
+ * @returns {boolean} - Whether it is a valid pattern
+ */
+function isPattern(source) {
+  if (!isText(source)) return false;
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a set of pillar weights (each 0-1, adding up to 1)
+ * @param {*} weights - Weights object
+ * @param {string} label - Where the weights are, for error messages
+ * @returns {Array} - Error messages
+ */
+function validateWeights(weights, label) {
+  if (!weights || typeof weights !== 'object') return [`${label} must be an object`];
+
+  const errors = WEIGHT_FIELDS
+    .filter(field => typeof weights[field] !== 'number' || weights[field] < 0 || weights[field] > 1)
+    .map(field => `${label}.${field} must be a number from 0 to 1`);
+
+  if (errors.length === 0) {
+    const total = WEIGHT_FIELDS.reduce((sum, field) => sum + weights[field], 0);
+    if (Math.abs(total - 1) > 0.01) errors.push(`${label} must add up to 1 (they add up to ${total})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a list of insights ({ title, message })
+ * @param {*} insights - Insights list
+ * @param {string} label - Where the insights are, for error messages
+ * @returns {Array} - Error messages
+ */
+function validateInsights(insights, label) {
+  if (!Array.isArray(insights)) return [`${label} must be a list`];
+
+  return insights.flatMap((insight, index) =>
+    insight && isText(insight.title) && isText(insight.message)
+      ? []
+      : [`${label}[${index}] needs a title and message`]
+  );
+}
+
+/**
+ * Validate a compliance rule pack
+ * @param {Object} compliance - Compliance pack ({ id, name, regulator, rules })
+ * @param {string} prefix - Where the pack is, for error messages
+ * @returns {Array} - Error messages
+ */
+function validateCompliance(compliance, prefix = 'compliance') {
+  if (typeof compliance !== 'object') return [`${prefix} must be an object or null`];
+
+  const errors = ['id', 'name', 'regulator']
+    .filter(field => !isText(compliance[field]))
+    .map(field => `${prefix}.${field} is required`);
+
+  if (!Array.isArray(compliance.rules) || compliance.rules.length === 0) {
+    return [...errors, `${prefix}.rules must be a non-empty list`];
+  }
+
+  const ruleIds = new Set();
+  compliance.rules.forEach((rule, index) => {
+    const label = `${prefix}.rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    ['id', 'title', 'guideline', 'advice']
+      .filter(field => !isText(rule[field]))
+      .forEach(field => errors.push(`${label}.${field} is required`));
+
+    if (ruleIds.has(rule.id)) errors.push(`${label}.id is used by another rule`);
+    ruleIds.add(rule.id);
+
+    if (!RULE_TYPES.includes(rule.type || 'prohibited')) errors.push(`${label}.type must be one of ${RULE_TYPES.join(', ')}`);
+    if (!SEVERITIES.includes(rule.severity)) errors.push(`${label}.severity must be one of ${SEVERITIES.join(', ')}`);
+
+    if (!Array.isArray(rule.patterns) || !rule.patterns.every(isPattern)) {
+      errors.push(`${label}.patterns must be a list of valid regular expressions`);
+    }
+    if (rule.actions !== undefined && !isStringList(rule.actions)) {
+      errors.push(`${label}.actions must be a list of steps`);
+    }
+    ['allowedContext', 'linkPattern', 'urlPattern']
+      .filter(field => rule[field] !== undefined && !isPattern(rule[field]))
+      .forEach(field => errors.push(`${label}.${field} must be a valid regular expression`));
+
+    const hasCheck = (rule.patterns || []).length > 0 || rule.linkPattern || rule.urlPattern || rule.checkReviewMarkup;
+    if (!hasCheck) errors.push(`${label} needs patterns, a linkPattern, a urlPattern or checkReviewMarkup`);
+
+    if (rule.appliesTo !== undefined) {
+      const { reviewsRestricted, specialties, contentPattern } = rule.appliesTo || {};
+      if (reviewsRestricted !== undefined && typeof reviewsRestricted !== 'boolean') {
+        errors.push(`${label}.appliesTo.reviewsRestricted must be true or false`);
+      }
+      if (specialties !== undefined && !isStringList(specialties)) {
+        errors.push(`${label}.appliesTo.specialties must be a list of specialty names`);
+      }
+      if (contentPattern !== undefined && !isPattern(contentPattern)) {
+        errors.push(`${label}.appliesTo.contentPattern must be a valid regular expression`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a specialty
+ * @param {Object} specialty - Specialty ({ name, terms, weights, ... })
+ * @param {string} label - Where the specialty is, for error messages
+ * @returns {Array} - Error messages
+ */
+function validateSpecialty(specialty, label) {
+  if (!specialty || typeof specialty !== 'object') return [`${label} must be an object`];
+
+  const errors = [];
+  if (!isText(specialty.name)) errors.push(`${label}.name is required`);
+
+  SPECIALTY_LIST_FIELDS
+    .filter(field => specialty[field] !== undefined && !isStringList(specialty[field]))
+    .forEach(field => errors.push(`${label}.${field} must be a list of strings`));
+
+  if (specialty.reviewsRestricted !== undefined && typeof specialty.reviewsRestricted !== 'boolean') {
+    errors.push(`${label}.reviewsRestricted must be true or false`);
+  }
+  if (specialty.weights !== undefined && specialty.weights !== null) {
+    errors.push(...validateWeights(specialty.weights, `${label}.weights`));
+  }
+  if (specialty.insights !== undefined) {
+    errors.push(...validateInsights(specialty.insights, `${label}.insights`));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an industry rules pack
+ * @param {Object} pack - Parsed rules pack
+ * @returns {Array} - Error messages (empty when the pack is valid)
+ */
+function validateRulesPack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) return ['Rules pack must be a JSON object'];
+
+  const errors = [];
+  if (!isText(pack.id) || !/^[a-z0-9-]+$/.test(pack.id)) errors.push('id must be lower-case letters, numbers and dashes');
+  if (!isText(pack.industry)) errors.push('industry is required');
+  if (pack.version !== undefined && (!Number.isInteger(pack.version) || pack.version < 1)) {
+    errors.push('version must be a whole number from 1');
+  }
+
+  INDUSTRY_LIST_FIELDS
+    .filter(field => pack[field] !== undefined && !isStringList(pack[field]))
+    .forEach(field => errors.push(`${field} must be a list of strings`));
+
+  ['clientTerm', 'reviewStrength']
+    .filter(field => pack[field] !== undefined && !isText(pack[field]))
+    .forEach(field => errors.push(`${field} must be text`));
+
+  if (pack.reviewsRestricted !== undefined && typeof pack.reviewsRestricted !== 'boolean') {
+    errors.push('reviewsRestricted must be true or false');
+  }
+  if (pack.weights !== undefined && pack.weights !== null) {
+    errors.push(...validateWeights(pack.weights, 'weights'));
+  }
+  if (pack.marketPosition !== undefined) {
+    const { expertise, authority } = pack.marketPosition || {};
+    if (typeof expertise !== 'number' || typeof authority !== 'number') {
+      errors.push('marketPosition needs numeric expertise and authority adjustments');
+    }
+  }
+  if (pack.simulation !== undefined) {
+    const simulation = pack.simulation || {};
+    ['prefixes', 'suffixes']
+      .filter(field => simulation[field] !== undefined && !isStringList(simulation[field]))
+      .forEach(field => errors.push(`simulation.${field} must be a list of strings`));
+    if (simulation.traffic !== undefined) {
+      const { min, max } = simulation.traffic || {};
+      if (typeof min !== 'number' || typeof max !== 'number' || min < 0 || max < min) {
+        errors.push('simulation.traffic needs a min and max (min <= max)');
+      }
+    }
+  }
+  if (pack.insights !== undefined) errors.push(...validateInsights(pack.insights, 'insights'));
+  if (pack.complianceInsight !== undefined) errors.push(...validateInsights([pack.complianceInsight], 'complianceInsight'));
+  if (pack.compliance !== undefined && pack.compliance !== null) errors.push(...validateCompliance(pack.compliance));
+
+  if (pack.specialties !== undefined) {
+    if (!Array.isArray(pack.specialties)) {
+      errors.push('specialties must be a list');
+    } else {
+      const names = new Set();
+      pack.specialties.forEach((specialty, index) => {
+        errors.push(...validateSpecialty(specialty, `specialties[${index}]`));
+
+        const keys = [specialty && specialty.name, ...((specialty && specialty.aliases) || [])]
+          .filter(isText)
+          .map(name => name.toLowerCase());
+        keys.filter(key => names.has(key)).forEach(key => errors.push(`Specialty name "${key}" is used more than once`));
+        keys.forEach(key => names.add(key));
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a market's industry settings (regulators and wording for one industry)
+ * @param {Object} settings - { regulatoryBodies, credentials, complianceTerms, reviewsRestricted, insights, compliance, specialties }
+ * @param {string} label - Where the settings are, for error messages
+ * @returns {Array} - Error messages
+ */
+function validateMarketIndustry(settings, label) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return [`${label} must be an object`];
+
+  const errors = [];
+  MARKET_LIST_FIELDS
+    .filter(field => settings[field] !== undefined && !isStringList(settings[field]))
+    .forEach(field => errors.push(`${label}.${field} must be a list of strings`));
+
+  if (settings.reviewsRestricted !== undefined && typeof settings.reviewsRestricted !== 'boolean') {
+    errors.push(`${label}.reviewsRestricted must be true or false`);
+  }
+  if (settings.insights !== undefined) errors.push(...validateInsights(settings.insights, `${label}.insights`));
+  if (settings.complianceInsight !== undefined) {
+    errors.push(...validateInsights([settings.complianceInsight], `${label}.complianceInsight`));
+  }
+  if (settings.compliance !== undefined && settings.compliance !== null) {
+    errors.push(...validateCompliance(settings.compliance, `${label}.compliance`));
+  }
+
+  if (settings.specialties !== undefined) {
+    if (!settings.specialties || typeof settings.specialties !== 'object' || Array.isArray(settings.specialties)) {
+      errors.push(`${label}.specialties must be an object keyed by specialty name`);
+    } else {
+      Object.entries(settings.specialties).forEach(([name, specialty]) => {
+        const specialtyLabel = `${label}.specialties.${name}`;
+        if (!specialty || typeof specialty !== 'object') {
+          errors.push(`${specialtyLabel} must be an object`);
+          return;
+        }
+        if (specialty.reviewsRestricted !== undefined && typeof specialty.reviewsRestricted !== 'boolean') {
+          errors.push(`${specialtyLabel}.reviewsRestricted must be true or false`);
+        }
+        if (specialty.insights !== undefined) errors.push(...validateInsights(specialty.insights, `${specialtyLabel}.insights`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a market pack
+ * @param {Object} market - Parsed market pack
+ * @returns {Array} - Error messages (empty when the pack is valid)
+ */
+function validateMarketPack(market) {
+  if (!market || typeof market !== 'object' || Array.isArray(market)) return ['Market pack must be a JSON object'];
+
+  const errors = [];
+  if (!isText(market.code) || !/^[A-Z]{2}$/.test(market.code)) errors.push('code must be a two-letter upper-case market code');
+  ['name', 'adjective', 'simulationDomainSuffix']
+    .filter(field => !isText(market[field]))
+    .forEach(field => errors.push(`${field} is required`));
+  if (market.version !== undefined && (!Number.isInteger(market.version) || market.version < 1)) {
+    errors.push('version must be a whole number from 1');
+  }
+
+  const dataForSeo = market.dataForSeo || {};
+  if (!Number.isInteger(dataForSeo.locationCode)) errors.push('dataForSeo.locationCode must be a DataForSEO location code');
+  ['locationName', 'languageCode', 'languageName']
+    .filter(field => !isText(dataForSeo[field]))
+    .forEach(field => errors.push(`dataForSeo.${field} is required`));
+
+  MARKET_REQUIRED_LISTS
+    .filter(field => !isStringList(market[field]) || market[field].length === 0)
+    .forEach(field => errors.push(`${field} must be a non-empty list of strings`));
+  if (market.registers !== undefined && !isStringList(market.registers)) errors.push('registers must be a list of strings');
+
+  MARKET_PATTERNS
+    .filter(field => !isPattern(market[field]))
+    .forEach(field => errors.push(`${field} must be a valid regular expression`));
+
+  if (market.industries !== undefined) {
+    if (!market.industries || typeof market.industries !== 'object' || Array.isArray(market.industries)) {
+      errors.push('industries must be an object keyed by industry id');
+    } else {
+      Object.entries(market.industries).forEach(([id, settings]) => {
+        errors.push(...validateMarketIndustry(settings, `industries.${id}`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in the optional fields of a valid rules pack so callers don't need to check for them
+ * @param {Object} pack - Validated rules pack
+ * @returns {Object} - Normalized pack
+ */
+function normalizePack(pack) {
+  const normalized = { ...pack, version: pack.version || 1 };
+  INDUSTRY_LIST_FIELDS.forEach(field => { normalized[field] = pack[field] || []; });
+
+  normalized.reviewsRestricted = Boolean(pack.reviewsRestricted);
+  normalized.weights = pack.weights || null;
+  normalized.marketPosition = pack.marketPosition || { expertise: 0, authority: 0 };
+  normalized.simulation = pack.simulation || {};
+  normalized.insights = pack.insights || [];
+  normalized.complianceInsight = pack.complianceInsight || null;
+  normalized.compliance = pack.compliance || null;
+  normalized.specialties = (pack.specialties || []).map(specialty => {
+    const normalizedSpecialty = { ...specialty, insights: specialty.insights || [], weights: specialty.weights || null };
+    SPECIALTY_LIST_FIELDS.forEach(field => { normalizedSpecialty[field] = specialty[field] || []; });
+    return normalizedSpecialty;
+  });
+
+  return normalized;
+}
+
+/**
+ * Compile a compliance pack's pattern strings into regular expressions
+ * @param {Object} compliance - Compliance pack from a rules file
+ * @returns {Object} - Pack with RegExp patterns (patterns are global, the rest match once)
+ */
+function compileCompliance(compliance) {
+  return {
+    ...compliance,
+    rules: compliance.rules.map(rule => ({
+      ...rule,
+      type: rule.type || 'prohibited',
+      patterns: rule.patterns.map(source => new RegExp(source, 'gi')),
+      allowedContext: rule.allowedContext ? new RegExp(rule.allowedContext, 'i') : null,
+      linkPattern: rule.linkPattern ? new RegExp(rule.linkPattern, 'i') : null,
+      urlPattern: rule.urlPattern ? new RegExp(rule.urlPattern, 'i') : null,
+      appliesTo: rule.appliesTo
+        ? {
+          ...rule.appliesTo,
+          contentPattern: rule.appliesTo.contentPattern ? new RegExp(rule.appliesTo.contentPattern, 'i') : null
+        }
+        : null
+    }))
+  };
+}
+
+/**
+ * Fill in the optional fields of a valid market pack and compile its patterns
+ * @param {Object} market - Validated market pack
+ * @returns {Object} - Normalized market, with patterns { postcode, address, phone, region }
+ */
+function normalizeMarket(market) {
+  const regionNames = market.regions.map(region => region.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return {
+    ...market,
+    version: market.version || 1,
+    registers: market.registers || [],
+    industries: market.industries || {},
+    patterns: {
+      postcode: new RegExp(market.postcodePattern, 'g'),
+      address: new RegExp(market.addressPattern),
+      phone: new RegExp(market.phonePattern, 'g'),
+      region: new RegExp(`\\b(?:${regionNames.join('|')})\\b`)
+    }
+  };
+}
+
+/**
+ * Apply a market's regulators and wording to an industry pack
+ * Outside the default market the regulator fields come only from the market pack, so an industry
+ * with no settings for the market has no regulators, compliance rules or review restrictions there
+ * @param {Object} pack - Normalized industry pack
+ * @param {Object} market - Normalized market
+ * @returns {Object} - Industry pack for the market
+ */
+function applyMarket(pack, market) {
+  const settings = market.industries[pack.id] || {};
+  const specialties = settings.specialties || {};
+  const marketPack = { ...pack };
+
+  MARKET_LIST_FIELDS.forEach(field => { marketPack[field] = settings[field] || []; });
+  marketPack.reviewsRestricted = Boolean(settings.reviewsRestricted);
+  marketPack.insights = settings.insights || pack.insights;
+  marketPack.complianceInsight = settings.complianceInsight || null;
+  marketPack.compliance = settings.compliance || null;
+  marketPack.specialties = pack.specialties.map(specialty => {
+    const marketSpecialty = specialties[specialty.name] || {};
+    return {
+      ...specialty,
+      reviewsRestricted: marketSpecialty.reviewsRestricted,
+      insights: marketSpecialty.insights || []
+    };
+  });
+
+  return marketPack;
+}
+
+/**
+ * Read and validate the market packs in rules/markets
+ * @param {Array} industries - Normalized industry packs, to check the market settings refer to them
+ * @param {Array} errors - Error messages to add to
+ * @returns {Map} - Market code -> normalized market
+ */
+function loadMarkets(industries, errors) {
+  const marketsDir = path.join(RULES_DIR, 'markets');
+  const files = fs.existsSync(marketsDir)
+    ? fs.readdirSync(marketsDir).filter(file => file.endsWith('.json')).sort()
+    : [];
+  const markets = new Map();
+
+  for (const file of files) {
+    let market;
+    try {
+      market = JSON.parse(fs.readFileSync(path.join(marketsDir, file), 'utf8'));
+    } catch (error) {
+      errors.push(`markets/${file}: ${error.message}`);
+      continue;
+    }
+
+    const marketErrors = validateMarketPack(market);
+    if (market && isText(market.code) && `${market.code.toLowerCase()}.json` !== file) {
+      marketErrors.push(`code "${market.code}" doesn't match the file name`);
+    }
+
+    Object.entries((market && market.industries) || {}).forEach(([id, settings]) => {
+      const pack = industries.find(industry => industry.id === id);
+      if (!pack) {
+        marketErrors.push(`industries.${id} doesn't match an industry rules pack`);
+        return;
+      }
+      Object.keys((settings && settings.specialties) || {})
+        .filter(name => !pack.specialties.some(specialty => specialty.name === name))
+        .forEach(name => marketErrors.push(`industries.${id}.specialties.${name} isn't a ${pack.industry} specialty`));
+    });
+
+    if (marketErrors.length > 0) {
+      errors.push(...marketErrors.map(message => `markets/${file}: ${message}`));
+      continue;
+    }
+
+    markets.set(market.code, normalizeMarket(market));
+  }
+
+  if (!markets.has(DEFAULT_MARKET)) errors.push(`markets/${DEFAULT_MARKET.toLowerCase()}.json: the default market pack is required`);
+
+  return markets;
+}
+
+/**
+ * Find industry names and aliases used by more than one pack
+ * @param {Array} packs - Industry rules packs
+ * @returns {Array} - Error messages
+ */
+function findNameConflicts(packs) {
+  const errors = [];
+  const names = new Map();
+
+  packs.forEach(pack => {
+    [pack.industry, ...(pack.aliases || [])].forEach(name => {
+      const key = name.toLowerCase();
+      if (names.has(key)) errors.push(`${pack.id}.json: industry name "${name}" is also used by ${names.get(key)}.json`);
+      names.set(key, pack.id);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Read the rules pack files in a directory
+ * @param {string} dir - Directory to read
+ * @param {string} label - Prefix for error messages
+ * @param {Array} errors - Collects the files that can't be parsed
+ * @returns {Map} - Parsed packs by file name
+ */
+function readPackFiles(dir, label, errors) {
+  const packs = new Map();
+
+  fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort().forEach(file => {
+    try {
+      packs.set(file, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    } catch (error) {
+      errors.push(`${label}${file}: ${error.message}`);
+    }
+  });
+
+  return packs;
+}
+
+/**
+ * Overlay the edited packs on the shipped ones. An edited pack replaces the shipped pack (an
+ * edited { id, version, deleted: true } removes it) unless a deploy has shipped a newer version
+ * @param {Map} shipped - Shipped packs by file name
+ * @param {Map} edited - Edited packs by file name
+ * @returns {Map} - Packs in use by file name
+ */
+function overlayEditedPacks(shipped, edited) {
+  const packs = new Map(shipped);
+
+  edited.forEach((pack, file) => {
+    const shippedPack = shipped.get(file);
+    const editedVersion = (pack && pack.version) || 1;
+    if (shippedPack && (shippedPack.version || 1) > editedVersion) {
+      console.log(`Using the shipped ${file} (version ${shippedPack.version}) - it is newer than the edited version ${editedVersion}`);
+      return;
+    }
+
+    if (pack && pack.deleted === true) {
+      packs.delete(file);
+    } else {
+      packs.set(file, pack);
+    }
+  });
+
+  return packs;
+}
+
+/**
+ * Read and validate every rules pack and market pack
+ * @returns {Object} - { industries, defaults, compliance, markets, marketRules, storedPacks }
+ * @throws {Error} - Listing every invalid file, so a bad pack stops startup rather than skewing scores
+ */
+function loadRules() {
+  if (rules) return rules;
+
+  const errors = [];
+  const industries = [];
+  const storedPacks = new Map();
+  let defaults = null;
+
+  const shipped = readPackFiles(RULES_DIR, '', errors);
+  const edited = fs.existsSync(EDITED_RULES_DIR) ? readPackFiles(EDITED_RULES_DIR, 'edited ', errors) : new Map();
+
+  for (const [file, pack] of overlayEditedPacks(shipped, edited)) {
+    const packErrors = validateRulesPack(pack);
+    if (pack && pack.id && `${pack.id}.json` !== file) packErrors.push(`id "${pack.id}" doesn't match the file name`);
+    if (packErrors.length > 0) {
+      errors.push(...packErrors.map(message => `${file}: ${message}`));
+      continue;
+    }
+
+    storedPacks.set(pack.id, pack);
+
+    if (pack.id === 'default') {
+      defaults = normalizePack(pack);
+    } else {
+      industries.push(normalizePack(pack));
+    }
+  }
+
+  if (!defaults || !defaults.weights) errors.push('default.json: a default pack with weights is required');
+
+  errors.push(...findNameConflicts(industries));
+
+  const markets = loadMarkets(industries, errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules packs in ${RULES_DIR}:\n${errors.join('\n')}`);
+  }
+
+  const compliance = new Map(industries
+    .filter(pack => pack.compliance)
+    .map(pack => [pack.id, compileCompliance(pack.compliance)]));
+
+  // Industry packs and compliance rules for the other markets
+  const marketRules = new Map([...markets.values()]
+    .filter(market => market.code !== DEFAULT_MARKET)
+    .map(market => {
+      const marketIndustries = industries.map(pack => applyMarket(pack, market));
+      return [market.code, {
+        industries: marketIndustries,
+        compliance: new Map(marketIndustries
+          .filter(pack => pack.compliance)
+          .map(pack => [pack.id, compileCompliance(pack.compliance)]))
+      }];
+    }));
+
+  rules = { industries, defaults, compliance, markets, marketRules, storedPacks };
+  console.log(`Loaded ${industries.length} industry rules packs and ${markets.size} markets from ${RULES_DIR}`);
+  return rules;
+}
+
+/**
+ * Get a rules pack as stored (not normalized), from the edited packs or the shipped ones
+ * @param {string} id - Pack id
+ * @returns {Object|null} - Copy of the pack, or null when there is none
+ */
+function getStoredPack(id) {
+  const pack = loadRules().storedPacks.get(id);
+  return pack ? JSON.parse(JSON.stringify(pack)) : null;
+}
+
+/**
+ * Drop the loaded rules so they are read again on next use (after a rules file is edited)
+ */
+function reloadRules() {
+  rules = null;
+}
+
+/**
+ * Check whether a name matches an entry's name or aliases (case-insensitive)
+ * @param {string} name - Name to match
+ * @param {string} entryName - Entry name
+ * @param {Array} aliases - Entry aliases
+ * @returns {boolean} - Whether it matches
+ */
+function matchesName(name, entryName, aliases) {
+  const key = name.toLowerCase();
+  return entryName.toLowerCase() === key || aliases.some(alias => alias.toLowerCase() === key);
+}
+
+/**
+ * Get a market pack (case-insensitive)
+ * @param {string} market - Market code (AU, NZ, UK, US) - the default market when empty
+ * @returns {Object|null} - Normalized market, or null for unknown markets
+ */
+function getMarket(market) {
+  const markets = loadRules().markets;
+  if (!market) return markets.get(DEFAULT_MARKET);
+  return markets.get(String(market).toUpperCase()) || null;
+}
+
+/**
+ * List the market packs
+ * @returns {Array} - Normalized markets
+ */
+function listMarkets() {
+  return [...loadRules().markets.values()];
+}
+
+/**
+ * Get the rules loaded for a market (unknown markets get the default market's)
+ * @param {string} market - Market code
+ * @returns {Object} - { industries, compliance }
+ */
+function getMarketRules(market) {
+  const loaded = loadRules();
+  const marketPack = getMarket(market);
+  return (marketPack && loaded.marketRules.get(marketPack.code)) || loaded;
+}
+
+/**
+ * List the industry rules packs
+ * @param {string} market - Optional market code (default AU)
+ * @returns {Array} - Normalized industry packs, with the market's regulators
+ */
+function listIndustries(market) {
+  return getMarketRules(market).industries;
+}
+
+/**
+ * Get the rules pack for an industry (by name, alias or id, case-insensitive)
+ * @param {string} industry - Industry category
+ * @param {string} market - Optional market code (default AU)
+ * @returns {Object|null} - Normalized rules pack, or null for unknown industries
+ */
+function getIndustry(industry, market) {
+  if (!industry) return null;
+  return listIndustries(market).find(pack => pack.id === industry || matchesName(industry, pack.industry, pack.aliases)) || null;
+}
+
+/**
+ * Get a specialty from an industry's rules pack (by name or alias, case-insensitive)
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Specialty name
+ * @param {string} market - Optional market code (default AU)
+ * @returns {Object|null} - Specialty, or null when the industry doesn't list it
+ */
+function getSpecialty(industry, specialty, market) {
+  const pack = getIndustry(industry, market);
+  if (!pack || !specialty) return null;
+  return pack.specialties.find(entry => matchesName(specialty, entry.name, entry.aliases)) || null;
+}
+
+/**
+ * Get the fallback rules used for unknown industries
+ * @returns {Object} - Normalized default pack
+ */
+function getDefaults() {
+  return loadRules().defaults;
+}
+
+/**
+ * Check whether testimonials and reviews are restricted for an industry and specialty
+ * A specialty setting overrides the industry setting
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @param {string} market - Optional market code (default AU)
+ * @returns {boolean} - Whether reviews are restricted
+ */
+function isReviewRestricted(industry, specialty = '', market) {
+  const pack = getIndustry(industry, market);
+  if (!pack) return false;
+
+  const specialtyEntry = getSpecialty(industry, specialty, market);
+  if (specialtyEntry && typeof specialtyEntry.reviewsRestricted === 'boolean') return specialtyEntry.reviewsRestricted;
+
+  return pack.reviewsRestricted;
+}
+
+/**
+ * Find the markets with settings for an industry
+ * @param {string} id - Industry pack id
+ * @returns {Array} - { market, specialties } for each market pack that refers to the industry
+ */
+function getMarketReferences(id) {
+  return listMarkets()
+    .filter(market => market.industries[id])
+    .map(market => ({ market: market.code, specialties: Object.keys(market.industries[id].specialties || {}) }));
+}
+
+/**
+ * Get the rules pack versions used for an industry, recorded with each analysis
+ * @param {string} industry - Industry category
+ * @param {string} market - Optional market code (default AU)
+ * @returns {string} - "<pack id>@<version>+<market>@<version>" (the default pack for unknown industries)
+ */
+function getRulesVersion(industry, market) {
+  const pack = getIndustry(industry) || getDefaults();
+  const marketPack = getMarket(market) || getMarket();
+  return `${pack.id}@${pack.version}+${marketPack.code.toLowerCase()}@${marketPack.version}`;
+}
+
+/**
+ * Get an industry's compliance rules, with the patterns compiled
+ * @param {string} industry - Industry category
+ * @param {string} market - Optional market code (default AU)
+ * @returns {Object|null} - { id, name, regulator, rules }, or null when the industry has none in the market
+ */
+function getCompliancePack(industry, market) {
+  const pack = getIndustry(industry, market);
+  return pack ? getMarketRules(market).compliance.get(pack.id) || null : null;
+}
+
+module.exports = {
+  DEFAULT_MARKET,
+  init,
+  getRulesDir,
+  getEditedRulesDir,
+  validateRulesPack,
+  validateMarketPack,
+  findNameConflicts,
+  loadRules,
+  reloadRules,
+  getStoredPack,
+  getMarket,
+  listMarkets,
+  getMarketReferences,
+  listIndustries,
+  getIndustry,
+  getSpecialty,
+  getDefaults,
+  isReviewRestricted,
+  getRulesVersion,
+  getCompliancePack
+};
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Scoring Module
+ * Single credibility scoring service used for the user's site and competitors,
+ * so overall scores are always calculated with the same industry weights
+ */
+
+const rulesLoader = require('./rules-loader');
+
+/**
+ * Get the weight profile for an industry and specialty
+ * A specialty profile is used when one exists, then the industry profile, then the default
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @returns {Object} - Weight profile with its name and the three pillar weights
+ */
+function getWeightProfile(industry, specialty = '') {
+  const pack = rulesLoader.getIndustry(industry);
+
+  if (pack) {
+    const specialtyEntry = rulesLoader.getSpecialty(industry, specialty);
+
+    if (specialtyEntry && specialtyEntry.weights) {
+      return {
+        name: `${pack.industry} / ${specialtyEntry.name}`,
+        scope: 'specialty',
+        ...specialtyEntry.weights
+      };
+    }
+
+    if (pack.weights) {
+      return {
+        name: pack.industry,
+        scope: 'industry',
+        ...pack.weights
+      };
+    }
+  }
+
+  return {
+    name: 'Default',
+    scope: 'default',
+    ...rulesLoader.getDefaults().weights
+  };
+}
+
+/**
+ * Calculate the overall credibility score from the three pillar scores
+ * @param {Object} scores - Scores (expertiseScore, authorityScore, communicationScore)
+ * @param {string} industry - Industry category
+ * @param {string} specialty - Optional industry specialty
+ * @returns {Object} - Credibility score and the weight profile used
+ */
+function calculateCredibilityScore(scores, industry, specialty = '') {
+  const weightProfile = getWeightProfile(industry, specialty);
+
+  const score = (
+    (weightProfile.expertiseWeight * (scores.expertiseScore || 0)) +
+    (weightProfile.authorityWeight * (scores.authorityScore || 0)) +
+    (weightProfile.consistencyWeight * (scores.communicationScore || 0))
+  );
+
+  return {
+    credibilityScore: Math.max(0, Math.min(100, Math.round(score))),
+    weightProfile
+  };
+}
+
+module.exports = {
+  getWeightProfile,
+  calculateCredibilityScore
+};
\ No newline at end of file
@@ -0,0 +1,401 @@
+/**
+ * Structured Data Module
+ * Extracts schema.org markup (JSON-LD and microdata) and Open Graph tags from a page
+ * into a typed summary, so credentials, reviews and FAQs can be used as hard evidence
+ * rather than guessed from the page text
+ */
+
+// schema.org types treated as the business itself (subtypes of Organization/LocalBusiness)
+const ORGANIZATION_TYPES = new Set([
+  'Organization', 'Corporation', 'LocalBusiness', 'ProfessionalService', 'MedicalOrganization',
+  'MedicalBusiness', 'MedicalClinic', 'Physician', 'Dentist', 'Hospital', 'Optician', 'Pharmacy',
+  'LegalService', 'Attorney', 'Notary', 'FinancialService', 'AccountingService', 'InsuranceAgency',
+  'RealEstateAgent', 'HomeAndConstructionBusiness', 'GeneralContractor', 'Electrician', 'Plumber',
+  'RoofingContractor', 'HVACBusiness', 'HousePainter', 'Locksmith', 'MovingCompany', 'HealthAndBeautyBusiness'
+]);
+
+// Open Graph properties kept (og:site_name is returned as siteName)
+const OPEN_GRAPH_PROPERTIES = ['title', 'description', 'type', 'url', 'image', 'site_name'];
+
+/**
+ * Create an empty structured data summary
+ * @returns {Object} - Summary with no entries
+ */
+function createEmptyStructuredData() {
+  return {
+    types: [],
+    organizations: [],
+    people: [],
+    credentials: [],
+    reviews: [],
+    aggregateRating: null,
+    faqs: [],
+    sameAs: [],
+    openGraph: {},
+    sources: { jsonLd: 0, microdata: 0, invalidJsonLd: 0 }
+  };
+}
+
+/**
+ * Get the schema.org types of a node, without the vocabulary prefix
+ * @param {Object} node - JSON-LD or microdata node
+ * @returns {Array} - Type names (e.g. ['Physician'])
+ */
+function getTypes(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types
+    .filter(type => typeof type === 'string' && type)
+    .map(type => type.replace(/^.*[/#]/, ''));
+}
+
+/**
+ * Get a property's values as a list
+ * @param {Object} node - Node
+ * @param {string} property - Property name
+ * @returns {Array} - Values (empty if the property is missing)
+ */
+function getValues(node, property) {
+  const value = node[property];
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get a property's value as text (names are used for nested nodes)
+ * @param {*} value - Property value
+ * @returns {string} - Text, or an empty string
+ */
+function toText(value) {
+  if (Array.isArray(value)) return toText(value[0]);
+  if (value && typeof value === 'object') {
+    return toText(value.name || value['@value'] || value.text || value.url || '');
+  }
+  return value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get a property's value as a number
+ * @param {*} value - Property value
+ * @returns {number|null} - Number, or null if it isn't numeric
+ */
+function toNumber(value) {
+  const number = parseFloat(toText(value));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Format a PostalAddress (or address text) as a single line
+ * @param {*} value - Address value
+ * @returns {string} - Address text
+ */
+function formatAddress(value) {
+  const address = Array.isArray(value) ? value[0] : value;
+  if (!address || typeof address !== 'object') return toText(address);
+
+  return ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry']
+    .map(part => toText(address[part]))
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Get the credentials a person or practice declares
+ * @param {Object} node - Person, Physician, Attorney, etc.
+ * @returns {Array} - Credential names (hasCredential and honorificSuffix)
+ */
+function getCredentials(node) {
+  const credentials = getValues(node, 'hasCredential').map(toText);
+
+  getValues(node, 'honorificSuffix').forEach(suffix => {
+    // "MBBS, FRACS" lists several credentials
+    toText(suffix).split(/\s*[,;]\s*/).forEach(part => credentials.push(part));
+  });
+
+  return credentials.filter(Boolean);
+}
+
+/**
+ * Add a node (and the nodes nested in it) to the summary
+ * @param {*} node - JSON-LD or microdata node
+ * @param {Object} data - Summary being built
+ * @param {string} page - URL of the page the node is on
+ */
+function collectNode(node, data, page) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectNode(item, data, page));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  if (node['@graph']) {
+    collectNode(node['@graph'], data, page);
+  }
+
+  const types = getTypes(node);
+  types.forEach(type => {
+    if (!data.types.includes(type)) data.types.push(type);
+  });
+
+  const sameAs = getValues(node, 'sameAs').map(toText).filter(url => /^https?:\/\//i.test(url));
+  const isPerson = types.includes('Person');
+  const isOrganization = types.some(type => ORGANIZATION_TYPES.has(type));
+
+  if (isOrganization) {
+    data.organizations.push({
+      type: types.find(type => ORGANIZATION_TYPES.has(type)),
+      name: toText(node.name),
+      url: toText(node.url),
+      telephone: toText(node.telephone),
+      email: toText(node.email).replace(/^mailto:/i, ''),
+      address: formatAddress(node.address),
+      sameAs,
+      page
+    });
+  }
+
+  if (isPerson) {
+    data.people.push({
+      name: toText(node.name),
+      jobTitle: toText(node.jobTitle),
+      credentials: getCredentials(node),
+      sameAs,
+      page
+    });
+  }
+
+  if (isPerson || isOrganization) {
+    const holder = toText(node.name);
+    getCredentials(node).forEach(name => data.credentials.push({ name, holder, page }));
+    sameAs.forEach(url => data.sameAs.push(url));
+  }
+
+  if (types.includes('Review')) {
+    data.reviews.push({
+      author: toText(node.author),
+      rating: node.reviewRating ? toNumber(node.reviewRating.ratingValue) : null,
+      body: toText(node.reviewBody || node.description).slice(0, 300),
+      page
+    });
+  }
+
+  if (types.includes('AggregateRating')) {
+    const rating = {
+      ratingValue: toNumber(node.ratingValue),
+      reviewCount: toNumber(node.reviewCount) || toNumber(node.ratingCount) || 0,
+      page
+    };
+    if (!data.aggregateRating || rating.reviewCount > data.aggregateRating.reviewCount) {
+      data.aggregateRating = rating;
+    }
+  }
+
+  if (types.includes('FAQPage')) {
+    getValues(node, 'mainEntity').forEach(question => {
+      if (!question || typeof question !== 'object') return;
+      data.faqs.push({
+        question: toText(question.name),
+        answer: toText(question.acceptedAnswer && (question.acceptedAnswer.text || question.acceptedAnswer)).slice(0, 300),
+        page
+      });
+    });
+  }
+
+  // Reviews, ratings, people and credentials are often nested (e.g. LocalBusiness.review, employee).
+  // Review authors are clients rather than staff, so they aren't collected as people.
+  Object.keys(node).forEach(key => {
+    if (key === '@graph') return;
+    if (key === 'mainEntity' && types.includes('FAQPage')) return;
+    if (key === 'author' && types.includes('Review')) return;
+    const value = node[key];
+    if (value && typeof value === 'object') {
+      collectNode(value, data, page);
+    }
+  });
+}
+
+/**
+ * Read a microdata item (itemscope element) into a JSON-LD style node
+ * @param {Object} $ - Cheerio object
+ * @param {Object} element - itemscope element
+ * @returns {Object} - Node with @type and its itemprop values
+ */
+function readMicrodataItem($, element) {
+  const item = $(element);
+  const node = {};
+  const itemType = item.attr('itemtype');
+  if (itemType) {
+    node['@type'] = itemType.trim().split(/\s+/);
+  }
+
+  // Only properties that belong to this item, not to items nested in it
+  item.find('[itemprop]')
+    .filter((i, child) => $(child).parent().closest('[itemscope]')[0] === element)
+    .each((i, child) => {
+      const prop = $(child);
+      const value = prop.is('[itemscope]')
+        ? readMicrodataItem($, child)
+        : (prop.attr('content') || prop.attr('href') || prop.attr('src') || prop.attr('datetime') || prop.text()).trim();
+
+      prop.attr('itemprop').trim().split(/\s+/).forEach(name => {
+        if (node[name] === undefined) {
+          node[name] = value;
+        } else {
+          node[name] = [].concat(node[name], value);
+        }
+      });
+    });
+
+  return node;
+}
+
+/**
+ * Extract structured data from a page
+ * Must run before scripts are removed from the document, since JSON-LD lives in script tags
+ * @param {Object} $ - Cheerio object for the page
+ * @param {string} url - Page URL
+ * @returns {Object} - Structured data summary (see createEmptyStructuredData)
+ */
+function extractStructuredData($, url) {
+  const data = createEmptyStructuredData();
+
+  // 1. JSON-LD blocks (invalid JSON is counted and skipped)
+  $('script[type="application/ld+json"]').each((i, element) => {
+    const json = $(element).contents().text().trim();
+    if (!json) return;
+
+    try {
+      collectNode(JSON.parse(json), data, url);
+      data.sources.jsonLd++;
+    } catch (error) {
+      data.sources.invalidJsonLd++;
+    }
+  });
+
+  // 2. Top-level microdata items (nested items are read as their parent's properties)
+  $('[itemscope]')
+    .filter((i, element) => $(element).parent().closest('[itemscope]').length === 0)
+    .each((i, element) => {
+      collectNode(readMicrodataItem($, element), data, url);
+      data.sources.microdata++;
+    });
+
+  // 3. Open Graph tags
+  OPEN_GRAPH_PROPERTIES.forEach(property => {
+    const content = $(`meta[property="og:${property}"]`).attr('content');
+    if (content && content.trim()) {
+      data.openGraph[property === 'site_name' ? 'siteName' : property] = content.trim();
+    }
+  });
+
+  return dedupeStructuredData(data);
+}
+
+/**
+ * Remove duplicate entries (the same item is often marked up on several pages, or in both formats)
+ * @param {Object} data - Structured data summary
+ * @returns {Object} - The same summary, deduplicated
+ */
+function dedupeStructuredData(data) {
+  const dedupe = (items, getKey) => {
+    const seen = new Set();
+    return items.filter(item => {
+      const key = getKey(item).toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  };
+
+  data.organizations = dedupe(data.organizations, item => `${item.type}|${item.name}|${item.url}|${item.address}`);
+  data.people = dedupe(data.people, item => item.name);
+  data.credentials = dedupe(data.credentials, item => `${item.holder}|${item.name}`);
+  data.reviews = dedupe(data.reviews, item => `${item.author}|${item.body}`);
+  data.faqs = dedupe(data.faqs, item => item.question);
+  data.sameAs = dedupe(data.sameAs, url => url.replace(/\/+$/, ''));
+  return data;
+}
+
+/**
+ * Merge the structured data from several pages into one summary for the site
+ * @param {Array} list - Structured data summaries (start page first - its Open Graph tags are kept)
+ * @returns {Object} - Merged summary
+ */
+function mergeStructuredData(list) {
+  const merged = createEmptyStructuredData();
+
+  list.filter(Boolean).forEach(data => {
+    data.types.forEach(type => {
+      if (!merged.types.includes(type)) merged.types.push(type);
+    });
+    ['organizations', 'people', 'credentials', 'reviews', 'faqs', 'sameAs'].forEach(key => {
+      merged[key].push(...data[key]);
+    });
+    if (data.aggregateRating && (!merged.aggregateRating || data.aggregateRating.reviewCount > merged.aggregateRating.reviewCount)) {
+      merged.aggregateRating = data.aggregateRating;
+    }
+    merged.openGraph = { ...data.openGraph, ...merged.openGraph };
+    Object.keys(merged.sources).forEach(key => {
+      merged.sources[key] += data.sources[key];
+    });
+  });
+
+  return dedupeStructuredData(merged);
+}
+
+/**
+ * Summarise which trust signals the structured data confirms
+ * @param {Object} data - Structured data summary
+ * @returns {Object} - Boolean flags matching the pre-analysis checklist
+ */
+function getStructuredSignals(data) {
+  if (!data) return {};
+
+  return {
+    hasTeamPage: data.people.length > 0,
+    hasTestimonials: data.reviews.length > 0 || Boolean(data.aggregateRating && data.aggregateRating.reviewCount > 0),
+    hasCredentials: data.credentials.length > 0,
+    hasSocialProof: data.sameAs.length > 0,
+    hasFAQ: data.faqs.length > 0
+  };
+}
+
+/**
+ * Describe the structured data in a few lines for an AI prompt
+ * @param {Object} data - Structured data summary
+ * @returns {string} - One line per confirmed signal, or an empty string when there's none
+ */
+function describeStructuredData(data) {
+  if (!data) return '';
+
+  const lines = [];
+  data.organizations.slice(0, 3).forEach(org => {
+    const details = [org.address, org.telephone].filter(Boolean).join(', ');
+    lines.push(`- ${org.type}: ${org.name || 'unnamed'}${details ? ` (${details})` : ''}`);
+  });
+  data.people.slice(0, 5).forEach(person => {
+    const details = [person.jobTitle, ...person.credentials].filter(Boolean).join(', ');
+    lines.push(`- Person: ${person.name || 'unnamed'}${details ? ` (${details})` : ''}`);
+  });
+  if (data.aggregateRating) {
+    lines.push(`- AggregateRating: ${data.aggregateRating.ratingValue} from ${data.aggregateRating.reviewCount} reviews`);
+  }
+  if (data.reviews.length > 0) {
+    lines.push(`- Reviews: ${data.reviews.length} marked up`);
+  }
+  if (data.faqs.length > 0) {
+    lines.push(`- FAQPage: ${data.faqs.length} questions`);
+  }
+  if (data.sameAs.length > 0) {
+    lines.push(`- sameAs profiles: ${data.sameAs.slice(0, 5).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  createEmptyStructuredData,
+  extractStructuredData,
+  mergeStructuredData,
+  getStructuredSignals,
+  describeStructuredData
+};
\ No newline at end of file
@@ -0,0 +1,253 @@
+/**
+ * Trust Audit Module
+ * Deterministic checks of the technical trust signals an AI model can't judge from page text:
+ * HTTPS, the TLS certificate, security headers, legal pages and contact details.
+ * The results become explicit audience trust evidence.
+ */
+
+const contentFetcher = require('./content-fetcher');
+const registrationVerifier = require('./registration-verifier');
+const rulesLoader = require('./rules-loader');
+
+// Checks run on every site, in display order. A passed check adds "pass" points to the
+// audience trust score and a failed one subtracts "fail" points; checks that couldn't be
+// run score nothing. Checks with appliesTo only run in the markets it accepts.
+const TRUST_CHECKS = [
+  {
+    id: 'https-redirect', group: 'security', label: 'Redirects HTTP to HTTPS', pass: 1, fail: 8,
+    advice: 'Redirect all HTTP traffic to HTTPS',
+    evaluate: ({ transport }) => {
+      const { httpsRedirect } = transport;
+      if (httpsRedirect.error) return { status: 'unknown', detail: `HTTP address not reachable: ${httpsRedirect.error}` };
+      return httpsRedirect.redirectsToHttps
+        ? { status: 'pass', detail: `Redirects to ${httpsRedirect.finalUrl}` }
+        : { status: 'fail', detail: `HTTP address is served without a redirect (status ${httpsRedirect.status})` };
+    }
+  },
+  {
+    id: 'certificate', group: 'security', label: 'Valid TLS certificate', pass: 1, fail: 10,
+    advice: 'Install a valid TLS certificate and renew it before it expires',
+    evaluate: ({ transport }) => {
+      const { certificate } = transport;
+      if (!certificate.valid) return { status: 'fail', detail: certificate.error || 'Certificate not trusted' };
+      if (certificate.daysRemaining !== null && certificate.daysRemaining < 14) {
+        return { status: 'fail', detail: `Certificate expires in ${certificate.daysRemaining} days` };
+      }
+      return { status: 'pass', detail: `Issued by ${certificate.issuer || 'a trusted authority'}, valid until ${certificate.validTo.slice(0, 10)}` };
+    }
+  },
+  {
+    id: 'hsts', group: 'security', label: 'HSTS header', pass: 1, fail: 2,
+    advice: 'Send a Strict-Transport-Security header',
+    evaluate: ({ transport }) => {
+      if (transport.headers.error) return { status: 'unknown', detail: `HTTPS page not reachable: ${transport.headers.error}` };
+      return transport.headers.hsts
+        ? { status: 'pass', detail: transport.headers.hsts }
+        : { status: 'fail', detail: 'No Strict-Transport-Security header' };
+    }
+  },
+  {
+    id: 'csp', group: 'security', label: 'Content Security Policy header', pass: 1, fail: 2,
+    advice: 'Send a Content-Security-Policy header',
+    evaluate: ({ transport }) => {
+      if (transport.headers.error) return { status: 'unknown', detail: `HTTPS page not reachable: ${transport.headers.error}` };
+      return transport.headers.csp
+        ? { status: 'pass', detail: 'Content-Security-Policy header sent' }
+        : { status: 'fail', detail: 'No Content-Security-Policy header' };
+    }
+  },
+  {
+    id: 'privacy-page', group: 'legal', label: 'Privacy policy page', pass: 1, fail: 6,
+    advice: 'Publish a privacy policy and link to it from every page',
+    evaluate: ({ legalPages }) => describeLegalPage(legalPages.privacy, 'privacy policy')
+  },
+  {
+    id: 'terms-page', group: 'legal', label: 'Terms or disclaimer page', pass: 1, fail: 3,
+    advice: 'Publish terms of use or a disclaimer and link to it from every page',
+    evaluate: ({ legalPages }) => describeLegalPage(legalPages.terms, 'terms or disclaimer page')
+  },
+  {
+    id: 'business-number', group: 'contact', label: 'ABN or ACN displayed', pass: 1, fail: 4,
+    advice: 'Display your ABN (or ACN) in the site footer',
+    appliesTo: market => market.registers.includes('abn'),
+    evaluate: ({ contact }) => {
+      if (contact.abn && !registrationVerifier.isValidAbn(contact.abn)) {
+        return { status: 'fail', detail: `ABN ${contact.abn} fails the checksum` };
+      }
+      if (contact.abn) return { status: 'pass', detail: `ABN ${contact.abn}` };
+      if (contact.acn) return { status: 'pass', detail: `ACN ${contact.acn}` };
+      return { status: 'fail', detail: 'No ABN or ACN found' };
+    }
+  },
+  {
+    id: 'address', group: 'contact', label: 'Physical address', pass: 1, fail: 4,
+    advice: 'Show your business street address',
+    evaluate: ({ contact, business }) => {
+      const address = contact.addresses[0] || business.address;
+      return address ? { status: 'pass', detail: address } : { status: 'fail', detail: 'No street address found' };
+    }
+  },
+  {
+    id: 'phone', group: 'contact', label: 'Phone number', pass: 1, fail: 4,
+    advice: 'Show a phone number on every page',
+    evaluate: ({ contact, business }) => {
+      const phone = contact.phones[0] || business.telephone;
+      return phone ? { status: 'pass', detail: phone } : { status: 'fail', detail: 'No phone number found' };
+    }
+  },
+  {
+    id: 'email', group: 'contact', label: 'Email address', pass: 1, fail: 3,
+    advice: 'Show an email address (a contact form alone is harder to trust)',
+    evaluate: ({ contact, business }) => {
+      const email = contact.emails[0] || business.email;
+      return email ? { status: 'pass', detail: email } : { status: 'fail', detail: 'No email address found' };
+    }
+  }
+];
+
+/**
+ * Describe whether a legal page was found and could be fetched
+ * @param {Object|null} page - { url, reachable, error } or null when no page is linked
+ * @param {string} name - Page name for the detail text
+ * @returns {Object} - { status, detail }
+ */
+function describeLegalPage(page, name) {
+  if (!page) return { status: 'fail', detail: `No ${name} linked from the home page` };
+  return page.reachable
+    ? { status: 'pass', detail: page.url }
+    : { status: 'fail', detail: `${page.url} could not be loaded (${page.error})` };
+}
+
+/**
+ * Find a legal page and check it can be fetched
+ * @param {Object} site - Crawled site
+ * @param {string} type - 'privacy' or 'terms'
+ * @returns {Promise<Object|null>} - { url, reachable, error }, or null when the page isn't linked
+ */
+async function checkLegalPage(site, type) {
+  const crawled = site.pages.find(page => page.pageType === type);
+  if (crawled) return { url: crawled.url, reachable: true, error: null };
+
+  const url = site.legalLinks && site.legalLinks[type];
+  if (!url) return null;
+
+  return { url, ...(await contentFetcher.checkPageReachable(url)) };
+}
+
+/**
+ * Audit a crawled site's technical trust signals
+ * @param {Object} site - Crawled site from contentFetcher.crawlWebsite
+ * @param {string} market - Optional market code (default AU)
+ * @returns {Promise<Object>} - { checkedAt, checks: [{ id, group, label, status, detail, points, advice }], summary }
+ */
+async function runTrustAudit(site, market = '') {
+  const marketPack = rulesLoader.getMarket(market);
+
+  const [transport, privacy, terms] = await Promise.all([
+    contentFetcher.checkTransportSecurity(site.url),
+    checkLegalPage(site, 'privacy'),
+    checkLegalPage(site, 'terms')
+  ]);
+
+  const organizations = (site.structuredData && site.structuredData.organizations) || [];
+  const context = {
+    transport,
+    legalPages: { privacy, terms },
+    contact: site.contactDetails || { emails: [], phones: [], abn: null, acn: null, addresses: [] },
+    // Details from schema.org markup count too
+    business: {
+      address: (organizations.find(org => org.address) || {}).address,
+      telephone: (organizations.find(org => org.telephone) || {}).telephone,
+      email: (organizations.find(org => org.email) || {}).email
+    }
+  };
+
+  const checks = TRUST_CHECKS.filter(check => !check.appliesTo || check.appliesTo(marketPack)).map(check => {
+    const { status, detail } = check.evaluate(context);
+    return {
+      id: check.id,
+      group: check.group,
+      label: check.label,
+      status,
+      detail,
+      points: status === 'pass' ? check.pass : status === 'fail' ? -check.fail : 0,
+      advice: status === 'fail' ? check.advice : null
+    };
+  });
+
+  return {
+    checkedAt: new Date().toISOString(),
+    checks,
+    summary: {
+      passed: checks.filter(check => check.status === 'pass').length,
+      failed: checks.filter(check => check.status === 'fail').length,
+      unknown: checks.filter(check => check.status === 'unknown').length
+    }
+  };
+}
+
+/**
+ * Apply a trust audit to an analysis (AI or rule-based)
+ * Adds each scored check as audience trust evidence, adjusts the audience trust score by
+ * the points and lists failed checks as weaknesses with a recommendation to fix them
+ * @param {Object} analysisData - Analysis with authorityScore, evidence, weaknesses and recommendations
+ * @param {Object} audit - Trust audit from runTrustAudit
+ * @returns {Object} - The same analysis, updated
+ */
+function applyTrustAudit(analysisData, audit) {
+  if (!audit) return analysisData;
+
+  const scored = audit.checks.filter(check => check.points !== 0);
+  const netPoints = scored.reduce((sum, check) => sum + check.points, 0);
+
+  analysisData.evidence = [
+    ...(analysisData.evidence || []),
+    ...scored.map(check => ({
+      pillar: 'authority',
+      rule: check.id,
+      term: check.status === 'pass' ? check.label : `Missing: ${check.label}`,
+      page: '',
+      points: check.points,
+      source: 'trust-audit'
+    }))
+  ];
+  analysisData.authorityScore = Math.min(100, Math.max(0, Math.round(analysisData.authorityScore + netPoints)));
+
+  const failed = audit.checks.filter(check => check.status === 'fail');
+  if (failed.length > 0) {
+    analysisData.weaknesses = [
+      ...(analysisData.weaknesses || []),
+      ...failed.map(check => `${check.label}: ${check.detail}`)
+    ];
+    analysisData.recommendations = [
+      ...(analysisData.recommendations || []),
+      {
+        category: 'AUDIENCE TRUST',
+        recommendation: 'Fix the technical trust signals our audit found missing - visitors and search engines check these before they trust a site.',
+        actionItems: failed.slice(0, 3).map(check => check.advice)
+      }
+    ];
+  }
+
+  return analysisData;
+}
+
+/**
+ * Describe a trust audit in a few lines for an AI prompt
+ * @param {Object} audit - Trust audit from runTrustAudit
+ * @returns {string} - One line per check, or an empty string when there's no audit
+ */
+function describeTrustAudit(audit) {
+  if (!audit) return '';
+
+  return audit.checks
+    .map(check => `- ${check.label}: ${check.status === 'pass' ? 'yes' : check.status === 'fail' ? 'NO' : 'could not check'} (${check.detail})`)
+    .join('\n');
+}
+
+module.exports = {
+  TRUST_CHECKS,
+  runTrustAudit,
+  applyTrustAudit,
+  describeTrustAudit
+};
\ No newline at end of file
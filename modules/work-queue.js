@@ -0,0 +1,186 @@
+/**
+ * Work Queue Module
+ * Bounded-concurrency task runner with per-key rate limits (one key per host or external API)
+ * and timeouts, so slow lookups can't hold up a whole request
+ */
+
+// Default limits for each external API, and for any single website host
+const DEFAULT_RATE_LIMITS = {
+  'google-places': { concurrency: 2, minIntervalMs: 100 },
+  dataforseo: { concurrency: 2, minIntervalMs: 250 },
+  llm: { concurrency: 2, minIntervalMs: 0 },
+  host: { concurrency: 1, minIntervalMs: 500 }
+};
+
+let rateLimits = { ...DEFAULT_RATE_LIMITS };
+
+// One limiter per key, created on first use
+const limiters = new Map();
+
+/**
+ * Initialize the module with rate limit settings
+ * @param {Object} config - Configuration object
+ * @param {Object} config.rateLimits - Per-key overrides, e.g. { dataforseo: { concurrency, minIntervalMs } }
+ */
+function init(config) {
+  rateLimits = { ...DEFAULT_RATE_LIMITS };
+  Object.entries((config && config.rateLimits) || {}).forEach(([key, limit]) => {
+    rateLimits[key] = { ...(rateLimits[key] || rateLimits.host), ...limit };
+  });
+  limiters.clear();
+}
+
+/**
+ * Get the limits for a key - "host:<domain>" keys share the host limits
+ * @param {string} key - Rate limit key
+ * @returns {Object} - { concurrency, minIntervalMs }
+ */
+function getLimits(key) {
+  return rateLimits[key] || rateLimits.host;
+}
+
+/**
+ * Get (or create) the limiter for a key
+ * @param {string} key - Rate limit key
+ * @returns {Object} - Limiter state
+ */
+function getLimiter(key) {
+  if (!limiters.has(key)) {
+    limiters.set(key, { ...getLimits(key), active: 0, lastStart: 0, waiting: [] });
+  }
+  return limiters.get(key);
+}
+
+/**
+ * Start queued tasks while the limiter has free slots, spacing starts by minIntervalMs
+ * @param {Object} limiter - Limiter state
+ */
+function drain(limiter) {
+  if (limiter.timer || limiter.waiting.length === 0 || limiter.active >= limiter.concurrency) return;
+
+  const wait = limiter.lastStart + limiter.minIntervalMs - Date.now();
+  if (wait > 0) {
+    limiter.timer = setTimeout(() => {
+      limiter.timer = null;
+      drain(limiter);
+    }, wait);
+    return;
+  }
+
+  const { task, resolve, reject } = limiter.waiting.shift();
+  limiter.active++;
+  limiter.lastStart = Date.now();
+
+  Promise.resolve()
+    .then(task)
+    .then(resolve, reject)
+    .finally(() => {
+      limiter.active--;
+      drain(limiter);
+    });
+
+  drain(limiter);
+}
+
+/**
+ * Run a task under the rate limit for a key
+ * @param {string} key - Rate limit key, e.g. 'dataforseo' or `host:${domain}`
+ * @param {Function} task - Function returning a promise
+ * @returns {Promise<*>} - The task's result
+ */
+function schedule(key, task) {
+  const limiter = getLimiter(key);
+
+  return new Promise((resolve, reject) => {
+    limiter.waiting.push({ task, resolve, reject });
+    drain(limiter);
+  });
+}
+
+/**
+ * Create a timeout error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code 'ETIMEOUT'
+ */
+function createTimeoutError(message) {
+  const error = new Error(message);
+  error.code = 'ETIMEOUT';
+  return error;
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ * The underlying work isn't cancelled - its result is just ignored
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<*>} - The promise's result
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createTimeoutError(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a worker over a list of items with bounded concurrency
+ * Each item gets its own timeout, and items that haven't started when the overall budget
+ * runs out are skipped. Failures never reject - each result says what went wrong.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options - Optional settings
+ * @param {number} options.concurrency - Most items processed at once (default 3)
+ * @param {number} options.timeoutMs - Timeout per item (default 20000)
+ * @param {number} options.budgetMs - Time budget for the whole list (default: no limit)
+ * @param {Function} options.onResult - Called with (result, index) as each item finishes
+ * @returns {Promise<Array>} - Results in item order: { item, value } or { item, error, timedOut }
+ */
+async function runAll(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 3);
+  const timeoutMs = options.timeoutMs || 20000;
+  const deadline = options.budgetMs ? Date.now() + options.budgetMs : Infinity;
+  const onResult = options.onResult || (() => {});
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      const remaining = deadline - Date.now();
+
+      if (remaining <= 0) {
+        results[index] = { item, error: createTimeoutError('Not started - time budget used up'), timedOut: true };
+        onResult(results[index], index);
+        continue;
+      }
+
+      const limit = Math.min(timeoutMs, remaining);
+      try {
+        const value = await withTimeout(
+          Promise.resolve().then(() => worker(item, index)),
+          limit,
+          `Timed out after ${Math.round(limit / 100) / 10}s`
+        );
+        results[index] = { item, value };
+      } catch (error) {
+        results[index] = { item, error, timedOut: error.code === 'ETIMEOUT' };
+      }
+      onResult(results[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+
+  return results;
+}
+
+module.exports = {
+  init,
+  schedule,
+  withTimeout,
+  runAll
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * AI analysis tests - the fixture provider replays the responses in test/fixtures/llm, so the
+ * validate, re-prompt and rule-based fallback paths run offline
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const llmProvider = require('../modules/llm-provider');
+const structuredData = require('../modules/structured-data');
+const { analyzeSiteContent } = require('../modules/analysis-service');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Load a crawled site fixture
+ * @param {string} name - Fixture name in test/fixtures/sites
+ * @returns {Object} - Site in the shape crawlWebsite returns
+ */
+function loadSite(name) {
+  const site = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'sites', `${name}.json`), 'utf8'));
+  const pages = site.pages.map(page => ({ ...page, pageText: page.text, content: page.text }));
+
+  return {
+    ...site,
+    pages,
+    content: pages.map(page => page.content).join('\n\n'),
+    structuredData: structuredData.mergeStructuredData([]),
+    registrations: []
+  };
+}
+
+/**
+ * Replay one of the LLM fixture sets
+ * @param {string} name - Directory in test/fixtures/llm
+ */
+function useFixtures(name) {
+  llmProvider.init({ llmProvider: 'fixture', llmFixturesDir: path.join(FIXTURES_DIR, 'llm', name) });
+}
+
+/**
+ * Analyze the finance adviser fixture, collecting the progress events
+ * @returns {Promise<Object>} - { analysis, progress }
+ */
+async function analyzeFinanceSite() {
+  const progress = [];
+  const analysis = await analyzeSiteContent(loadSite('finance-adviser'), 'Finance', '', {
+    market: 'AU',
+    onProgress: event => progress.push(event)
+  });
+  return { analysis, progress };
+}
+
+test('a valid response is used as it is', async () => {
+  useFixtures('valid');
+  const { analysis } = await analyzeFinanceSite();
+
+  assert.equal(analysis.provenance.method, 'ai');
+  assert.equal(analysis.provenance.provider, 'fixture');
+  assert.equal(analysis.validation.status, 'valid');
+  assert.equal(analysis.validation.reprompted, false);
+  assert.equal(analysis.expertiseScore, 72);
+});
+
+test('mechanical problems are repaired without a re-prompt', async () => {
+  useFixtures('repairable');
+  const { analysis } = await analyzeFinanceSite();
+
+  assert.equal(analysis.provenance.method, 'ai');
+  assert.equal(analysis.validation.status, 'repaired');
+  assert.equal(analysis.validation.reprompted, false);
+  assert.equal(analysis.expertiseScore, 72);
+  assert.equal(analysis.authorityScore, 100);
+  assert.equal(analysis.checklist.hasFAQ, false);
+  assert.deepEqual(analysis.validation.repairs.map(repair => repair.path).sort(), [
+    'authorityScore', 'checklist.hasFAQ', 'expertiseScore', 'industrySpecificRecommendations[1].category'
+  ]);
+});
+
+test('an invalid response is re-prompted and the corrected one used', async () => {
+  useFixtures('reprompt');
+  const { analysis } = await analyzeFinanceSite();
+
+  assert.equal(analysis.provenance.method, 'ai');
+  assert.equal(analysis.validation.status, 'reprompted');
+  assert.equal(analysis.validation.reprompted, true);
+  assert.deepEqual(analysis.validation.errors, [{ path: '', message: 'Response is not valid JSON' }]);
+  assert.equal(analysis.authorityScore, 55);
+});
+
+test('a response still invalid after the re-prompt falls back to the rule-based analysis', async () => {
+  useFixtures('invalid');
+  const { analysis, progress } = await analyzeFinanceSite();
+
+  assert.equal(analysis.provenance.method, 'rule-based');
+  assert.equal(analysis.provenance.provider, 'analysis-engine');
+  assert.match(analysis.provenance.reason, /failed schema validation after repair and re-prompt/);
+  assert.ok(analysis.evidence.some(item => item.rule === 'credential' && item.term === 'CFP'));
+  assert.ok(progress.some(event => event.step === 'ai-analysis' && event.status === 'failed'));
+});
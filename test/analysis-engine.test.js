@@ -0,0 +1,50 @@
+/**
+ * Rule-based analysis engine tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeAuthorityIndex } = require('../modules/analysis-engine');
+
+const FINANCE_PAGE = 'PAGE: https://harbourwealth.com.au/\n' +
+  'Our Certified Financial Planner (CFP) advisers help with retirement planning and superannuation. ' +
+  'Harbour Wealth has 20 years of experience and is a member of the Financial Advice Association. ' +
+  'We explain our process and our fees before you commit.';
+
+test('the same content always gets the same scores and evidence', () => {
+  assert.deepEqual(
+    analyzeAuthorityIndex(FINANCE_PAGE, 'Finance', 'Financial Planning'),
+    analyzeAuthorityIndex(FINANCE_PAGE, 'Finance', 'Financial Planning')
+  );
+});
+
+test('each pillar score is explained by its evidence', () => {
+  const withCredential = analyzeAuthorityIndex(FINANCE_PAGE, 'Finance');
+  const withoutCredential = analyzeAuthorityIndex(FINANCE_PAGE.replace(/Certified Financial Planner \(CFP\) /, ''), 'Finance');
+
+  // The score drops by exactly the points of the evidence no longer found
+  const lost = withCredential.evidence.filter(item => item.pillar === 'expertise' &&
+    !withoutCredential.evidence.some(other => other.rule === item.rule && other.term === item.term));
+
+  assert.deepEqual(lost.filter(item => item.rule === 'credential').map(item => item.term).sort(), ['CFP', 'Certified Financial Planner']);
+  assert.equal(
+    withCredential.expertiseSignals - withoutCredential.expertiseSignals,
+    lost.reduce((sum, item) => sum + item.points, 0)
+  );
+  assert.ok(withCredential.evidence.every(item => item.page === 'https://harbourwealth.com.au/'));
+  assert.ok(withCredential.strengths.some(strength => strength.startsWith('Mentions credentials')));
+});
+
+test('testimonials are neither scored nor advised where reviews are restricted', () => {
+  const page = 'PAGE: https://clinic.com.au/\nRead our patient testimonials and reviews. ' +
+    'Our clinic has 15 years of experience and explains its approach to every consultation.';
+
+  const restricted = analyzeAuthorityIndex(page, 'Healthcare', 'Cosmetic Surgery');
+  assert.equal(restricted.evidence.some(item => item.rule === 'social-proof'), false);
+  assert.equal(JSON.stringify(restricted.recommendations).includes('testimonials'), false);
+  assert.equal(restricted.weaknesses.some(weakness => weakness.includes('testimonials')), false);
+
+  const unrestricted = analyzeAuthorityIndex(page, 'Healthcare', 'General Practice');
+  assert.ok(unrestricted.evidence.some(item => item.rule === 'social-proof'));
+});
@@ -0,0 +1,99 @@
+/**
+ * Implemented recommendation tracking tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findImplementedRecommendations } = require('../modules/analysis-history');
+
+const FSG_ADVICE = {
+  category: 'REGULATORY COMPLIANCE',
+  rule: 'fsg',
+  recommendation: 'Missing Financial Services Guide: Publish your FSG'
+};
+const TRUST_ADVICE = {
+  category: 'AUDIENCE TRUST',
+  recommendation: 'Add the audience trust signals our rules could not find on your site.'
+};
+
+/**
+ * Build a stored analysis record
+ * @param {string} id - Record id
+ * @param {Object} fields - Fields that differ from a rule-based run on finance@1
+ * @returns {Object} - Stored analysis
+ */
+function record(id, fields = {}) {
+  return {
+    id,
+    createdAt: `2026-10-0${id}T00:00:00.000Z`,
+    rulesVersion: 'finance@1+au@1',
+    provenance: { method: 'rule-based' },
+    recommendations: [],
+    evidence: [],
+    compliance: { checklist: [{ id: 'fsg', title: 'Financial Services Guide', status: 'fail' }] },
+    ...fields
+  };
+}
+
+const passedFsg = { checklist: [{ id: 'fsg', title: 'Financial Services Guide', status: 'pass' }] };
+
+test('a compliance check that starts passing marks its recommendation implemented', () => {
+  const implemented = findImplementedRecommendations([
+    record('1', { recommendations: [FSG_ADVICE] }),
+    record('2', { compliance: passedFsg })
+  ]);
+
+  assert.deepEqual(implemented, [{
+    category: 'REGULATORY COMPLIANCE',
+    recommendation: FSG_ADVICE.recommendation,
+    signal: { rule: 'fsg', label: 'Financial Services Guide' },
+    lastSeenAt: '2026-10-01T00:00:00.000Z',
+    resolvedAt: '2026-10-02T00:00:00.000Z',
+    resolvedInAnalysisId: '2'
+  }]);
+});
+
+test('new evidence marks the pillar recommendation implemented', () => {
+  const implemented = findImplementedRecommendations([
+    record('1', { recommendations: [TRUST_ADVICE] }),
+    record('2', { evidence: [{ pillar: 'authority', rule: 'award', term: 'award' }] })
+  ]);
+
+  assert.equal(implemented.length, 1);
+  assert.equal(implemented[0].recommendation, TRUST_ADVICE.recommendation);
+  assert.deepEqual(implemented[0].signal, { rule: 'award', label: 'award' });
+});
+
+test('recommendation text disappearing is not a signal', () => {
+  const implemented = findImplementedRecommendations([
+    record('1', { recommendations: [FSG_ADVICE, TRUST_ADVICE] }),
+    record('2')
+  ]);
+
+  assert.deepEqual(implemented, []);
+});
+
+test('runs with a different method or rules version are not compared', () => {
+  const earlier = record('1', { recommendations: [FSG_ADVICE] });
+
+  assert.deepEqual(findImplementedRecommendations([
+    earlier, record('2', { compliance: passedFsg, provenance: { method: 'ai' } })
+  ]), []);
+  assert.deepEqual(findImplementedRecommendations([
+    earlier, record('2', { compliance: passedFsg, rulesVersion: 'finance@2+au@1' })
+  ]), []);
+  assert.deepEqual(findImplementedRecommendations([
+    record('1', { recommendations: [FSG_ADVICE], provenance: null }), record('2', { compliance: passedFsg, provenance: null })
+  ]), []);
+});
+
+test('a fix that is undone later is no longer counted', () => {
+  const implemented = findImplementedRecommendations([
+    record('1', { recommendations: [FSG_ADVICE] }),
+    record('2', { compliance: passedFsg }),
+    record('3')
+  ]);
+
+  assert.deepEqual(implemented, []);
+});
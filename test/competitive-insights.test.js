@@ -0,0 +1,49 @@
+/**
+ * Competitive insight tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const competitorAnalyzer = require('../modules/competitor-analyzer');
+
+const userData = { expertiseScore: 50, authorityScore: 50, credibilityScore: 50, market: 'AU' };
+
+test('the dominance insight states the measured strength once', () => {
+  const competitors = [
+    { name: 'Busy Builders', expertiseScore: 60, authorityScore: 70, seoData: { traffic: 2500, keywords: 40, backlinks: 10 } }
+  ];
+
+  const insights = competitorAnalyzer.generateCompetitiveInsights(userData, competitors, 'Construction');
+  const dominance = insights.find(insight => insight.type === 'competitor');
+
+  assert.equal(dominance.title, 'Busy Builders Dominates Online');
+  assert.equal(
+    dominance.message,
+    'Busy Builders is investing in SEO and website traffic, with approximately 2,500 monthly visitors, giving them a competitive advantage in online visibility.'
+  );
+  assert.equal(competitors[0].isBoss, true);
+});
+
+test('a competitor with only measured scores is described by its audience trust score', () => {
+  const competitors = [{ name: 'Quiet Builders', expertiseScore: 62, authorityScore: 71.4 }];
+
+  const insights = competitorAnalyzer.generateCompetitiveInsights(userData, competitors, 'Construction');
+  const dominance = insights.find(insight => insight.type === 'competitor');
+
+  assert.match(dominance.message, /^Quiet Builders is investing in online marketing, with an audience trust score of 71, giving/);
+  assert.equal(dominance.message.match(/competitive advantage/g).length, 1);
+});
+
+test('no boss without measured metrics', () => {
+  const competitors = [
+    { name: 'Other', expertiseScore: null, authorityScore: null },
+    { name: 'Guessed Co', expertiseScore: 80, authorityScore: 80, isEstimated: true },
+    { name: 'Failed Co', expertiseScore: null, authorityScore: null, seoData: { traffic: 9000 }, failureReason: 'Timed out' }
+  ];
+
+  const insights = competitorAnalyzer.generateCompetitiveInsights(userData, competitors, 'Construction');
+
+  assert.equal(insights.some(insight => insight.type === 'competitor'), false);
+  assert.equal(competitors.some(competitor => competitor.isBoss), false);
+});
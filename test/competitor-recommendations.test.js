@@ -0,0 +1,59 @@
+/**
+ * Competitor recommendation tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const competitorAnalyzer = require('../modules/competitor-analyzer');
+
+const userData = {
+  expertiseScore: 50,
+  authorityScore: 50,
+  communicationScore: 50,
+  googleData: { userRatingsTotal: 2, rating: 4.5 },
+  seoData: { traffic: 100, keywords: 10, backlinks: 5 }
+};
+
+const measured = {
+  name: 'Measured Advisers',
+  expertiseScore: 65,
+  authorityScore: 60,
+  communicationScore: 66,
+  strengths: ['Lists adviser qualifications'],
+  googleData: { userRatingsTotal: 12, rating: 4.6 }
+};
+
+test('competitors with estimated or failed analyses are never cited', () => {
+  const competitors = [
+    measured,
+    { name: 'Estimated Co', expertiseScore: 95, authorityScore: 90, communicationScore: 95, isEstimated: true },
+    {
+      name: 'Timed Out Co',
+      expertiseScore: 92,
+      authorityScore: 88,
+      communicationScore: 94,
+      googleData: { userRatingsTotal: 400, rating: 4.9 },
+      failureReason: 'Timed out after 15000ms'
+    },
+    { name: 'Illustrative Co', expertiseScore: 99, authorityScore: 99, communicationScore: 99, isSimulated: true }
+  ];
+
+  const recommendations = competitorAnalyzer.generateCompetitorRecommendations(userData, competitors, 'Finance');
+  const cited = recommendations.map(rec => rec.competitor);
+
+  assert.ok(cited.length > 0);
+  assert.deepEqual([...new Set(cited)], ['Measured Advisers']);
+
+  const expertise = recommendations.find(rec => rec.category === 'EXPERTISE VALIDATION');
+  assert.match(expertise.recommendation, /scores 65 for expertise validation/);
+});
+
+test('no recommendations when only failed competitors were found', () => {
+  const competitors = [
+    { name: 'Unscored Co', expertiseScore: null, authorityScore: null, failureReason: 'Website could not be analyzed' },
+    { name: 'Estimated Co', expertiseScore: 90, authorityScore: 90, communicationScore: 90, isEstimated: true }
+  ];
+
+  assert.deepEqual(competitorAnalyzer.generateCompetitorRecommendations(userData, competitors, 'Finance'), []);
+});
@@ -0,0 +1,50 @@
+/**
+ * Compliance checker tests - each compliance pack has a passing and a failing site in
+ * test/fixtures/compliance
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const structuredData = require('../modules/structured-data');
+const { checkCompliance, getComplianceRecommendations } = require('../modules/compliance-checker');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'compliance');
+
+/**
+ * Build a crawled site from fixture pages
+ * @param {Array} pages - Pages as { url, title, text, links }
+ * @returns {Object} - Site in the shape crawlWebsite returns
+ */
+function buildSite(pages) {
+  return {
+    pages: pages.map(page => ({ ...page, pageText: page.text, content: page.text })),
+    structuredData: structuredData.mergeStructuredData([])
+  };
+}
+
+fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+  const { industry, specialty, market } = fixture;
+
+  test(`${file}: the passing site passes every rule`, () => {
+    const compliance = checkCompliance(buildSite(fixture.passing.pages), industry, specialty, market);
+
+    assert.deepEqual(compliance.rules.filter(rule => rule.status !== 'pass').map(rule => rule.id), []);
+    assert.equal(compliance.score, 100);
+    assert.deepEqual(getComplianceRecommendations(compliance), []);
+  });
+
+  test(`${file}: the failing site fails the expected rules`, () => {
+    const compliance = checkCompliance(buildSite(fixture.failing.pages), industry, specialty, market);
+    const failed = compliance.rules.filter(rule => rule.status === 'fail');
+
+    assert.deepEqual(failed.map(rule => rule.id), fixture.failing.failedRules);
+    failed.forEach(rule => {
+      assert.ok(rule.type === 'required' ? rule.detail : rule.findings.length > 0, `${rule.id} says why it failed`);
+    });
+    assert.deepEqual(getComplianceRecommendations(compliance).map(rec => rec.rule).sort(), [...fixture.failing.failedRules].sort());
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Industry average tests - analyses are stored in a temp data directory
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const analysisStore = require('../modules/analysis-store');
+const industryAverages = require('../modules/industry-averages');
+
+/**
+ * Store an analysis with the same score on every pillar
+ * @param {string} url - Website URL
+ * @param {number} score - Score
+ * @returns {Promise<Object>} - Stored record
+ */
+function storeAnalysis(url, score) {
+  return analysisStore.saveAnalysis({
+    url,
+    industry: 'Finance',
+    market: 'AU',
+    credibilityScore: score,
+    expertiseSignals: score,
+    digitalAuthority: score,
+    consistencyMarkers: score
+  });
+}
+
+/**
+ * Point the store at an empty temp directory
+ * @param {Object} t - Test context
+ */
+function useTempStore(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'industry-average-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  analysisStore.init({ dataDir });
+}
+
+test('too few other sites gives an insufficient data state, not a made-up average', async (t) => {
+  useTempStore(t);
+  await storeAnalysis('https://mine.com.au', 90);
+  await storeAnalysis('https://other-one.com.au', 40);
+
+  const average = await industryAverages.getIndustryAverage('Finance', '', 'AU', 'https://www.mine.com.au/');
+
+  assert.equal(average.scope, 'insufficient-data');
+  assert.equal(average.insufficientData, true);
+  assert.equal(average.sampleSize, 1);
+  assert.equal(average.credibilityScore, null);
+  assert.equal(average.percentiles, null);
+  assert.deepEqual(average.breakdown.industry, { sampleSize: 1, insufficientData: true });
+});
+
+test('the requester\'s own analyses are left out of the average', async (t) => {
+  useTempStore(t);
+  await storeAnalysis('https://mine.com.au', 100);
+  await storeAnalysis('https://a.com.au', 40);
+  await storeAnalysis('https://b.com.au', 50);
+  await storeAnalysis('https://c.com.au', 60);
+
+  const average = await industryAverages.getIndustryAverage('Finance', '', 'AU', 'mine.com.au');
+  assert.equal(average.scope, 'industry');
+  assert.equal(average.sampleSize, 3);
+  assert.equal(average.credibilityScore, 50);
+
+  // Without a requester every site counts
+  assert.equal((await industryAverages.getIndustryAverage('Finance', '', 'AU')).sampleSize, 4);
+});
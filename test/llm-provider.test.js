@@ -0,0 +1,88 @@
+/**
+ * LLM provider tests - a local OpenAI-compatible server stands in for the live API
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const cache = require('../modules/cache');
+const llmProvider = require('../modules/llm-provider');
+
+/**
+ * Start a chat completions server that answers with the given contents in turn
+ * @param {Array} contents - Completion contents, one per request (the last one repeats)
+ * @returns {Promise<Object>} - { baseUrl, requests, close }
+ */
+function startServer(contents) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const content = contents[Math.min(requests.length, contents.length) - 1];
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ model: 'local-test', choices: [{ message: { role: 'assistant', content } }] }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+test('responses that fail validation are not cached', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+  const server = await startServer(['not json', '{"ok":true}']);
+  t.after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  cache.init({ dataDir });
+  llmProvider.init({ llmProvider: 'local', llmBaseUrl: server.baseUrl });
+
+  const messages = [{ role: 'user', content: 'Return JSON' }];
+
+  const first = await llmProvider.complete('analysis', messages);
+  assert.equal(first.content, 'not json');
+
+  // The bad answer wasn't cached, so the same prompt reaches the server again
+  const second = await llmProvider.complete('analysis', messages);
+  assert.equal(second.content, '{"ok":true}');
+
+  // The good answer was cached
+  const third = await llmProvider.complete('analysis', messages);
+  assert.equal(third.content, '{"ok":true}');
+  assert.equal(server.requests.length, 2);
+});
+
+test('a caller-supplied validator decides what is cached', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+  const server = await startServer(['{"score":"high"}', '{"score":80}']);
+  t.after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  cache.init({ dataDir });
+  llmProvider.init({ llmProvider: 'local', llmBaseUrl: server.baseUrl });
+
+  const messages = [{ role: 'user', content: 'Score this' }];
+  const options = { validate: content => typeof JSON.parse(content).score === 'number' };
+
+  assert.equal((await llmProvider.complete('analysis', messages, options)).content, '{"score":"high"}');
+  assert.equal((await llmProvider.complete('analysis', messages, options)).content, '{"score":80}');
+  assert.equal((await llmProvider.complete('analysis', messages, options)).content, '{"score":80}');
+  assert.equal(server.requests.length, 2);
+});
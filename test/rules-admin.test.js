@@ -0,0 +1,76 @@
+/**
+ * Rules admin tests - edits go to a temp data directory, the shipped packs stay untouched
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rulesLoader = require('../modules/rules-loader');
+const rulesAdmin = require('../modules/rules-admin');
+
+const SHIPPED_DIR = path.join(__dirname, '..', 'rules');
+
+/**
+ * Hash every shipped pack file
+ * @returns {Object} - Hashes by file name
+ */
+function hashShippedPacks() {
+  return Object.fromEntries(fs.readdirSync(SHIPPED_DIR).filter(file => file.endsWith('.json')).map(file => [
+    file,
+    crypto.createHash('sha256').update(fs.readFileSync(path.join(SHIPPED_DIR, file))).digest('hex')
+  ]));
+}
+
+test('edits overlay the shipped packs without writing to rules/', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-admin-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  rulesLoader.init({ dataDir });
+  rulesAdmin.init({ dataDir, adminApiKey: 'test-key' });
+  const shipped = hashShippedPacks();
+
+  const updated = await rulesAdmin.updateIndustry('construction', { clientTerm: 'homeowners' }, 1);
+  assert.equal(updated.version, 2);
+  assert.equal(rulesLoader.getStoredPack('construction').clientTerm, 'homeowners');
+  assert.ok(fs.existsSync(path.join(dataDir, 'rules', 'construction.json')));
+
+  await rulesAdmin.deleteIndustry('technology');
+  assert.equal(rulesLoader.getStoredPack('technology'), null);
+  await assert.rejects(rulesAdmin.getIndustry('technology'), { statusCode: 404 });
+
+  // Recreating a deleted pack carries on from its last version
+  const recreated = await rulesAdmin.createIndustry({ id: 'technology', industry: 'Technology' });
+  assert.equal(recreated.version, 2);
+  await assert.rejects(rulesAdmin.createIndustry({ id: 'construction', industry: 'Builders' }), { statusCode: 409 });
+
+  assert.deepEqual(hashShippedPacks(), shipped);
+  assert.deepEqual((await rulesAdmin.getIndustryHistory('technology')).map(entry => entry.version), [1]);
+});
+
+test('a newer shipped pack wins over an older edit', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-admin-'));
+  const rulesDir = path.join(dataDir, 'shipped');
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  // A deploy ships version 3 after the pack was deleted at version 2
+  fs.cpSync(SHIPPED_DIR, rulesDir, { recursive: true });
+  const shippedPack = JSON.parse(fs.readFileSync(path.join(rulesDir, 'environmental.json'), 'utf8'));
+  fs.writeFileSync(path.join(rulesDir, 'environmental.json'), JSON.stringify({ ...shippedPack, version: 3 }));
+  fs.mkdirSync(path.join(dataDir, 'rules'));
+  fs.writeFileSync(path.join(dataDir, 'rules', 'environmental.json'), JSON.stringify({
+    id: 'environmental', version: 2, deleted: true
+  }));
+
+  rulesLoader.init({ rulesDir, dataDir });
+  assert.equal(rulesLoader.getStoredPack('environmental').version, 3);
+
+  fs.writeFileSync(path.join(dataDir, 'rules', 'environmental.json'), JSON.stringify({
+    id: 'environmental', version: 3, deleted: true
+  }));
+  rulesLoader.reloadRules();
+  assert.equal(rulesLoader.getStoredPack('environmental'), null);
+});
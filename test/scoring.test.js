@@ -0,0 +1,39 @@
+/**
+ * Credibility scoring tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const scoring = require('../modules/scoring');
+
+const scores = { expertiseScore: 80, authorityScore: 40, communicationScore: 60 };
+
+test('the specialty weights are used when the specialty has them', () => {
+  const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(scores, 'Finance', 'Mortgage Broking');
+
+  assert.equal(weightProfile.scope, 'specialty');
+  assert.equal(weightProfile.name, 'Finance / Mortgage Broking');
+  assert.equal(credibilityScore, Math.round((0.35 * 80) + (0.4 * 40) + (0.25 * 60)));
+});
+
+test('the industry weights are used for specialties without their own', () => {
+  const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(scores, 'Finance', 'Accounting');
+
+  assert.equal(weightProfile.scope, 'industry');
+  assert.equal(credibilityScore, Math.round((0.45 * 80) + (0.3 * 40) + (0.25 * 60)));
+});
+
+test('unknown industries use the default weights', () => {
+  const { credibilityScore, weightProfile } = scoring.calculateCredibilityScore(scores, 'Underwater Basket Weaving');
+
+  assert.equal(weightProfile.scope, 'default');
+  assert.equal(credibilityScore, Math.round((0.45 * 80) + (0.35 * 40) + (0.2 * 60)));
+});
+
+test('the user and competitors get the same score for the same pillar scores', () => {
+  const user = scoring.calculateCredibilityScore(scores, 'Healthcare', 'Plastic Surgery');
+  const competitor = scoring.calculateCredibilityScore({ ...scores, isSimulated: true }, 'Healthcare', 'Plastic Surgery');
+
+  assert.deepEqual(user, competitor);
+});
@@ -0,0 +1,81 @@
+/**
+ * Work queue tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const workQueue = require('../modules/work-queue');
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('tasks for one host run one at a time while other hosts run alongside', async () => {
+  workQueue.init({ rateLimits: { host: { concurrency: 1, minIntervalMs: 0 } } });
+
+  const running = { 'host:a.com.au': 0, 'host:b.com.au': 0 };
+  const peaks = { 'host:a.com.au': 0, 'host:b.com.au': 0 };
+  let peakOverall = 0;
+
+  const task = key => async () => {
+    running[key]++;
+    peaks[key] = Math.max(peaks[key], running[key]);
+    peakOverall = Math.max(peakOverall, running['host:a.com.au'] + running['host:b.com.au']);
+    await delay(20);
+    running[key]--;
+  };
+
+  await Promise.all([
+    workQueue.schedule('host:a.com.au', task('host:a.com.au')),
+    workQueue.schedule('host:a.com.au', task('host:a.com.au')),
+    workQueue.schedule('host:b.com.au', task('host:b.com.au')),
+    workQueue.schedule('host:b.com.au', task('host:b.com.au'))
+  ]);
+
+  assert.deepEqual(peaks, { 'host:a.com.au': 1, 'host:b.com.au': 1 });
+  assert.equal(peakOverall, 2);
+});
+
+test('starts for a key are spaced by its minimum interval', async () => {
+  workQueue.init({ rateLimits: { dataforseo: { concurrency: 2, minIntervalMs: 50 } } });
+
+  const starts = [];
+  await Promise.all([1, 2, 3].map(() => workQueue.schedule('dataforseo', async () => {
+    starts.push(Date.now());
+  })));
+
+  assert.ok(starts[1] - starts[0] >= 45);
+  assert.ok(starts[2] - starts[1] >= 45);
+});
+
+test('a slow item times out without holding up the rest', async () => {
+  const results = await workQueue.runAll(['slow', 'fast', 'failing'], async item => {
+    if (item === 'slow') await delay(200);
+    if (item === 'failing') throw new Error('Not found');
+    return item.toUpperCase();
+  }, { concurrency: 3, timeoutMs: 50 });
+
+  assert.equal(results[0].timedOut, true);
+  assert.deepEqual(results[1], { item: 'fast', value: 'FAST' });
+  assert.equal(results[2].error.message, 'Not found');
+  assert.equal(results[2].timedOut, false);
+});
+
+test('items not started when the time budget runs out are skipped', async () => {
+  const results = await workQueue.runAll([1, 2], item => {
+    // Block past the budget, so the second item is reached after it has run out
+    const until = Date.now() + 80;
+    while (Date.now() < until);
+    return item;
+  }, { concurrency: 1, timeoutMs: 1000, budgetMs: 50 });
+
+  assert.deepEqual(results[0], { item: 1, value: 1 });
+  assert.equal(results[1].timedOut, true);
+  assert.match(results[1].error.message, /Not started/);
+});